@@ -0,0 +1,180 @@
+// Alert rules: which new deaths are routed to which notification targets (hub channel names)
+// Stored in DATA_DIR/alert-rules.json and edited through /api/admin/rules.
+//
+// rule: { id, name, enabled, conditions, targets: ['discord:hunts', 'sse', ...], createdAt, updatedAt }
+// conditions (all optional, every given one must match):
+//   worlds: ['20'], minLevel, maxLevel,
+//   vocations: ['sorcerer'] (contained in the vocation), guilds: [...], residences: [...] (exact),
+//   accountStatus: 'vip' | 'free' | text, cause: regex, killer: regex (any killer or summoner), pvp: boolean
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { matchesAccountStatus } from './death-store.js';
+import { createJsonFile } from './json-file.js';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_PATTERN_LENGTH = 200;
+
+const LIST_CONDITIONS = ['worlds', 'vocations', 'guilds', 'residences'];
+const LEVEL_CONDITIONS = ['minLevel', 'maxLevel'];
+const PATTERN_CONDITIONS = ['cause', 'killer'];
+const CONDITIONS = [...LIST_CONDITIONS, ...LEVEL_CONDITIONS, 'accountStatus', ...PATTERN_CONDITIONS, 'pvp'];
+
+// Validate and clean up rule conditions; throws with a message safe to return to API clients
+export function normalizeConditions(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('conditions must be an object');
+  }
+  const unknown = Object.keys(input).filter(key => !CONDITIONS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown conditions: ${unknown.join(', ')}`);
+  }
+
+  const conditions = {};
+  for (const key of LIST_CONDITIONS) {
+    if (input[key] === undefined || input[key] === null) continue;
+    const values = (Array.isArray(input[key]) ? input[key] : [input[key]])
+      .map(value => String(value).trim())
+      .filter(Boolean);
+    if (values.length > 0) conditions[key] = values;
+  }
+  for (const key of LEVEL_CONDITIONS) {
+    if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+    const level = Number(input[key]);
+    if (!Number.isInteger(level) || level < 0) throw new Error(`${key} must be a non-negative integer`);
+    conditions[key] = level;
+  }
+  if (conditions.minLevel !== undefined && conditions.maxLevel !== undefined && conditions.minLevel > conditions.maxLevel) {
+    throw new Error('minLevel must not be above maxLevel');
+  }
+  if (input.accountStatus) {
+    conditions.accountStatus = String(input.accountStatus).trim();
+  }
+  for (const key of PATTERN_CONDITIONS) {
+    if (!input[key]) continue;
+    const pattern = String(input[key]);
+    if (pattern.length > MAX_PATTERN_LENGTH) throw new Error(`${key} must be at most ${MAX_PATTERN_LENGTH} characters`);
+    try {
+      new RegExp(pattern, 'i');
+    } catch (e) {
+      throw new Error(`${key} is not a valid regular expression: ${e.message}`);
+    }
+    conditions[key] = pattern;
+  }
+  if (input.pvp !== undefined && input.pvp !== null) {
+    if (typeof input.pvp !== 'boolean') throw new Error('pvp must be true or false');
+    conditions.pvp = input.pvp;
+  }
+  return conditions;
+}
+
+const patterns = new Map(); // pattern -> RegExp (rules are evaluated for every new death)
+
+function getPattern(pattern) {
+  if (!patterns.has(pattern)) patterns.set(pattern, new RegExp(pattern, 'i'));
+  return patterns.get(pattern);
+}
+
+function sameText(a, b) {
+  return String(a || '').toLowerCase() === String(b || '').toLowerCase();
+}
+
+// Does a death alert ({ worldId, death }) match normalized conditions?
+export function matchesConditions(conditions, { worldId, death }) {
+  const { worlds, minLevel, maxLevel, vocations, guilds, residences, accountStatus, cause, killer, pvp } = conditions;
+
+  if (worlds && !worlds.includes(String(worldId))) return false;
+  if (minLevel !== undefined && death.level < minLevel) return false;
+  if (maxLevel !== undefined && death.level > maxLevel) return false;
+  if (vocations && !vocations.some(vocation => (death.vocation || '').toLowerCase().includes(vocation.toLowerCase()))) return false;
+  if (guilds && !guilds.some(guild => sameText(guild, death.guild))) return false;
+  if (residences && !residences.some(residence => sameText(residence, death.residence))) return false;
+  if (accountStatus && !matchesAccountStatus(death, accountStatus)) return false;
+  if (cause && !getPattern(cause).test(death.cause || '')) return false;
+  if (killer) {
+    const names = (death.killers || []).flatMap(k => [k.name, k.summonedBy]).filter(Boolean);
+    if (!names.some(name => getPattern(killer).test(name))) return false;
+  }
+  if (pvp !== undefined && Boolean(death.pvp) !== pvp) return false;
+  return true;
+}
+
+// staticRules: rules from the environment (DISCORD_WEBHOOKS), listed but read-only
+// isKnownTarget(name): whether a notification target exists
+export function createAlertRules({ dataDir, staticRules = [], isKnownTarget = () => true }) {
+  const file = createJsonFile(path.join(dataDir, 'alert-rules.json'), { label: 'alert rules' });
+  const rules = new Map(); // id -> rule
+  const readOnly = new Map(staticRules.map(rule => [rule.id, { ...rule, readOnly: true }]));
+
+  for (const rule of file.read([])) {
+    rules.set(rule.id, rule);
+  }
+
+  function save() {
+    return file.save(Array.from(rules.values()));
+  }
+
+  // Validated rule fields from API input (throws on invalid input)
+  function validate(input) {
+    const { name, enabled = true, conditions = {}, targets } = input;
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+      throw new Error(`name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    if (typeof enabled !== 'boolean') {
+      throw new Error('enabled must be true or false');
+    }
+    if (!Array.isArray(targets) || targets.length === 0 || targets.some(target => typeof target !== 'string')) {
+      throw new Error('targets must be a non-empty array of notification target names');
+    }
+    const unknown = targets.filter(target => !isKnownTarget(target));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown notification targets: ${unknown.join(', ')}`);
+    }
+    return { name: name.trim(), enabled, conditions: normalizeConditions(conditions), targets: [...new Set(targets)] };
+  }
+
+  function list() {
+    return [...readOnly.values(), ...rules.values()];
+  }
+
+  function get(id) {
+    return readOnly.get(id) || rules.get(id) || null;
+  }
+
+  function add(input) {
+    const now = Date.now();
+    const rule = { id: randomUUID(), ...validate(input || {}), createdAt: now, updatedAt: now };
+    rules.set(rule.id, rule);
+    save();
+    return rule;
+  }
+
+  // Partial update; null when the rule doesn't exist
+  function update(id, input) {
+    if (readOnly.has(id)) throw new Error('Rules from the server configuration cannot be edited');
+    const existing = rules.get(id);
+    if (!existing) return null;
+
+    const rule = { ...existing, ...validate({ ...existing, ...(input || {}) }), updatedAt: Date.now() };
+    rules.set(id, rule);
+    save();
+    return rule;
+  }
+
+  function remove(id) {
+    if (readOnly.has(id)) throw new Error('Rules from the server configuration cannot be deleted');
+    const removed = rules.delete(id);
+    if (removed) save();
+    return removed;
+  }
+
+  // Enabled rules matching a death alert
+  function evaluate(alert) {
+    return list().filter(rule => rule.enabled && matchesConditions(rule.conditions, alert));
+  }
+
+  function size() {
+    return readOnly.size + rules.size;
+  }
+
+  return { filePath: file.filePath, list, get, add, update, remove, evaluate, size, flush: file.flush };
+}
@@ -0,0 +1,53 @@
+// Routes stored deaths to the notification hub: watched deaths go to every channel,
+// the others only to the targets of the alert rules (and webhook subscriptions) they match.
+// Deaths are routed when they are first stored and again when a later poll fills in their
+// character data, so conditions on vocation, guild or account status (and guild watch entries)
+// still see them; a target gets each death at most once.
+
+const MAX_TRACKED_DEATHS = 10000; // Deaths whose notified targets are remembered
+
+// matchTargets(alert): targets besides the rule targets (outbound webhook subscriptions)
+// decorateDeath(death) adds per-alert fields (e.g. watchlist status)
+export function createDeathAlerts({
+  watchlist,
+  alertRules,
+  notificationHub,
+  matchTargets = () => [],
+  getWorldName = (worldId) => worldId,
+  decorateDeath = (death) => death
+}) {
+  const notified = new Map(); // death id -> Set of targets that got it
+
+  function getNotified(death) {
+    if (!notified.has(death.id)) {
+      notified.set(death.id, new Set());
+      if (notified.size > MAX_TRACKED_DEATHS) notified.delete(notified.keys().next().value);
+    }
+    return notified.get(death.id);
+  }
+
+  // New deaths, or stored deaths that gained character data; resolves once dispatched
+  function route(worldId, deaths) {
+    const dispatches = [];
+    for (const death of deaths) {
+      const watched = watchlist.match(death);
+      const alert = { type: watched.length > 0 ? 'watch' : 'death', worldId, worldName: getWorldName(worldId), death: decorateDeath(death), watched };
+      const rules = alertRules.evaluate(alert);
+      alert.rules = rules.map(rule => rule.name);
+      const done = getNotified(death);
+
+      // Watched: every channel; otherwise rule targets plus webhooks subscribed to this death themselves
+      const targets = (watched.length > 0
+        ? notificationHub.list()
+        : [...new Set([...rules.flatMap(rule => rule.targets), ...matchTargets(alert)])]
+      ).filter(target => !done.has(target));
+      if (targets.length === 0) continue;
+      if (watched.length > 0) console.log(`👁️  Watched death: ${death.player} (level ${death.level}) on world ${worldId}`);
+      targets.forEach(target => done.add(target));
+      dispatches.push(notificationHub.dispatch(alert, { only: targets }));
+    }
+    return Promise.all(dispatches);
+  }
+
+  return { route };
+}
@@ -0,0 +1,95 @@
+// Structured death causes
+// "a fire elemental summoned by Dark Mage, a dragon and by Kill Bill" ->
+//   killers: [{ name: 'a fire elemental', type: 'creature', finalBlow: true, summonedBy: 'Dark Mage' }, ...]
+// RubinOT lists the final blow first; everything after it (", " and "and by") assisted.
+
+/**
+ * @typedef {Object} Killer
+ * @property {string} name
+ * @property {'player'|'creature'|'environment'} type
+ * @property {boolean} finalBlow - First killer listed; the rest are assists
+ * @property {string|null} summonedBy - Summoner of a creature ("a fire elemental summoned by X")
+ * @property {string} [guild] - Guild of a player killer, once the character scraper looked it up ("" for none)
+ * @property {string} [summonerGuild] - Same for the summoner of a creature
+ */
+
+// Damage without a killer ("died at level 8 by fire")
+const ENVIRONMENT_CAUSES = new Set([
+  'fire', 'energy', 'poison', 'earth', 'ice', 'holy', 'death', 'physical',
+  'drowning', 'bleeding', 'life drain', 'mana drain', 'lava', 'a field', 'a trap'
+]);
+
+const SUMMON_PATTERN = /^(.+?)\s+summoned by\s+(.+)$/i;
+const CREATURE_ARTICLE = /^(a|an)\s/i;
+
+// Split "A, B and by C" into ["A", "B", "C"]
+function splitKillers(cause) {
+  return cause
+    .split(/\s+and by\s+|,\s+/i)
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+function classify(name, playerNames) {
+  const lower = name.toLowerCase();
+  if (ENVIRONMENT_CAUSES.has(lower)) return 'environment';
+  if (CREATURE_ARTICLE.test(name)) return 'creature';
+
+  // Players are links in the cause cell; without link info assume capitalized names are players
+  if (playerNames) return playerNames.has(lower) ? 'player' : 'creature';
+  return /^[A-Z]/.test(name) ? 'player' : 'creature';
+}
+
+/**
+ * Parse a death cause into killers.
+ * @param {string} cause - Text after "died at level N by", without the final dot
+ * @param {string[]} [playerNames] - Names linked to character pages in the cause cell (best source for players)
+ * @returns {{ killers: Killer[], pvp: boolean }}
+ */
+export function parseDeathCause(cause, playerNames) {
+  const players = playerNames ? new Set(playerNames.map(name => name.toLowerCase())) : null;
+
+  const killers = splitKillers(cause || '').map((part, index) => {
+    const summon = SUMMON_PATTERN.exec(part);
+    const name = summon ? summon[1].trim() : part;
+    return {
+      name,
+      type: summon ? 'creature' : classify(name, players),
+      finalBlow: index === 0,
+      summonedBy: summon ? summon[2].trim() : null
+    };
+  });
+
+  return { killers, pvp: getPlayerKillers(killers).length > 0 };
+}
+
+/**
+ * Players involved in a kill, including summoners of creatures (deduplicated, final blow first).
+ * @param {Killer[]} killers
+ * @returns {string[]}
+ */
+export function getPlayerKillers(killers) {
+  const names = [];
+  for (const killer of killers || []) {
+    if (killer.type === 'player') names.push(killer.name);
+    if (killer.summonedBy && !CREATURE_ARTICLE.test(killer.summonedBy)) names.push(killer.summonedBy);
+  }
+  return names.filter((name, index) => names.findIndex(other => other.toLowerCase() === name.toLowerCase()) === index);
+}
+
+/**
+ * Players involved in a kill with their part in it: a summon's final blow counts for its summoner,
+ * and `guild` comes from the killer itself or from `summonerGuild` (undefined while not looked up).
+ * @param {Killer[]} killers
+ * @returns {{ name: string, finalBlow: boolean, guild: (string|undefined) }[]}
+ */
+export function getPlayerKillerCredits(killers) {
+  return getPlayerKillers(killers).map(name => {
+    const key = name.toLowerCase();
+    const own = (killers || []).filter(killer => killer.type === 'player' && killer.name.toLowerCase() === key);
+    const summons = (killers || []).filter(killer => killer.summonedBy && killer.summonedBy.toLowerCase() === key);
+    const guild = [...own.map(killer => killer.guild), ...summons.map(killer => killer.summonerGuild)]
+      .find(value => value !== undefined);
+    return { name, finalBlow: [...own, ...summons].some(killer => killer.finalBlow), guild };
+  });
+}
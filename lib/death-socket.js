@@ -0,0 +1,188 @@
+// WebSocket API for bots/overlays
+// Each connection subscribes to any mix of worlds, character names and guilds and gets matching deaths pushed
+import { WebSocketServer } from 'ws';
+
+const HEARTBEAT_INTERVAL = 30000; // Ping every 30s, drop connections that did not answer the previous ping
+const MAX_SUBSCRIPTIONS = 200; // Per list, per connection
+
+function createSubscriptions() {
+  return { worlds: new Set(), characters: new Set(), guilds: new Set() };
+}
+
+function serializeSubscriptions(subscriptions) {
+  return {
+    worlds: Array.from(subscriptions.worlds),
+    characters: Array.from(subscriptions.characters),
+    guilds: Array.from(subscriptions.guilds)
+  };
+}
+
+// Normalize a subscribe/unsubscribe list (worlds keep their id, names are matched case-insensitively)
+function normalizeList(values, key) {
+  if (!Array.isArray(values)) return [];
+  return values
+    .filter(value => typeof value === 'string' || typeof value === 'number')
+    .map(value => String(value).trim())
+    .filter(Boolean)
+    .map(value => key === 'worlds' ? value : value.toLowerCase());
+}
+
+function matchesSubscriptions(subscriptions, worldId, death) {
+  if (subscriptions.worlds.has(String(worldId))) return true;
+  if (death.player && subscriptions.characters.has(death.player.toLowerCase())) return true;
+  if (death.guild && subscriptions.guilds.has(death.guild.toLowerCase())) return true;
+  return false;
+}
+
+// onWorldSubscribed(worldId) is called so the server can start polling worlds it does not track yet;
+// it returns false for worlds that do not exist, which are then refused
+// decorateDeath(death) adds per-request fields (e.g. watchlist status) before a death is sent
+export function attachDeathSocket(server, {
+  worldPoller,
+  deathStore,
+  onWorldSubscribed,
+  decorateDeath = (death) => death,
+  path = '/api/ws',
+  heartbeatInterval = HEARTBEAT_INTERVAL
+}) {
+  const wss = new WebSocketServer({ server, path });
+  const clients = new Map(); // ws -> { subscriptions, alive }
+  const worldHealth = new Map(); // worldId -> last poll ok?
+
+  function send(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  function getServerStatus() {
+    return {
+      type: 'status',
+      time: Date.now(),
+      clients: clients.size,
+      storedDeaths: deathStore.size(),
+      worlds: worldPoller.getStatus()
+    };
+  }
+
+  function handleMessage(ws, client, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (e) {
+      return send(ws, { type: 'error', message: 'Invalid JSON' });
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return send(ws, { type: 'error', message: 'Invalid message' });
+    }
+
+    switch (message.type) {
+      case 'subscribe':
+      case 'unsubscribe': {
+        const unknownWorlds = [];
+        for (const key of ['worlds', 'characters', 'guilds']) {
+          const values = normalizeList(message[key], key);
+          const target = client.subscriptions[key];
+          for (const value of values) {
+            if (message.type === 'unsubscribe') {
+              target.delete(value);
+            } else if (target.size < MAX_SUBSCRIPTIONS) {
+              if (key === 'worlds' && onWorldSubscribed && onWorldSubscribed(value) === false) {
+                unknownWorlds.push(value);
+                continue;
+              }
+              target.add(value);
+            }
+          }
+        }
+        if (unknownWorlds.length > 0) send(ws, { type: 'error', message: `Unknown worlds: ${unknownWorlds.join(', ')}` });
+        return send(ws, { type: 'subscribed', subscriptions: serializeSubscriptions(client.subscriptions) });
+      }
+      case 'ping':
+        return send(ws, { type: 'pong', time: Date.now() });
+      case 'status':
+        return send(ws, getServerStatus());
+      default:
+        return send(ws, { type: 'error', message: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  wss.on('connection', (ws, req) => {
+    const client = { subscriptions: createSubscriptions(), alive: true };
+    clients.set(ws, client);
+    console.log(`🔌 WebSocket client connected from ${req.socket.remoteAddress} (${clients.size} connected)`);
+
+    ws.on('pong', () => { client.alive = true; });
+    ws.on('message', (raw) => handleMessage(ws, client, raw.toString()));
+    ws.on('close', () => {
+      clients.delete(ws);
+      console.log(`🔌 WebSocket client disconnected (${clients.size} connected)`);
+    });
+    ws.on('error', (error) => console.warn(`⚠️  WebSocket error: ${error.message}`));
+
+    send(ws, { ...getServerStatus(), type: 'welcome' });
+  });
+
+  // Push new deaths to every matching connection
+  const onDeaths = (worldId, newDeaths) => {
+    for (const [ws, client] of clients) {
+      for (const death of newDeaths) {
+        if (matchesSubscriptions(client.subscriptions, worldId, death)) {
+          send(ws, { type: 'death', worldId, death: decorateDeath(death) });
+        }
+      }
+    }
+  };
+
+  // Tell subscribers when a world starts failing or recovers
+  const onPoll = (worldId, result) => {
+    const wasOk = worldHealth.get(worldId);
+    worldHealth.set(worldId, result.ok);
+    if (wasOk === undefined || wasOk === result.ok) return;
+
+    for (const [ws, client] of clients) {
+      if (client.subscriptions.worlds.has(worldId)) {
+        send(ws, { type: 'world-status', worldId, ok: result.ok, error: result.error || null });
+      }
+    }
+  };
+
+  worldPoller.on('deaths', onDeaths);
+  worldPoller.on('poll', onPoll);
+
+  // Heartbeat: protocol-level ping to detect dead connections + JSON ping for clients that cannot see those
+  const heartbeat = setInterval(() => {
+    for (const [ws, client] of clients) {
+      if (!client.alive) {
+        ws.terminate();
+        continue;
+      }
+      client.alive = false;
+      ws.ping();
+      send(ws, { type: 'ping', time: Date.now() });
+    }
+  }, heartbeatInterval);
+
+  function close() {
+    clearInterval(heartbeat);
+    worldPoller.off('deaths', onDeaths);
+    worldPoller.off('poll', onPoll);
+    for (const ws of clients.keys()) {
+      ws.close(1001, 'Server shutting down');
+    }
+    wss.close();
+  }
+
+  function getClientCount() {
+    return clients.size;
+  }
+
+  // Send a message to every connection regardless of subscriptions (watchlist alerts)
+  function broadcast(message) {
+    for (const ws of clients.keys()) {
+      send(ws, message);
+    }
+  }
+
+  return { close, getClientCount, broadcast };
+}
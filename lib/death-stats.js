@@ -0,0 +1,278 @@
+// Death statistics over stored deaths (the records behind /api/deaths and /api/deaths/history)
+// Pure aggregation: the caller picks the deaths (world, window) and gets counts back.
+import { getDeathTimeValue } from './death-store.js';
+import { getPlayerKillers, getPlayerKillerCredits } from './death-cause.js';
+import { startOfZonedPeriod, RUBINOT_TIMEZONE } from './death-time.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const STATS_BUCKETS = ['hour', 'day'];
+export const MAX_TIMELINE_POINTS = 24 * 31; // A month of hours
+
+const DEFAULT_BRACKET_SIZE = 100;
+const DEFAULT_TOP = 10;
+export const DEFAULT_HIGH_LEVEL = 500; // Victims at or above this level count as high-level deaths
+
+// Fields that are placeholders until character data is fetched (see death-store)
+const UNKNOWN_VALUES = new Set(['', 'Unknown', 'Loading...']);
+
+function label(value) {
+  return value === undefined || value === null || UNKNOWN_VALUES.has(value) ? 'Unknown' : value;
+}
+
+// Next bucket start; days are walked on the wall clock so DST days still start at midnight
+function nextBucket(start, bucket, timeZone) {
+  if (bucket === 'hour') return start + HOUR;
+  return startOfZonedPeriod(start + DAY + 12 * HOUR, 'day', timeZone);
+}
+
+// Empty buckets from `from` to `to` (RubinOT server clock), oldest first
+export function createTimeline(from, to, bucket, timeZone = RUBINOT_TIMEZONE) {
+  const points = [];
+  for (let start = startOfZonedPeriod(from, bucket, timeZone); start <= to; start = nextBucket(start, bucket, timeZone)) {
+    points.push({ start, timestamp: new Date(start).toISOString(), count: 0 });
+    if (points.length > MAX_TIMELINE_POINTS) throw new Error(`Too many ${bucket} buckets, use a shorter window or bucket=day`);
+  }
+  return points;
+}
+
+// Map of key -> { ...fields, count }, sorted by count (then name) and optionally cut to the top N
+function createCounter() {
+  const entries = new Map();
+  return {
+    add(key, fields) {
+      const entry = entries.get(key) || { ...fields, count: 0 };
+      entry.count++;
+      entries.set(key, entry);
+    },
+    list(limit = Infinity) {
+      return Array.from(entries.values())
+        .sort((a, b) => b.count - a.count || String(a.name).localeCompare(String(b.name)))
+        .slice(0, limit);
+    }
+  };
+}
+
+// Level bracket of a death: size 100 -> "0-99", "100-199", ...
+function getLevelBracket(level, size) {
+  const min = Math.floor((level || 0) / size) * size;
+  return { name: `${min}-${min + size - 1}`, min, max: min + size - 1 };
+}
+
+// Brackets from the lowest to the highest level seen, empty ones included (histogram)
+function fillLevelBrackets(brackets, size) {
+  if (brackets.length === 0) return [];
+  const counts = new Map(brackets.map(bracket => [bracket.min, bracket.count]));
+  const filled = [];
+  for (let min = Math.min(...counts.keys()); min <= Math.max(...counts.keys()); min += size) {
+    filled.push({ ...getLevelBracket(min, size), count: counts.get(min) || 0 });
+  }
+  return filled;
+}
+
+// What killed the character: the final blow, or the raw cause when it couldn't be parsed
+function getCause(death) {
+  const finalBlow = (death.killers || []).find(killer => killer.finalBlow) || (death.killers || [])[0];
+  if (finalBlow) return { name: finalBlow.name, type: finalBlow.type };
+  return { name: death.cause || 'Unknown', type: 'unknown' };
+}
+
+// Distinct killers of one type in a death (final blow or assist; summons count as the creature)
+function getKillers(death, type) {
+  const seen = new Set();
+  return (death.killers || []).filter(killer => {
+    const key = killer.name.toLowerCase();
+    if (killer.type !== type || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Unique creatures have no article ("Ferumbras" vs "a dragon lord")
+function isBoss(name) {
+  return !/^(a|an)\s/i.test(name);
+}
+
+// True if the creature (any case) took part in the death, as final blow, assist or summon
+export function isKilledByCreature(death, name) {
+  const wanted = name.toLowerCase();
+  return getKillers(death, 'creature').some(killer => killer.name.toLowerCase() === wanted);
+}
+
+function isInWindow(death, from, to) {
+  const time = getDeathTimeValue(death);
+  return time >= from && time <= to;
+}
+
+/**
+ * Creatures ranked by the characters they killed (final blow or assist) in a window.
+ * @param {Object[]} deaths - stored death records
+ * @param {Object} options
+ * @param {number} options.from - window start, epoch ms
+ * @param {number} options.to - window end, epoch ms
+ * @param {number} [options.highLevel] - victims at or above this level are high-level deaths
+ * @param {number} [options.limit]
+ * @returns {{ name: string, boss: boolean, deaths: number, finalBlows: number, averageLevel: number,
+ *   highLevelDeaths: number, highLevelShare: number, lastDeathAt: number }[]}
+ */
+export function computeCreatureLeaderboard(deaths, { from, to, highLevel = DEFAULT_HIGH_LEVEL, limit = Infinity }) {
+  const creatures = new Map();
+
+  for (const death of deaths) {
+    if (!isInWindow(death, from, to)) continue;
+    const time = getDeathTimeValue(death);
+
+    for (const killer of getKillers(death, 'creature')) {
+      const key = killer.name.toLowerCase();
+      const entry = creatures.get(key) || {
+        name: killer.name, boss: isBoss(killer.name), deaths: 0, finalBlows: 0, levelSum: 0, highLevelDeaths: 0, lastDeathAt: 0
+      };
+      entry.deaths++;
+      if (killer.finalBlow) entry.finalBlows++;
+      entry.levelSum += death.level || 0;
+      if (death.level >= highLevel) entry.highLevelDeaths++;
+      entry.lastDeathAt = Math.max(entry.lastDeathAt, time);
+      creatures.set(key, entry);
+    }
+  }
+
+  return Array.from(creatures.values())
+    .map(({ levelSum, ...entry }) => ({
+      ...entry,
+      averageLevel: Math.round(levelSum / entry.deaths),
+      highLevelShare: Math.round((entry.highLevelDeaths / entry.deaths) * 1000) / 1000
+    }))
+    .sort((a, b) => b.deaths - a.deaths || b.averageLevel - a.averageLevel || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+/**
+ * Player killers ranked by frags (deaths they took part in, final blow or assist) in a window.
+ * guild is the killer's guild at their latest kill: '' for none, null while it hasn't been looked up.
+ * @param {Object[]} deaths - stored death records
+ * @param {Object} options
+ * @param {number} options.from - window start, epoch ms
+ * @param {number} options.to - window end, epoch ms
+ * @param {number} [options.limit]
+ * @returns {{ name: string, guild: string|null, kills: number, finalBlows: number, averageVictimLevel: number,
+ *   victimGuilds: { name: string, count: number }[], lastKillAt: number }[]}
+ */
+export function computeKillerLeaderboard(deaths, { from, to, limit = Infinity }) {
+  const killers = new Map();
+
+  for (const death of deaths) {
+    if (!death.pvp || !isInWindow(death, from, to)) continue;
+    const time = getDeathTimeValue(death);
+
+    for (const killer of getPlayerKillerCredits(death.killers)) {
+      const key = killer.name.toLowerCase();
+      const entry = killers.get(key) || {
+        name: killer.name, guild: null, guildSeenAt: 0, kills: 0, finalBlows: 0, levelSum: 0, victimGuilds: createCounter(), lastKillAt: 0
+      };
+      entry.kills++;
+      if (killer.finalBlow) entry.finalBlows++;
+      entry.levelSum += death.level || 0;
+      if (death.guild) entry.victimGuilds.add(death.guild.toLowerCase(), { name: death.guild });
+      if (killer.guild !== undefined && time >= entry.guildSeenAt) {
+        entry.guild = killer.guild;
+        entry.guildSeenAt = time;
+      }
+      entry.lastKillAt = Math.max(entry.lastKillAt, time);
+      killers.set(key, entry);
+    }
+  }
+
+  return Array.from(killers.values())
+    .map(({ levelSum, guildSeenAt, victimGuilds, ...entry }) => ({
+      ...entry,
+      averageVictimLevel: Math.round(levelSum / entry.kills),
+      victimGuilds: victimGuilds.list(3)
+    }))
+    .sort((a, b) => b.kills - a.kills || b.finalBlows - a.finalBlows || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+/**
+ * Aggregate deaths into a time series and breakdowns.
+ * @param {Object[]} deaths - stored death records
+ * @param {Object} options
+ * @param {number} options.from - window start, epoch ms
+ * @param {number} options.to - window end, epoch ms
+ * @param {'hour'|'day'} [options.bucket] - timeline resolution
+ * @param {number} [options.bracketSize] - width of the level brackets
+ * @param {number} [options.top] - number of residences, causes and killers listed
+ * @param {string} [options.timeZone] - clock the buckets follow (RubinOT server clock)
+ */
+export function computeDeathStats(deaths, {
+  from,
+  to,
+  bucket = 'hour',
+  bracketSize = DEFAULT_BRACKET_SIZE,
+  top = DEFAULT_TOP,
+  timeZone = RUBINOT_TIMEZONE
+}) {
+  if (!STATS_BUCKETS.includes(bucket)) throw new Error(`bucket must be one of: ${STATS_BUCKETS.join(', ')}`);
+
+  const timeline = createTimeline(from, to, bucket, timeZone);
+  const worlds = createCounter();
+  const vocations = createCounter();
+  const levelBrackets = createCounter();
+  const residences = createCounter();
+  const accountStatuses = createCounter();
+  const causes = createCounter();
+  const creatures = createCounter();
+  const playerKillers = createCounter();
+
+  let total = 0;
+  let pvp = 0;
+  let levelSum = 0;
+  let point = 0;
+
+  const inWindow = deaths
+    .filter(death => isInWindow(death, from, to))
+    .sort((a, b) => getDeathTimeValue(a) - getDeathTimeValue(b));
+
+  for (const death of inWindow) {
+    const time = getDeathTimeValue(death);
+    while (point < timeline.length - 1 && timeline[point + 1].start <= time) point++;
+    timeline[point].count++;
+
+    total++;
+    if (death.pvp) pvp++;
+    levelSum += death.level || 0;
+
+    worlds.add(death.worldId, { worldId: death.worldId });
+    vocations.add(label(death.vocation), { name: label(death.vocation) });
+    const bracket = getLevelBracket(death.level, bracketSize);
+    levelBrackets.add(bracket.name, bracket);
+    residences.add(label(death.residence), { name: label(death.residence) });
+    accountStatuses.add(label(death.accountStatus), { name: label(death.accountStatus) });
+    const cause = getCause(death);
+    causes.add(`${cause.type}:${cause.name.toLowerCase()}`, cause);
+    getKillers(death, 'creature').forEach(killer => creatures.add(killer.name.toLowerCase(), { name: killer.name }));
+    getPlayerKillers(death.killers).forEach(name => playerKillers.add(name.toLowerCase(), { name }));
+  }
+
+  const hours = Math.max((to - from) / HOUR, 1 / 60);
+
+  return {
+    from,
+    to,
+    bucket,
+    total,
+    pvp,
+    averageLevel: total > 0 ? Math.round(levelSum / total) : null,
+    perHour: Math.round(total / hours * 100) / 100,
+    perDay: Math.round(total / hours * 24 * 100) / 100,
+    timeline,
+    worlds: worlds.list(),
+    vocations: vocations.list(),
+    levelBrackets: fillLevelBrackets(levelBrackets.list(), bracketSize),
+    residences: residences.list(top),
+    accountStatuses: accountStatuses.list(),
+    causes: causes.list(top),
+    creatures: creatures.list(top),
+    playerKillers: playerKillers.list(top)
+  };
+}
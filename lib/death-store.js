@@ -0,0 +1,370 @@
+// Persistent death history store
+// Append-only JSON Lines file: survives restarts/redeploys when DATA_DIR is on a mounted volume
+// In memory, deaths are kept sorted by time (overall and per world) so queries only touch their window;
+// with retentionDays set, older deaths are dropped by prune() and the file is compacted.
+import fs from 'fs';
+import path from 'path';
+import { parseDeathCause } from './death-cause.js';
+import { getDeathTimestamp } from './death-time.js';
+
+// Fields that are still placeholders until character data is fetched
+const PLACEHOLDER_VALUES = new Set(['', 'Unknown', 'Loading...']);
+
+// Unique key for a death: same player dying at the same time on the same world
+export function getDeathId(worldId, death) {
+  return `${worldId}:${death.player.toLowerCase()}:${death.time}`;
+}
+
+// Sortable value for a death: epoch ms of its RubinOT time (see lib/death-time.js)
+export function getDeathTimeValue(death) {
+  if (typeof death.timestampMs === 'number') return death.timestampMs;
+  return getDeathTimestamp(death.time).timestampMs ?? (death.firstSeen || 0);
+}
+
+// Position of a death in history order: by time, then id as tie-breaker
+function getSortKey(death) {
+  return { time: getDeathTimeValue(death), id: death.id };
+}
+
+function compareSortKeys(a, b) {
+  if (a.time !== b.time) return a.time - b.time;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+// First index in `items` where `isAfter` turns true (items sorted so it flips only once)
+function findFirst(items, isAfter) {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (isAfter(items[middle])) high = middle;
+    else low = middle + 1;
+  }
+  return low;
+}
+
+// Keep `items` sorted by history order
+function insertSorted(items, death) {
+  const key = getSortKey(death);
+  const index = findFirst(items, item => compareSortKeys(getSortKey(item), key) > 0);
+  items.splice(index, 0, death);
+}
+
+function replaceSorted(items, existing, updated) {
+  const key = getSortKey(existing);
+  const index = findFirst(items, item => compareSortKeys(getSortKey(item), key) >= 0);
+  if (items[index] === existing) items[index] = updated;
+}
+
+function encodeCursor(death) {
+  const { time, id } = getSortKey(death);
+  return Buffer.from(JSON.stringify([time, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [time, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof time !== 'number' || typeof id !== 'string') return null;
+    return { time, id };
+  } catch (e) {
+    return null;
+  }
+}
+
+function includesText(value, search) {
+  return (value || '').toLowerCase().includes(search.toLowerCase());
+}
+
+// accountStatus filter: 'vip', 'free' or any text contained in the status
+export function matchesAccountStatus(death, accountStatus) {
+  const isVip = includesText(death.accountStatus, 'vip') || includesText(death.accountStatus, 'premium');
+  const wanted = accountStatus.toLowerCase();
+  if (wanted === 'vip') return isVip;
+  if (wanted === 'free') return !isVip;
+  return includesText(death.accountStatus, accountStatus);
+}
+
+// Build a predicate from history filters (all optional)
+function buildFilter(filters) {
+  const {
+    world, from, to, minLevel, maxLevel,
+    vocation, guild, residence, accountStatus, cause, pvp
+  } = filters;
+
+  return (death) => {
+    if (world && death.worldId !== String(world)) return false;
+
+    const time = getDeathTimeValue(death);
+    if (from !== undefined && time < from) return false;
+    if (to !== undefined && time > to) return false;
+
+    if (minLevel !== undefined && death.level < minLevel) return false;
+    if (maxLevel !== undefined && death.level > maxLevel) return false;
+
+    if (vocation && !includesText(death.vocation, vocation)) return false;
+    if (guild && (death.guild || '').toLowerCase() !== guild.toLowerCase()) return false;
+    if (residence && !includesText(death.residence, residence)) return false;
+    if (cause && !includesText(death.cause, cause)) return false;
+
+    if (accountStatus && !matchesAccountStatus(death, accountStatus)) return false;
+    if (pvp !== undefined && Boolean(death.pvp) !== pvp) return false;
+
+    return true;
+  };
+}
+
+function isPlaceholder(value) {
+  return value === undefined || value === null || PLACEHOLDER_VALUES.has(value);
+}
+
+// True if `incoming` carries character data that `existing` is still missing
+function hasNewCharacterData(existing, incoming) {
+  return ['vocation', 'residence', 'accountStatus', 'guild'].some(field =>
+    isPlaceholder(existing[field]) && !isPlaceholder(incoming[field])
+  );
+}
+
+// Same for player killers: their guild is looked up after the death is first stored
+// (`other` is the same killer in a newer scrape)
+// Player killers carry their guild, summons their summoner's guild
+function getGuildField(killer) {
+  if (killer.type === 'player') return 'guild';
+  return killer.summonedBy ? 'summonerGuild' : null;
+}
+
+function gainsKillerGuild(killer, other) {
+  const field = getGuildField(killer);
+  return Boolean(field) && killer[field] === undefined &&
+    Boolean(other) && other.name === killer.name && other[field] !== undefined;
+}
+
+function hasNewKillerData(existing, incoming) {
+  return (existing.killers || []).some((killer, i) => gainsKillerGuild(killer, (incoming.killers || [])[i]));
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// retentionDays: deaths older than this are pruned (default: keep everything)
+export function createDeathStore({ dataDir, retentionDays = null }) {
+  const filePath = path.join(dataDir, 'deaths.jsonl');
+  const deaths = new Map(); // id -> record (insertion order = first seen order)
+  let ordered = []; // Every record in history order (time, then id)
+  let orderedByWorld = new Map(); // worldId -> records in history order
+  let bySeq = []; // Every record by ascending seq
+  let lastSeq = 0; // Monotonic sequence number per stored death (used as SSE event id)
+  let writeChain = Promise.resolve();
+
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  // Load existing history (last line for an id wins)
+  let lineCount = 0;
+  if (fs.existsSync(filePath)) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      lineCount++;
+      try {
+        const record = JSON.parse(line);
+        deaths.set(record.id, record);
+      } catch (e) {
+        console.warn(`⚠️  Skipping corrupt line in ${filePath}: ${e.message}`);
+      }
+    }
+  }
+
+  // Histories written before sequence numbers existed get them in first-seen order...
+  for (const record of deaths.values()) {
+    if (!record.seq) record.seq = ++lastSeq;
+    lastSeq = Math.max(lastSeq, record.seq);
+    // ...killers parsed from the cause text (no player links stored, so names are guessed) and timestamps
+    if (!record.killers) Object.assign(record, parseDeathCause(record.cause));
+    if (record.timestampMs === undefined) Object.assign(record, getDeathTimestamp(record.time));
+  }
+
+  function serialize() {
+    const content = Array.from(deaths.values()).map(r => JSON.stringify(r)).join('\n');
+    return content ? content + '\n' : '';
+  }
+
+  function rebuildIndexes() {
+    ordered = Array.from(deaths.values()).sort((a, b) => compareSortKeys(getSortKey(a), getSortKey(b)));
+    orderedByWorld = new Map();
+    for (const death of ordered) {
+      if (!orderedByWorld.has(death.worldId)) orderedByWorld.set(death.worldId, []);
+      orderedByWorld.get(death.worldId).push(death);
+    }
+    bySeq = Array.from(deaths.values()).sort((a, b) => a.seq - b.seq);
+  }
+
+  // Drop deaths older than the retention window from memory; returns how many were dropped
+  function dropExpired(now) {
+    if (!retentionDays) return 0;
+    const cutoff = now - retentionDays * DAY;
+    const expired = ordered.slice(0, findFirst(ordered, death => getDeathTimeValue(death) >= cutoff));
+    if (expired.length === 0) return 0;
+    expired.forEach(death => deaths.delete(death.id));
+    rebuildIndexes();
+    return expired.length;
+  }
+
+  rebuildIndexes();
+  const expiredOnLoad = dropExpired(Date.now());
+
+  // Compact the file if updates left superseded lines behind (or deaths expired);
+  // tmp file + rename so a crash mid-write never truncates the history
+  if (lineCount > deaths.size) {
+    fs.writeFileSync(`${filePath}.tmp`, serialize());
+    fs.renameSync(`${filePath}.tmp`, filePath);
+    console.log(`🗜️  Compacted death history: ${lineCount} lines -> ${deaths.size} deaths${expiredOnLoad ? ` (${expiredOnLoad} expired)` : ''}`);
+  }
+
+  console.log(`💾 Death history loaded: ${deaths.size} deaths from ${filePath}`);
+
+  // Serialize appends so lines never interleave
+  function append(records) {
+    const content = records.map(r => JSON.stringify(r)).join('\n') + '\n';
+    writeChain = writeChain
+      .then(() => fs.promises.appendFile(filePath, content))
+      .catch(error => console.error(`❌ Failed to write death history: ${error.message}`));
+    return writeChain;
+  }
+
+  // Store scraped (and enriched) deaths for a world.
+  // Returns only the deaths that were new, oldest first (ascending seq).
+  // onUpdate(record) is called for stored deaths that gained character or killer guild data.
+  function record(worldId, scrapedDeaths, { onUpdate } = {}) {
+    const now = Date.now();
+    const added = [];
+    const changed = [];
+
+    for (const death of scrapedDeaths) {
+      if (!death.player || !death.time) continue;
+
+      const id = getDeathId(worldId, death);
+      const existing = deaths.get(id);
+
+      if (!existing) {
+        const entry = { ...death, id, worldId: String(worldId), firstSeen: now };
+        if (entry.timestampMs === undefined) Object.assign(entry, getDeathTimestamp(entry.time));
+        deaths.set(id, entry);
+        insertSorted(ordered, entry);
+        if (!orderedByWorld.has(entry.worldId)) orderedByWorld.set(entry.worldId, []);
+        insertSorted(orderedByWorld.get(entry.worldId), entry);
+        added.push(entry);
+        changed.push(entry);
+      } else if (hasNewCharacterData(existing, death) || hasNewKillerData(existing, death)) {
+        // Character data arrived after the death was first stored
+        const updated = { ...existing };
+        if (hasNewCharacterData(existing, death)) {
+          Object.assign(updated, {
+            vocation: death.vocation,
+            residence: death.residence,
+            accountStatus: death.accountStatus,
+            guild: death.guild
+          });
+        }
+        if (hasNewKillerData(existing, death)) {
+          updated.killers = existing.killers.map((killer, i) =>
+            gainsKillerGuild(killer, death.killers[i])
+              ? { ...killer, [getGuildField(killer)]: death.killers[i][getGuildField(killer)] }
+              : killer
+          );
+        }
+        deaths.set(id, updated);
+        replaceSorted(ordered, existing, updated);
+        replaceSorted(orderedByWorld.get(existing.worldId), existing, updated);
+        bySeq[findFirst(bySeq, item => item.seq >= existing.seq)] = updated;
+        changed.push(updated);
+        if (onUpdate) onUpdate(updated);
+      }
+    }
+
+    // Scraped tables are newest first: number new deaths chronologically
+    added.reverse().forEach(entry => {
+      entry.seq = ++lastSeq;
+      bySeq.push(entry);
+    });
+
+    if (changed.length > 0) {
+      append(changed);
+    }
+
+    return added;
+  }
+
+  function get(id) {
+    return deaths.get(id) || null;
+  }
+
+  function all() {
+    return Array.from(deaths.values());
+  }
+
+  // Deaths stored after a sequence number (optionally for one world), oldest first
+  function since(seq, worldId = null) {
+    return bySeq
+      .slice(findFirst(bySeq, death => death.seq > seq))
+      .filter(death => !worldId || death.worldId === String(worldId));
+  }
+
+  function getLastSeq() {
+    return lastSeq;
+  }
+
+  // Filtered, cursor-paginated history query
+  // order: 'desc' (newest first, default) or 'asc'; cursor: opaque value from a previous page's nextCursor
+  function query({ filters = {}, order = 'desc', limit = 50, cursor = null } = {}) {
+    const direction = order === 'asc' ? 1 : -1;
+    // Only the deaths of the world and time window are scanned
+    const source = filters.world ? orderedByWorld.get(String(filters.world)) || [] : ordered;
+    const start = filters.from === undefined ? 0 : findFirst(source, death => getDeathTimeValue(death) >= filters.from);
+    const end = filters.to === undefined ? source.length : findFirst(source, death => getDeathTimeValue(death) > filters.to);
+    const matches = source.slice(start, Math.max(start, end)).filter(buildFilter(filters));
+    if (direction === -1) matches.reverse();
+
+    let offset = 0;
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        throw new Error('Invalid cursor');
+      }
+      // Resume right after the last death of the previous page
+      offset = findFirst(matches, death => direction * compareSortKeys(getSortKey(death), position) > 0);
+    }
+
+    const page = matches.slice(offset, offset + limit);
+    const hasMore = offset + limit < matches.length;
+
+    return {
+      deaths: page,
+      total: matches.length,
+      nextCursor: hasMore && page.length > 0 ? encodeCursor(page[page.length - 1]) : null
+    };
+  }
+
+  function size() {
+    return deaths.size;
+  }
+
+  // Drop expired deaths and rewrite the file without them (queued behind pending appends)
+  function prune(now = Date.now()) {
+    const removed = dropExpired(now);
+    if (removed > 0) {
+      const content = serialize();
+      const tmpPath = `${filePath}.tmp`;
+      writeChain = writeChain
+        .then(() => fs.promises.writeFile(tmpPath, content))
+        .then(() => fs.promises.rename(tmpPath, filePath))
+        .catch(error => console.error(`❌ Failed to compact death history: ${error.message}`));
+      console.log(`🗜️  Pruned ${removed} deaths older than ${retentionDays} days`);
+    }
+    return removed;
+  }
+
+  // Wait for pending writes (used on shutdown)
+  function flush() {
+    return writeChain;
+  }
+
+  return { filePath, record, get, all, since, getLastSeq, query, size, prune, flush };
+}
@@ -0,0 +1,116 @@
+// Server-Sent Events (/api/deaths/stream): push new deaths for one world as soon as the poller sees them
+// Every death event carries its store seq as id, so a reconnecting client (Last-Event-ID)
+// gets what it missed replayed from the death store instead of a fresh snapshot.
+// Deaths whose character data a later poll filled in are sent again as 'death-update', without an
+// id so Last-Event-ID keeps pointing at the newest death (a replay sends the updated record anyway).
+import { getDeathId } from './death-store.js';
+
+const HEARTBEAT_INTERVAL = 15000;
+const MAX_REPLAY = 500;
+
+function sendSseEvent(res, event, data, id) {
+  if (id !== undefined) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+// parseFilters(query) / matchesFilters(death, filters): the same filters as /api/deaths
+// isKnownWorld(worldId) refuses worlds that do not exist; ensureWorldPolled(worldId) starts polling the others
+// decorateDeath(death) adds per-request fields (e.g. watchlist status) before a death is sent
+export function createDeathStream({
+  worldPoller,
+  deathStore,
+  parseFilters,
+  matchesFilters,
+  isKnownWorld,
+  ensureWorldPolled,
+  decorateDeath = (death) => death,
+  heartbeatInterval = HEARTBEAT_INTERVAL
+}) {
+  const clients = new Set(); // Every open stream, for broadcasts
+
+  async function handle(req, res) {
+    const filters = parseFilters(req.query);
+    const { worldId } = filters;
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+    if (!isKnownWorld(worldId)) {
+      return res.status(404).json({ error: `Unknown world "${worldId}"` });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering
+    });
+    res.flushHeaders();
+    res.write(`retry: 3000\n\n`);
+
+    let closed = false;
+    const onDeaths = (deathWorldId, newDeaths) => {
+      if (deathWorldId !== worldId) return;
+      newDeaths
+        .filter(death => matchesFilters(death, filters))
+        .forEach(death => sendSseEvent(res, 'death', decorateDeath(death), death.seq));
+    };
+    const onDeathUpdates = (deathWorldId, updatedDeaths) => {
+      if (deathWorldId !== worldId) return;
+      updatedDeaths
+        .filter(death => matchesFilters(death, filters))
+        .forEach(death => sendSseEvent(res, 'death-update', decorateDeath(death)));
+    };
+    const heartbeat = setInterval(() => res.write(`: ping\n\n`), heartbeatInterval);
+
+    req.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      clients.delete(res);
+      worldPoller.off('deaths', onDeaths);
+      worldPoller.off('death-updates', onDeathUpdates);
+      console.log(`📴 SSE client disconnected from world ${worldId}`);
+    });
+
+    console.log(`📶 SSE client connected to world ${worldId}${!isNaN(lastEventId) ? ` (resuming after ${lastEventId})` : ''}`);
+
+    if (!isNaN(lastEventId)) {
+      // Resume: replay everything stored for this world since the last event the client saw
+      deathStore.since(lastEventId, worldId)
+        .filter(death => matchesFilters(death, filters))
+        .slice(-MAX_REPLAY)
+        .forEach(death => sendSseEvent(res, 'death', decorateDeath(death), death.seq));
+    } else {
+      // Fresh connection: send the current list once the world has data
+      ensureWorldPolled(worldId);
+      const state = await worldPoller.waitForData(worldId);
+      if (closed) return;
+
+      const snapshot = state.deaths
+        .filter(death => matchesFilters(death, filters))
+        .slice(0, filters.limit)
+        .map(death => decorateDeath(deathStore.get(getDeathId(worldId, death)) || death));
+      sendSseEvent(res, 'snapshot', snapshot, deathStore.getLastSeq());
+
+      if (!state.lastSuccessAt) {
+        sendSseEvent(res, 'status', { worldId, error: state.lastError || 'World has not been polled yet' });
+      }
+    }
+
+    ensureWorldPolled(worldId);
+    worldPoller.on('deaths', onDeaths);
+    worldPoller.on('death-updates', onDeathUpdates);
+    clients.add(res);
+  }
+
+  // Send an event to every open stream regardless of its world (no id: not part of the world's replay)
+  function broadcast(event, data) {
+    for (const res of clients) {
+      sendSseEvent(res, event, data);
+    }
+  }
+
+  function getClientCount() {
+    return clients.size;
+  }
+
+  return { handle, broadcast, getClientCount };
+}
@@ -0,0 +1,107 @@
+// RubinOT timestamps
+// The site prints times ("07.10.2025, 22:50:28") on its server clock without a timezone;
+// RUBINOT_TIMEZONE (IANA name) says which clock that is, so deaths get real instants.
+export const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+export const RUBINOT_TIMEZONE = resolveTimeZone(process.env.RUBINOT_TIMEZONE);
+
+const RUBINOT_TIME_PATTERN = /^(\d{2})\.(\d{2})\.(\d{4}),\s*(\d{2}):(\d{2}):(\d{2})$/;
+
+function resolveTimeZone(timeZone) {
+  if (!timeZone) return DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (e) {
+    console.warn(`⚠️  Unknown RUBINOT_TIMEZONE "${timeZone}", using ${DEFAULT_TIMEZONE}`);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+const formatters = new Map(); // timeZone -> Intl.DateTimeFormat (creating them is slow)
+
+// Wall clock fields of an instant in a timezone
+function getZonedParts(ms, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(ms)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+// Offset of a timezone from UTC at an instant, in ms
+function getTimeZoneOffset(ms, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(ms, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Instant of a wall clock time in a timezone (second pass corrects guesses across DST changes).
+ * @returns {number} epoch ms
+ */
+export function zonedTimeToEpoch(year, month, day, hours, minutes, seconds, timeZone = RUBINOT_TIMEZONE) {
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  let epoch = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  const offset = getTimeZoneOffset(epoch, timeZone);
+  if (wallClock - offset !== epoch) epoch = wallClock - offset;
+  return epoch;
+}
+
+/**
+ * Parse a RubinOT time string on the server clock.
+ * @param {string} time - "07.10.2025, 22:50:28"
+ * @param {string} [timeZone]
+ * @returns {number|null} epoch ms, null if the string isn't a RubinOT time
+ */
+export function parseRubinOTTime(time, timeZone = RUBINOT_TIMEZONE) {
+  const match = RUBINOT_TIME_PATTERN.exec(time || '');
+  if (!match) return null;
+  const [, day, month, year, hours, minutes, seconds] = match.map(Number);
+  return zonedTimeToEpoch(year, month, day, hours, minutes, seconds, timeZone);
+}
+
+/**
+ * Format an instant the way RubinOT prints it (used by the mock server).
+ * @param {number|Date} date
+ * @param {string} [timeZone]
+ * @returns {string} "07.10.2025, 22:50:28"
+ */
+export function formatRubinOTTime(date, timeZone = RUBINOT_TIMEZONE) {
+  const { year, month, day, hour, minute, second } = getZonedParts(Number(date), timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(day)}.${pad(month)}.${year}, ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+}
+
+/**
+ * Timestamp fields added to every death next to the raw `time`.
+ * @param {string} time
+ * @param {string} [timeZone]
+ * @returns {{ timestamp: string|null, timestampMs: number|null }} timestamp is ISO 8601 (UTC)
+ */
+export function getDeathTimestamp(time, timeZone = RUBINOT_TIMEZONE) {
+  const timestampMs = parseRubinOTTime(time, timeZone);
+  return {
+    timestamp: timestampMs === null ? null : new Date(timestampMs).toISOString(),
+    timestampMs
+  };
+}
+
+/**
+ * Start of the hour or day containing an instant, on a timezone's wall clock.
+ * @param {number} ms - epoch ms
+ * @param {'hour'|'day'} unit
+ * @param {string} [timeZone]
+ * @returns {number} epoch ms
+ */
+export function startOfZonedPeriod(ms, unit, timeZone = RUBINOT_TIMEZONE) {
+  const { year, month, day, hour } = getZonedParts(ms, timeZone);
+  return zonedTimeToEpoch(year, month, day, unit === 'day' ? 0 : hour, 0, 0, timeZone);
+}
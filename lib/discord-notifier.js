@@ -0,0 +1,258 @@
+// Discord webhook notifier
+// Every webhook is a notification hub channel (`discord:<name>`) with its own rate limit and
+// delivery queue; sent deaths are remembered in DATA_DIR so a restart never posts the same death twice.
+//
+// DISCORD_WEBHOOKS='[{ "name": "hunts", "url": "https://discord.com/api/webhooks/...",
+//   "rules": { "worlds": ["20"], "minLevel": 500, "vocations": ["Elite Knight"], "guilds": ["Red Rose"], "pvp": true },
+//   "rateLimit": 30 }]'
+// `rules` become a read-only alert rule routed to the webhook (see alert-rules.js); `"rules": {}` matches
+// every death. Watchlist deaths reach every webhook. Guild war alerts (type 'war') are posted as their own embed.
+import path from 'path';
+import { normalizeConditions } from './alert-rules.js';
+import { createJsonFile } from './json-file.js';
+
+export const DISCORD_CHANNEL_PREFIX = 'discord:';
+
+const DEFAULT_RATE_LIMIT = 30; // Messages per minute (Discord's own per-webhook limit)
+const RATE_LIMIT_WINDOW = 60 * 1000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 2000; // Doubled on every retry
+const SENT_TTL = 7 * 24 * 60 * 60 * 1000; // Forget sent deaths after a week
+
+const EMBED_COLOR = 0x8b0000;
+const WATCHED_EMBED_COLOR = 0xffc107;
+const WAR_EMBED_COLOR = 0xff5722;
+
+// DISCORD_WEBHOOKS (JSON array) or DISCORD_WEBHOOK_URL (one webhook, watchlist deaths only)
+export function parseDiscordWebhooks({ DISCORD_WEBHOOKS, DISCORD_WEBHOOK_URL } = {}) {
+  if (DISCORD_WEBHOOKS) {
+    const webhooks = JSON.parse(DISCORD_WEBHOOKS);
+    if (!Array.isArray(webhooks)) throw new Error('DISCORD_WEBHOOKS must be a JSON array');
+
+    return webhooks.map((webhook, i) => {
+      if (!webhook.url) throw new Error(`DISCORD_WEBHOOKS[${i}] has no url`);
+      return {
+        name: webhook.name || `webhook-${i + 1}`,
+        url: webhook.url,
+        rules: webhook.rules ? normalizeConditions(webhook.rules) : null,
+        rateLimit: webhook.rateLimit || DEFAULT_RATE_LIMIT
+      };
+    });
+  }
+  if (DISCORD_WEBHOOK_URL) {
+    return [{ name: 'default', url: DISCORD_WEBHOOK_URL, rules: null, rateLimit: DEFAULT_RATE_LIMIT }];
+  }
+  return [];
+}
+
+// Alert rules for webhooks configured with `rules`
+export function getWebhookRules(webhooks) {
+  return webhooks.filter(webhook => webhook.rules).map(webhook => ({
+    id: `${DISCORD_CHANNEL_PREFIX}${webhook.name}`,
+    name: `${webhook.name} (DISCORD_WEBHOOKS)`,
+    enabled: true,
+    conditions: webhook.rules,
+    targets: [`${DISCORD_CHANNEL_PREFIX}${webhook.name}`]
+  }));
+}
+
+function formatKillers(death) {
+  if (!death.killers || death.killers.length === 0) return death.cause || 'Unknown';
+
+  return death.killers.map(killer => {
+    const name = killer.type === 'player' ? `**${killer.name}**` : killer.name;
+    const summon = killer.summonedBy ? ` (summoned by **${killer.summonedBy}**)` : '';
+    return `${killer.finalBlow ? '🗡️ ' : ''}${name}${summon}`;
+  }).join('\n');
+}
+
+// Discord embed for one death
+export function formatDeathEmbed(death, { worldName, watched = [], rules = [] } = {}) {
+  const fields = [
+    { name: 'Level', value: String(death.level), inline: true },
+    { name: 'Vocation', value: death.vocation || 'Unknown', inline: true },
+    { name: 'Guild', value: death.guild || 'None', inline: true },
+    { name: death.pvp ? 'Killers (PvP)' : 'Killers', value: formatKillers(death).slice(0, 1024), inline: false },
+    { name: 'World', value: worldName || String(death.worldId || 'Unknown'), inline: true },
+    { name: 'Time (server)', value: death.time, inline: true }
+  ];
+  if (watched.length > 0) {
+    fields.push({ name: '👁️ Watched', value: watched.map(entry => entry.name).join(', '), inline: false });
+  }
+
+  return {
+    title: `💀 ${death.player} died at level ${death.level}`,
+    url: death.playerLink,
+    color: watched.length > 0 ? WATCHED_EMBED_COLOR : EMBED_COLOR,
+    fields,
+    ...(rules.length > 0 ? { footer: { text: `Rules: ${rules.join(', ')}` } } : {}),
+    ...(death.timestamp ? { timestamp: death.timestamp } : {})
+  };
+}
+
+// Discord embed for a guild war that just crossed the alert threshold
+export function formatWarEmbed(war, { worldName } = {}) {
+  const [first, second] = war.guilds;
+  const participants = (side) => side.slice(0, 10).map(p => `${p.name} (${p.kills}/${p.deaths})`).join('\n') || '-';
+
+  return {
+    title: `⚔️ Guild war: ${first} vs ${second}`,
+    description: `**${first}** ${war.score[0]} - ${war.score[1]} **${second}** (${war.kills} kills)`,
+    color: WAR_EMBED_COLOR,
+    fields: [
+      { name: `${first} (kills/deaths)`, value: participants(war.participants[0]).slice(0, 1024), inline: true },
+      { name: `${second} (kills/deaths)`, value: participants(war.participants[1]).slice(0, 1024), inline: true },
+      { name: 'World', value: worldName || String(war.worldId || 'Unknown'), inline: false }
+    ],
+    timestamp: new Date(war.lastKillAt).toISOString()
+  };
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// How long Discord wants us to wait after a 429 (JSON retry_after or Retry-After header, in seconds)
+async function getRetryAfter(response) {
+  try {
+    const body = await response.json();
+    if (body.retry_after) return Math.ceil(body.retry_after * 1000);
+  } catch (e) {
+    // Not JSON - fall back to the header
+  }
+  const header = Number(response.headers.get('retry-after'));
+  return header > 0 ? header * 1000 : null;
+}
+
+export function createDiscordNotifier({
+  webhooks,
+  dataDir,
+  fetchImpl = fetch,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  retryDelay = DEFAULT_RETRY_DELAY,
+  sleep = wait,
+  now = Date.now
+}) {
+  const file = createJsonFile(path.join(dataDir, 'discord-sent.json'), { label: 'Discord sent log', indent: 0 });
+  const sent = new Map(); // `${webhook}|${deathId}` -> sentAt
+  const queued = new Set(); // Same keys, waiting in a queue or in flight
+  const states = new Map(webhooks.map(webhook => [webhook.name, {
+    webhook,
+    queue: Promise.resolve(),
+    sentTimes: [], // Sends within the rate limit window
+    delivered: 0,
+    failed: 0,
+    lastError: null
+  }]));
+
+  for (const [key, sentAt] of Object.entries(file.read({}))) {
+    sent.set(key, sentAt);
+  }
+
+  // Old entries are dropped on the way
+  function save() {
+    const cutoff = now() - SENT_TTL;
+    for (const [key, sentAt] of sent) {
+      if (sentAt < cutoff) sent.delete(key);
+    }
+    return file.save(Object.fromEntries(sent));
+  }
+
+  // Wait until the webhook is under its per-minute limit
+  async function waitForRateLimit(state) {
+    const limit = state.webhook.rateLimit || DEFAULT_RATE_LIMIT;
+    for (;;) {
+      const time = now();
+      state.sentTimes = state.sentTimes.filter(sentAt => time - sentAt < RATE_LIMIT_WINDOW);
+      if (state.sentTimes.length < limit) return;
+      await sleep(RATE_LIMIT_WINDOW - (time - state.sentTimes[0]));
+    }
+  }
+
+  // POST with retries: 429 waits as long as Discord asks, 5xx/network errors back off exponentially
+  async function post(state, payload) {
+    for (let attempt = 0; ; attempt++) {
+      await waitForRateLimit(state);
+      state.sentTimes.push(now());
+
+      let response;
+      try {
+        response = await fetchImpl(state.webhook.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
+      } catch (error) {
+        if (attempt >= maxRetries) throw error;
+        await sleep(retryDelay * 2 ** attempt);
+        continue;
+      }
+
+      if (response.ok) return;
+
+      const retryable = response.status === 429 || response.status >= 500;
+      if (!retryable || attempt >= maxRetries) {
+        throw new Error(`Discord webhook responded ${response.status}`);
+      }
+      const delay = response.status === 429 ? await getRetryAfter(response) : null;
+      console.warn(`⚠️  Discord webhook ${state.webhook.name}: ${response.status}, retrying (${attempt + 1}/${maxRetries})`);
+      await sleep(delay ?? retryDelay * 2 ** attempt);
+    }
+  }
+
+  // Queue one alert for one webhook (deliveries per webhook are sequential)
+  function deliver(state, alert) {
+    const isWar = alert.type === 'war';
+    const key = isWar
+      ? `${state.webhook.name}|war:${alert.war.id}:${alert.war.startedAt}`
+      : `${state.webhook.name}|${alert.death.id}`;
+    if (sent.has(key) || queued.has(key)) return Promise.resolve(false);
+    queued.add(key);
+
+    const embed = isWar
+      ? formatWarEmbed(alert.war, { worldName: alert.worldName })
+      : formatDeathEmbed(alert.death, { worldName: alert.worldName, watched: alert.watched, rules: alert.rules });
+    const delivery = state.queue.then(() => post(state, { embeds: [embed] }))
+      .then(() => {
+        sent.set(key, now());
+        state.delivered++;
+        state.lastError = null;
+        save();
+        return true;
+      })
+      .catch(error => {
+        state.failed++;
+        state.lastError = error.message;
+        throw new Error(`${state.webhook.name}: ${error.message}`);
+      })
+      .finally(() => queued.delete(key));
+
+    state.queue = delivery.catch(() => {});
+    return delivery;
+  }
+
+  // One hub channel per webhook; send resolves once Discord accepted the alert (or rejects after the retries)
+  function getChannels() {
+    return Array.from(states.values()).map(state => ({
+      name: `${DISCORD_CHANNEL_PREFIX}${state.webhook.name}`,
+      send: (alert) => deliver(state, alert)
+    }));
+  }
+
+  function getStatus() {
+    return Array.from(states.values()).map(state => ({
+      name: state.webhook.name,
+      rules: state.webhook.rules,
+      rateLimit: state.webhook.rateLimit,
+      delivered: state.delivered,
+      failed: state.failed,
+      lastError: state.lastError
+    }));
+  }
+
+  function flush() {
+    return Promise.all(Array.from(states.values()).map(state => state.queue)).then(() => file.flush());
+  }
+
+  return { filePath: file.filePath, getChannels, getStatus, flush };
+}
@@ -0,0 +1,263 @@
+// Stealth headless Chrome strategy - slow and memory hungry, but gets through Cloudflare challenges
+import puppeteer from 'puppeteer-extra';
+import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+import { detectBlockPage } from '../rubinot-parser.js';
+import { USER_AGENT } from './http-fetcher.js';
+
+// Use stealth plugin to bypass Cloudflare bot detection
+puppeteer.use(StealthPlugin());
+
+const DEFAULT_MAX_RETRIES = 3;
+
+export function createBrowserFetcher() {
+  // Browser instance for reuse
+  let sharedBrowser = null;
+  let browserLaunching = false;
+
+  // Browser management
+  async function getBrowser() {
+    if (sharedBrowser && sharedBrowser.isConnected()) {
+      return sharedBrowser;
+    }
+
+    if (browserLaunching) {
+      // Wait for browser to finish launching
+      while (browserLaunching) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      return sharedBrowser;
+    }
+
+    browserLaunching = true;
+
+    try {
+      console.log('🚀 Launching browser with stealth mode...');
+      sharedBrowser = await puppeteer.launch({
+        headless: 'new', // Use new headless mode (better Cloudflare evasion)
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-accelerated-2d-canvas',
+          '--no-first-run',
+          '--no-zygote',
+          '--disable-gpu',
+          '--disable-blink-features=AutomationControlled', // Hide automation
+          '--disable-features=IsolateOrigins,site-per-process', // Better compatibility
+          `--user-agent=${USER_AGENT}`
+        ]
+      });
+
+      console.log('✅ Browser launched successfully');
+      return sharedBrowser;
+    } catch (error) {
+      console.error('❌ Failed to launch browser:', error);
+      throw error;
+    } finally {
+      browserLaunching = false;
+    }
+  }
+
+  async function setupPage(browser) {
+    const page = await browser.newPage();
+
+    // Stealth: Set realistic user agent and viewport
+    await page.setUserAgent(USER_AGENT);
+    await page.setViewport({ width: 1920, height: 1080 }); // Realistic viewport
+
+    // Stealth: Set additional headers
+    await page.setExtraHTTPHeaders({
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+    });
+
+    // Stealth: Override navigator properties
+    await page.evaluateOnNewDocument(() => {
+      // Override the navigator.webdriver property
+      Object.defineProperty(navigator, 'webdriver', {
+        get: () => false,
+      });
+
+      // Override the navigator.plugins to look like a real browser
+      Object.defineProperty(navigator, 'plugins', {
+        get: () => [1, 2, 3, 4, 5],
+      });
+
+      // Override navigator.languages
+      Object.defineProperty(navigator, 'languages', {
+        get: () => ['en-US', 'en'],
+      });
+    });
+
+    // Block resources (but keep HTML/scripts for Cloudflare)
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+      const resourceType = req.resourceType();
+      if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
+        req.abort();
+      } else {
+        req.continue();
+      }
+    });
+
+    return page;
+  }
+
+  // Load a page, getting through Cloudflare and waiting for `waitForSelector`
+  // Returns { html, url, cookies } - cookies (incl. cf_clearance) can be reused by the HTTP strategy
+  async function fetchPage(url, { waitForSelector = "div.TableContentContainer table.TableContent", maxRetries = DEFAULT_MAX_RETRIES } = {}) {
+    let page = null;
+    let retryCount = 0;
+
+    try {
+      // ULTRA-SMART RETRY LOGIC with progressive timeouts
+      while (retryCount <= maxRetries) {
+        try {
+          // Get browser (reuse or create)
+          const browser = await getBrowser();
+          page = await setupPage(browser);
+
+          // PROGRESSIVE TIMEOUTS: Start fast, get more patient (optimized for speed)
+          let gotoTimeout, selectorTimeout;
+          if (retryCount === 0) {
+            gotoTimeout = 6000;    // 6s - ultra-fast bailout
+            selectorTimeout = 3000; // 3s - quick check
+          } else if (retryCount === 1) {
+            gotoTimeout = 10000;   // 10s - medium patience
+            selectorTimeout = 5000; // 5s - medium check
+          } else {
+            gotoTimeout = 15000;   // 15s - last chance
+            selectorTimeout = 7000; // 7s - thorough check
+          }
+
+          const startTime = Date.now();
+
+          await page.goto(url, {
+            waitUntil: "networkidle2", // Wait for network to be mostly idle
+            timeout: gotoTimeout
+          });
+
+          const loadTime = Date.now() - startTime;
+          console.log(`⏱️  Page loaded in ${loadTime}ms (attempt ${retryCount + 1}/${maxRetries + 1})`);
+
+          // Give minimal time for dynamic content (ultra-fast!)
+          await new Promise(resolve => setTimeout(resolve, 300));
+
+          // Check for Cloudflare challenge first
+          if (detectBlockPage(await page.content())) {
+            console.log(`🛡️  Cloudflare challenge detected, waiting for completion...`);
+            // Wait longer for Cloudflare challenge to complete
+            await new Promise(resolve => setTimeout(resolve, 3000));
+
+            // Check again if challenge passed
+            if (detectBlockPage(await page.content())) {
+              console.log(`❌ Cloudflare challenge failed, forcing retry...`);
+              throw new Error('Cloudflare challenge failed');
+            }
+
+            console.log(`✅ Cloudflare challenge passed!`);
+          }
+
+          // Try to wait for table with progressive timeout
+          try {
+            await page.waitForSelector(waitForSelector, { timeout: selectorTimeout });
+            console.log(`✅ Table found!`);
+            break; // Success! Exit retry loop
+          } catch (selectorError) {
+            // Check if page has any content at all and debug structure
+            const pageInfo = await page.evaluate(() => {
+              const container = document.querySelector("div.TableContentContainer");
+              const table = document.querySelector("table.TableContent");
+              const anyTable = document.querySelector("table");
+              const bodyHTML = document.body ? document.body.innerHTML.substring(0, 500) : "NO BODY";
+              const isCfBlock = document.body.innerHTML.includes('cf-wrapper');
+
+              return {
+                container: !!container,
+                table: !!table,
+                anyTable: !!anyTable,
+                bodyPreview: bodyHTML,
+                containerHTML: container ? container.innerHTML.substring(0, 300) : "NO CONTAINER",
+                cloudflareBlock: isCfBlock
+              };
+            });
+
+            console.log(`🔍 Page content check: container=${pageInfo.container}, table=${pageInfo.table}, anyTable=${pageInfo.anyTable}, cfBlock=${pageInfo.cloudflareBlock}`);
+
+            // If Cloudflare is blocking, don't show HTML preview (too verbose)
+            if (!pageInfo.cloudflareBlock) {
+              console.log(`📄 Body preview:`, pageInfo.bodyPreview);
+              console.log(`📦 Container HTML:`, pageInfo.containerHTML);
+            } else {
+              console.log(`🛡️  Cloudflare blocking detected - will retry with fresh page`);
+            }
+
+            if (pageInfo.container || pageInfo.anyTable) {
+              // Some content exists, try to continue
+              console.log(`⚠️  Some content exists, continuing to parse...`);
+              break; // Exit retry loop, try to parse anyway
+            }
+
+            // No content at all, definitely need retry
+            throw selectorError;
+          }
+
+        } catch (error) {
+          console.log(`❌ Attempt ${retryCount + 1} failed: ${error.message}`);
+
+          if (page) {
+            try { await page.close(); } catch (e) {}
+            page = null;
+          }
+
+          // If Cloudflare is consistently blocking, restart browser on retry 2
+          if (error.message.includes('Cloudflare') && retryCount === 1) {
+            console.log(`🔄 Cloudflare blocking persists, restarting browser with new fingerprint...`);
+            await close();
+            // Next getBrowser() call will create a fresh browser
+          }
+
+          retryCount++;
+          if (retryCount > maxRetries) {
+            throw new Error(`Failed to load RubinOT page after ${maxRetries + 1} attempts: ${error.message}`);
+          }
+
+          // Wait before retry (longer if Cloudflare blocked)
+          const waitTime = error.message.includes('Cloudflare')
+            ? Math.min(2000 * retryCount, 5000) // Longer wait for Cloudflare
+            : Math.min(1000 * retryCount, 3000); // Normal wait
+          console.log(`⏳ Waiting ${waitTime}ms before retry...`);
+          await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+      }
+
+      const result = {
+        html: await page.content(),
+        url: page.url(),
+        cookies: (await page.cookies()).map(({ name, value }) => ({ name, value }))
+      };
+      await page.close();
+      return result;
+
+    } catch (error) {
+      if (page) {
+        try { await page.close(); } catch (e) {}
+      }
+      throw error;
+    }
+  }
+
+  async function close() {
+    try {
+      if (sharedBrowser) {
+        const browser = sharedBrowser;
+        sharedBrowser = null;
+        await browser.close();
+      }
+    } catch (e) {
+      console.warn('⚠️  Error closing browser:', e.message);
+    }
+  }
+
+  return { name: 'browser', fetchPage, close };
+}
@@ -0,0 +1,74 @@
+// Plain HTTP strategy - a single fetch() per page, no browser
+// Keeps a cookie jar so a cf_clearance cookie (e.g. handed over by the browser strategy) is reused
+import { detectBlockPage } from '../rubinot-parser.js';
+
+// Shared by both strategies: Cloudflare ties cf_clearance to the user agent that solved the challenge
+export const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const DEFAULT_TIMEOUT = 8000;
+
+export function createHttpFetcher({ timeout = DEFAULT_TIMEOUT } = {}) {
+  const cookieJar = new Map(); // host -> Map(name -> value)
+
+  function getCookies(host) {
+    if (!cookieJar.has(host)) cookieJar.set(host, new Map());
+    return cookieJar.get(host);
+  }
+
+  function storeSetCookieHeaders(host, response) {
+    const setCookies = typeof response.headers.getSetCookie === 'function'
+      ? response.headers.getSetCookie()
+      : [];
+    const cookies = getCookies(host);
+    for (const header of setCookies) {
+      const [pair] = header.split(';');
+      const separator = pair.indexOf('=');
+      if (separator > 0) {
+        cookies.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+      }
+    }
+  }
+
+  // Import cookies from another strategy ([{ name, value }])
+  function setCookies(url, cookieList) {
+    const cookies = getCookies(new URL(url).host);
+    for (const { name, value } of cookieList) {
+      cookies.set(name, value);
+    }
+  }
+
+  // Returns { html, url } or throws; error.blockType is set when Cloudflare answered instead of RubinOT
+  async function fetchPage(url) {
+    const host = new URL(url).host;
+    const cookieHeader = Array.from(getCookies(host), ([name, value]) => `${name}=${value}`).join('; ');
+
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9',
+        ...(cookieHeader ? { 'Cookie': cookieHeader } : {})
+      },
+      redirect: 'follow',
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    storeSetCookieHeaders(host, response);
+    const html = await response.text();
+
+    const blockType = detectBlockPage(html);
+    if (blockType) {
+      const error = new Error(`Cloudflare ${blockType} page (HTTP ${response.status})`);
+      error.blockType = blockType;
+      throw error;
+    }
+
+    if (!response.ok) {
+      throw new Error(`RubinOT responded with HTTP ${response.status}`);
+    }
+
+    return { html, url: response.url || url };
+  }
+
+  return { name: 'http', fetchPage, setCookies };
+}
@@ -0,0 +1,119 @@
+// Guild rosters (?subtopic=guilds&page=view)
+// Guilds someone looked at stay tracked for a while and are refreshed in the background,
+// so online status and levels are current without a RubinOT request per API call.
+// Guilds that do not exist or never loaded are only cached until the next background refresh.
+import { parseGuildPage } from './rubinot-parser.js';
+import { guildUrl } from './rubinot-urls.js';
+
+const DEFAULT_REFRESH_INTERVAL = 10 * 60 * 1000; // 10 minutes
+const DEFAULT_TRACK_DURATION = 24 * 60 * 60 * 1000; // Refresh for a day after the last request
+
+// fetchPage(url, options) -> { html } (the RubinOT fetcher)
+export function createGuildTracker({ fetchPage, refreshInterval = DEFAULT_REFRESH_INTERVAL, trackDuration = DEFAULT_TRACK_DURATION }) {
+  const guilds = new Map(); // lowercase name -> { guild, fetchedAt, lastRequestedAt, lastError }
+  const pending = new Map(); // lowercase name -> in-flight fetch
+  let timer = null;
+
+  function getEntry(name) {
+    const key = name.toLowerCase();
+    if (!guilds.has(key)) {
+      guilds.set(key, { guild: undefined, fetchedAt: 0, lastRequestedAt: 0, lastError: null });
+    }
+    return guilds.get(key);
+  }
+
+  // Fetch and cache one guild; guild is null when RubinOT has no such guild
+  function refreshGuild(name) {
+    const key = name.toLowerCase();
+    if (pending.has(key)) return pending.get(key);
+
+    const entry = getEntry(name);
+    const request = fetchPage(guildUrl(name), {
+      statsKey: 'guilds',
+      waitForSelector: 'div.TableContentContainer',
+      maxRetries: 0
+    })
+      .then(page => {
+        entry.guild = parseGuildPage(page.html);
+        entry.fetchedAt = Date.now();
+        entry.lastError = null;
+        return entry;
+      })
+      .catch(error => {
+        entry.lastError = error.message;
+        throw error;
+      })
+      .finally(() => pending.delete(key));
+
+    pending.set(key, request);
+    return request;
+  }
+
+  function isFresh(name, maxAge = refreshInterval) {
+    const entry = guilds.get(name.toLowerCase());
+    return Boolean(entry && entry.guild !== undefined && Date.now() - entry.fetchedAt < maxAge);
+  }
+
+  // Returns { guild, fetchedAt, stale } - guild null if it doesn't exist
+  // Throws when RubinOT fails and nothing is cached
+  async function getGuild(name, { maxAge = refreshInterval } = {}) {
+    const entry = getEntry(name);
+    entry.lastRequestedAt = Date.now();
+
+    if (!isFresh(name, maxAge)) {
+      try {
+        await refreshGuild(name);
+      } catch (error) {
+        if (entry.guild === undefined) throw error;
+        console.warn(`⚠️  Guild ${name} refresh failed (${error.message}), serving cached roster`);
+        return { guild: entry.guild, fetchedAt: entry.fetchedAt, stale: true };
+      }
+    }
+
+    return { guild: entry.guild, fetchedAt: entry.fetchedAt, stale: false };
+  }
+
+  // Background refresh, one guild at a time
+  async function refreshTracked() {
+    const now = Date.now();
+    for (const [key, entry] of guilds) {
+      // Forget idle guilds and guilds without a roster (not found, never loaded); a new request looks them up again
+      const idle = now - entry.lastRequestedAt > trackDuration;
+      if (idle || (!entry.guild && !pending.has(key))) {
+        guilds.delete(key);
+        continue;
+      }
+      if (now - entry.fetchedAt < refreshInterval) continue;
+
+      const name = entry.guild ? entry.guild.name || key : key;
+      try {
+        await refreshGuild(name);
+      } catch (error) {
+        console.error(`❌ Failed to refresh guild ${name}: ${error.message}`);
+      }
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(refreshTracked, refreshInterval);
+    console.log(`🏰 Guild tracker: refreshing viewed guilds every ${Math.round(refreshInterval / 60000)} minutes`);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function getStatus() {
+    return Array.from(guilds.values()).map(entry => ({
+      name: entry.guild ? entry.guild.name : null,
+      members: entry.guild ? entry.guild.members.length : 0,
+      fetchedAt: entry.fetchedAt || null,
+      lastRequestedAt: entry.lastRequestedAt,
+      lastError: entry.lastError
+    }));
+  }
+
+  return { getGuild, isFresh, refreshTracked, start, stop, getStatus };
+}
@@ -0,0 +1,160 @@
+// Guild war detection over stored deaths
+// A PvP death is a kill for every guild among its player killers (guilds looked up by the character
+// scraper) against the victim's guild. Two guilds are at war when both sides scored and together
+// reached `minKills` within the window.
+import { getDeathTimeValue } from './death-store.js';
+import { createTimeline } from './death-stats.js';
+import { RUBINOT_TIMEZONE } from './death-time.js';
+import { getPlayerKillerCredits } from './death-cause.js';
+
+export const DEFAULT_WAR_MIN_KILLS = 5;
+const MAX_WAR_EVENTS = 50;
+
+// Same war id whichever side scored first: "20:bounty hunters|red rose"
+export function getWarId(worldId, guildA, guildB) {
+  return `${worldId}:${[guildA.toLowerCase(), guildB.toLowerCase()].sort().join('|')}`;
+}
+
+function isInWindow(death, from, to) {
+  const time = getDeathTimeValue(death);
+  return time >= from && time <= to;
+}
+
+// Guilds that scored this death: distinct killer guilds (summoners included) other than the victim's own
+function getKillerGuilds(death) {
+  const victimGuild = death.guild.toLowerCase();
+  const guilds = new Map(); // lowercase -> { name, killers }
+  for (const killer of getPlayerKillerCredits(death.killers)) {
+    if (!killer.guild || killer.guild.toLowerCase() === victimGuild) continue;
+    const key = killer.guild.toLowerCase();
+    if (!guilds.has(key)) guilds.set(key, { name: killer.guild, killers: [] });
+    guilds.get(key).killers.push(killer.name);
+  }
+  return Array.from(guilds.values());
+}
+
+function addParticipant(side, name, field) {
+  const key = name.toLowerCase();
+  const participant = side.participants.get(key) || { name, kills: 0, deaths: 0 };
+  participant[field]++;
+  side.participants.set(key, participant);
+}
+
+/**
+ * Guild wars of one or more worlds within a window, biggest first.
+ * @param {Object[]} deaths - stored death records
+ * @param {Object} options
+ * @param {number} options.from - window start, epoch ms
+ * @param {number} options.to - window end, epoch ms
+ * @param {number} [options.minKills] - kills (both sides together) that make a war
+ * @param {'hour'|'day'} [options.bucket] - timeline resolution
+ * @param {string} [options.timeZone]
+ */
+export function detectGuildWars(deaths, {
+  from,
+  to,
+  minKills = DEFAULT_WAR_MIN_KILLS,
+  bucket = 'hour',
+  timeZone = RUBINOT_TIMEZONE
+}) {
+  const wars = new Map(); // war id -> { worldId, sides: Map(guild -> side), events }
+
+  const pvpDeaths = deaths
+    .filter(death => death.pvp && death.guild && isInWindow(death, from, to))
+    .sort((a, b) => getDeathTimeValue(a) - getDeathTimeValue(b));
+
+  for (const death of pvpDeaths) {
+    const time = getDeathTimeValue(death);
+
+    for (const { name: killerGuild, killers } of getKillerGuilds(death)) {
+      const id = getWarId(death.worldId, killerGuild, death.guild);
+      const war = wars.get(id) || { id, worldId: death.worldId, sides: new Map(), events: [] };
+      const getSide = (guild) => {
+        const key = guild.toLowerCase();
+        if (!war.sides.has(key)) war.sides.set(key, { name: guild, kills: 0, participants: new Map(), times: [] });
+        return war.sides.get(key);
+      };
+
+      const attackers = getSide(killerGuild);
+      const defenders = getSide(death.guild);
+      attackers.kills++;
+      attackers.times.push(time);
+      killers.forEach(killer => addParticipant(attackers, killer, 'kills'));
+      addParticipant(defenders, death.player, 'deaths');
+
+      war.events.push({
+        deathId: death.id,
+        time: death.time,
+        timestampMs: time,
+        killerGuild: attackers.name,
+        killers,
+        victim: death.player,
+        victimLevel: death.level,
+        victimGuild: defenders.name
+      });
+      wars.set(id, war);
+    }
+  }
+
+  return Array.from(wars.values())
+    .map(war => {
+      const sides = Array.from(war.sides.values()).sort((a, b) => b.kills - a.kills || a.name.localeCompare(b.name));
+      return { ...war, sides };
+    })
+    .filter(({ sides }) => sides.every(side => side.kills > 0) && sides[0].kills + sides[1].kills >= minKills)
+    .map(({ id, worldId, sides, events }) => {
+      const timeline = createTimeline(from, to, bucket, timeZone).map(({ start, timestamp }) => ({ start, timestamp, kills: [0, 0] }));
+      sides.forEach((side, i) => side.times.forEach(time => {
+        let point = timeline.length - 1;
+        while (point > 0 && timeline[point].start > time) point--;
+        timeline[point].kills[i]++;
+      }));
+
+      return {
+        id,
+        worldId,
+        guilds: sides.map(side => side.name),
+        score: sides.map(side => side.kills),
+        kills: sides[0].kills + sides[1].kills,
+        participants: sides.map(side => Array.from(side.participants.values())
+          .sort((a, b) => b.kills - a.kills || b.deaths - a.deaths || a.name.localeCompare(b.name))),
+        startedAt: events[0].timestampMs,
+        lastKillAt: events[events.length - 1].timestampMs,
+        timeline,
+        events: events.slice(-MAX_WAR_EVENTS).reverse()
+      };
+    })
+    .sort((a, b) => b.kills - a.kills || b.lastKillAt - a.lastKillAt);
+}
+
+// Alerting: reports each war once, when it first reaches minKills within the trailing window.
+// A war that drops below the threshold (kills age out of the window) can be reported again later.
+// getDeaths(worldId, from, to) -> stored deaths of the world in the window
+export function createGuildWarMonitor({ minKills, windowMs, getDeaths, now = Date.now }) {
+  const reported = new Map(); // worldId -> Set of war ids currently above the threshold
+
+  function detect(worldId) {
+    const to = now();
+    const from = to - windowMs;
+    return detectGuildWars(getDeaths(worldId, from, to), { from, to, minKills, bucket: 'day' });
+  }
+
+  // Wars that crossed the threshold since the last check of this world
+  function check(worldId) {
+    const wars = detect(worldId);
+    const previous = reported.get(worldId) || new Set();
+    reported.set(worldId, new Set(wars.map(war => war.id)));
+    return wars.filter(war => !previous.has(war.id));
+  }
+
+  // Mark the wars already going on as reported (on startup, so a restart doesn't repeat alerts)
+  function seed(worldId) {
+    reported.set(worldId, new Set(detect(worldId).map(war => war.id)));
+  }
+
+  function getActiveCount() {
+    return Array.from(reported.values()).reduce((sum, ids) => sum + ids.size, 0);
+  }
+
+  return { check, seed, getActiveCount };
+}
@@ -0,0 +1,40 @@
+// Small JSON state files in DATA_DIR (watchlist, alert rules, webhooks, Discord sent log)
+// Always written whole: tmp file + rename so a crash never leaves half a file,
+// and writes are chained so they land in order.
+import fs from 'fs';
+import path from 'path';
+
+// label: what the file holds, for log messages
+// indent: JSON indentation (0 for compact files that are never read by hand)
+export function createJsonFile(filePath, { label = path.basename(filePath), indent = 2 } = {}) {
+  let writeChain = Promise.resolve();
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  // Parsed content, or fallback when the file is missing or unreadable
+  function read(fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      console.warn(`⚠️  Could not read ${filePath}: ${e.message}`);
+      return fallback;
+    }
+  }
+
+  function save(value) {
+    const content = JSON.stringify(value, null, indent);
+    const tmpPath = `${filePath}.tmp`;
+    writeChain = writeChain
+      .then(() => fs.promises.writeFile(tmpPath, content))
+      .then(() => fs.promises.rename(tmpPath, filePath))
+      .catch(error => console.error(`❌ Failed to write ${label}: ${error.message}`));
+    return writeChain;
+  }
+
+  function flush() {
+    return writeChain;
+  }
+
+  return { filePath, read, save, flush };
+}
@@ -0,0 +1,39 @@
+// Notification hub: every alert channel (SSE, WebSocket, Discord, ...) registers here
+// A channel is { send(alert) } - send may be async; one failing channel never blocks the others
+//
+// alert: { type: 'watch' | 'death', worldId, worldName, death, watched: [watch entries] }
+// Deaths are dispatched by lib/death-alerts.js, at most once per channel;
+// 'watch' means the death is on the watchlist (watched is not empty)
+// or { type: 'war', worldId, worldName, war } when two guilds cross the guild war alert threshold
+
+export function createNotificationHub() {
+  const channels = new Map(); // name -> channel
+
+  function register(name, channel) {
+    channels.set(name, channel);
+    console.log(`📣 Notification channel registered: ${name}`);
+  }
+
+  function unregister(name) {
+    channels.delete(name);
+  }
+
+  // Send an alert to the named channels (default: all); resolves once every channel finished
+  async function dispatch(alert, { only } = {}) {
+    const targets = Array.from(channels).filter(([name]) => !only || only.includes(name));
+    const results = await Promise.allSettled(targets.map(([, channel]) => channel.send(alert)));
+
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.error(`❌ Notification channel ${targets[i][0]} failed: ${result.reason.message}`);
+      }
+    });
+    return results;
+  }
+
+  function list() {
+    return Array.from(channels.keys());
+  }
+
+  return { register, unregister, dispatch, list };
+}
@@ -0,0 +1,312 @@
+// Outbound webhooks: any HTTP endpoint can subscribe to new deaths
+// Each subscription is a notification hub channel (`webhook:<name>`) and gets every new death,
+// or only the ones matching its alert rule conditions. Stored in DATA_DIR/webhooks.json.
+//
+// Request: POST <url> with the death as JSON (same shape as /api/deaths items)
+//   X-Death-Tracker-Event: death | watch
+//   X-Death-Tracker-Delivery: <delivery id, the same across retries>
+//   X-Death-Tracker-Signature: sha256=<hex HMAC-SHA256 of the raw body with the subscription secret>
+// Failed deliveries are retried with exponential backoff, then moved to the dead-letter list.
+// Loopback, private and link-local destinations are refused unless their host is in allowedHosts
+// (WEBHOOK_ALLOWED_HOSTS), both when a subscription is saved and when its host is resolved for a delivery.
+import path from 'path';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { normalizeConditions, matchesConditions } from './alert-rules.js';
+import { createJsonFile } from './json-file.js';
+
+export const WEBHOOK_CHANNEL_PREFIX = 'webhook:';
+export const SIGNATURE_HEADER = 'X-Death-Tracker-Signature';
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+const MIN_SECRET_LENGTH = 16;
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_RETRY_DELAY = 5000; // Doubled on every retry
+const DEFAULT_TIMEOUT = 10000;
+const MAX_DELIVERY_LOG = 200; // Attempts kept in memory for the admin API
+const MAX_DEAD_LETTERS = 500;
+
+export function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// For receivers: compare a signature header with the expected one (constant time)
+export function verifySignature(body, secret, signature) {
+  const expected = Buffer.from(signPayload(body, secret));
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Addresses a webhook must not reach: the server's own host and networks (cloud metadata, LAN, ...)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+export function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address); // IPv4-mapped IPv6
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// "[::1]" -> "::1"
+function getHost(url) {
+  return url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// 408/429 and server errors are worth another try, other client errors are not
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+export function createOutboundWebhooks({
+  dataDir,
+  fetchImpl = fetch,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  retryDelay = DEFAULT_RETRY_DELAY,
+  timeout = DEFAULT_TIMEOUT,
+  sleep = wait,
+  allowedHosts = [],
+  lookup = dns.promises.lookup
+}) {
+  const allowed = new Set(allowedHosts.map(host => host.toLowerCase()));
+  const file = createJsonFile(path.join(dataDir, 'webhooks.json'), { label: 'webhooks' });
+  const subscriptions = new Map(); // id -> subscription
+  const saved = file.read({});
+  let deadLetters = saved.deadLetters || [];
+  const deliveryLog = [];
+
+  for (const subscription of saved.subscriptions || []) {
+    subscriptions.set(subscription.id, subscription);
+  }
+
+  function save() {
+    return file.save({ subscriptions: Array.from(subscriptions.values()), deadLetters });
+  }
+
+  // Validated subscription fields (throws with a message safe to return to API clients)
+  function validate({ url, secret, enabled = true, conditions = null }) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      throw new Error('url must be a valid URL');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error('url must use http or https');
+    }
+    const host = getHost(parsed);
+    if (!allowed.has(host) && (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host))) {
+      throw new Error('url must not point to a local or private address');
+    }
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(`secret must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    if (typeof enabled !== 'boolean') {
+      throw new Error('enabled must be true or false');
+    }
+    return { url: parsed.href, secret, enabled, conditions: conditions === null ? null : normalizeConditions(conditions) };
+  }
+
+  function getChannelName(subscription) {
+    return `${WEBHOOK_CHANNEL_PREFIX}${subscription.name}`;
+  }
+
+  // Subscriptions without their secret (for listings)
+  function toPublic({ secret, ...subscription }) {
+    return { ...subscription, channel: getChannelName(subscription) };
+  }
+
+  function list() {
+    return Array.from(subscriptions.values()).map(toPublic);
+  }
+
+  function add(input = {}) {
+    const name = typeof input.name === 'string' ? input.name.trim().toLowerCase() : '';
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error('name must be 1-50 characters: letters, digits, "-" or "_"');
+    }
+    if (Array.from(subscriptions.values()).some(subscription => subscription.name === name)) {
+      throw new Error(`A webhook named ${name} already exists`);
+    }
+
+    const now = Date.now();
+    const subscription = {
+      id: crypto.randomUUID(),
+      name,
+      ...validate({ ...input, secret: input.secret || crypto.randomBytes(32).toString('hex') }),
+      createdAt: now,
+      updatedAt: now
+    };
+    subscriptions.set(subscription.id, subscription);
+    save();
+    return subscription; // The only response that includes the secret
+  }
+
+  // url, secret, enabled and conditions can change; null when the subscription doesn't exist
+  function update(id, input = {}) {
+    const existing = subscriptions.get(id);
+    if (!existing) return null;
+    if (input.name !== undefined && input.name !== existing.name) {
+      throw new Error('name cannot be changed (alert rules target it)');
+    }
+
+    const subscription = { ...existing, ...validate({ ...existing, ...input }), updatedAt: Date.now() };
+    subscriptions.set(id, subscription);
+    save();
+    return toPublic(subscription);
+  }
+
+  function remove(id) {
+    const removed = subscriptions.delete(id);
+    if (removed) save();
+    return removed;
+  }
+
+  function logAttempt(entry) {
+    deliveryLog.unshift(entry);
+    deliveryLog.length = Math.min(deliveryLog.length, MAX_DELIVERY_LOG);
+  }
+
+  // Resolved on every delivery: a public hostname can point at an internal address (null when it's fine)
+  async function getBlockedReason(url) {
+    const host = getHost(new URL(url));
+    if (allowed.has(host)) return null;
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [{ address: host }] : await lookup(host, { all: true });
+    } catch (error) {
+      return null; // DNS failures surface (and are retried) through fetch
+    }
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    return blocked ? `${host} resolves to the private address ${blocked.address}` : null;
+  }
+
+  // POST one death with retries; failed deliveries end up in the dead-letter list
+  async function deliver(subscription, { event, death, deliveryId = crypto.randomUUID() }) {
+    const body = JSON.stringify(death);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+      const startedAt = Date.now();
+      let status = null;
+      let blocked = null;
+      try {
+        blocked = await getBlockedReason(subscription.url);
+        if (blocked) throw new Error(blocked);
+        const response = await fetchImpl(subscription.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'rubinot-death-tracker',
+            'X-Death-Tracker-Event': event,
+            'X-Death-Tracker-Delivery': deliveryId,
+            [SIGNATURE_HEADER]: signPayload(body, subscription.secret)
+          },
+          body,
+          signal: AbortSignal.timeout(timeout)
+        });
+        status = response.status;
+        lastError = response.ok ? null : `HTTP ${response.status}`;
+      } catch (error) {
+        lastError = error.message;
+      }
+
+      logAttempt({
+        deliveryId,
+        subscriptionId: subscription.id,
+        name: subscription.name,
+        event,
+        deathId: death.id,
+        attempt,
+        status,
+        error: lastError,
+        durationMs: Date.now() - startedAt,
+        at: startedAt
+      });
+
+      if (!lastError) return true;
+      if (blocked || (status !== null && !isRetryableStatus(status))) break;
+      if (attempt <= maxRetries) await sleep(retryDelay * 2 ** (attempt - 1));
+    }
+
+    console.error(`❌ Webhook ${subscription.name}: delivery of ${death.player} failed (${lastError}), moved to dead letters`);
+    deadLetters.unshift({
+      id: deliveryId,
+      subscriptionId: subscription.id,
+      name: subscription.name,
+      event,
+      death,
+      lastError,
+      failedAt: Date.now()
+    });
+    deadLetters.length = Math.min(deadLetters.length, MAX_DEAD_LETTERS);
+    save();
+    throw new Error(`${subscription.name}: ${lastError}`);
+  }
+
+  // One hub channel per subscription, looked up on every send so edits apply right away
+  function getChannels() {
+    return Array.from(subscriptions.values()).map(({ id, name }) => ({
+      name: getChannelName({ name }),
+      send: async (alert) => {
+        const subscription = subscriptions.get(id);
+        // Payloads are death events only: guild war alerts are not forwarded
+        if (!subscription || !subscription.enabled || alert.type === 'war') return false;
+        return deliver(subscription, { event: alert.type, death: alert.death });
+      }
+    }));
+  }
+
+  // Channels of subscriptions that want this death on their own (no alert rule needed)
+  function matchTargets(alert) {
+    return Array.from(subscriptions.values())
+      .filter(subscription => subscription.enabled)
+      .filter(subscription => !subscription.conditions || matchesConditions(subscription.conditions, alert))
+      .map(getChannelName);
+  }
+
+  function getDeliveries({ subscriptionId, limit = 50 } = {}) {
+    return deliveryLog.filter(entry => !subscriptionId || entry.subscriptionId === subscriptionId).slice(0, limit);
+  }
+
+  function getDeadLetters() {
+    return deadLetters;
+  }
+
+  // Send a dead letter again (same delivery id); false when it doesn't exist
+  async function retryDeadLetter(id) {
+    const letter = deadLetters.find(entry => entry.id === id);
+    if (!letter) return false;
+    const subscription = subscriptions.get(letter.subscriptionId);
+    if (!subscription) throw new Error('The webhook of this delivery was removed');
+
+    deadLetters = deadLetters.filter(entry => entry !== letter);
+    save();
+    return deliver(subscription, { event: letter.event, death: letter.death, deliveryId: letter.id });
+  }
+
+  function removeDeadLetter(id) {
+    const before = deadLetters.length;
+    deadLetters = deadLetters.filter(entry => entry.id !== id);
+    if (deadLetters.length === before) return false;
+    save();
+    return true;
+  }
+
+  return {
+    filePath: file.filePath, list, add, update, remove, getChannels, matchTargets,
+    getDeliveries, getDeadLetters, retryDeadLetter, removeDeadLetter, flush: file.flush
+  };
+}
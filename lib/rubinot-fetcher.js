@@ -0,0 +1,106 @@
+// RubinOT page fetcher - picks a fetch strategy per request
+// auto:    plain HTTP first; the stealth browser only once Cloudflare answers with a challenge/block page
+//          (and for a cooldown afterwards, handing its cookies back to the HTTP strategy)
+// http:    plain HTTP only (no Chrome at all)
+// browser: always the stealth browser (the old behaviour)
+export const FETCH_MODES = ['auto', 'http', 'browser'];
+
+const DEFAULT_CHALLENGE_COOLDOWN = 10 * 60 * 1000; // 10 minutes on the browser after a challenge
+
+function createStrategyStats() {
+  return { success: 0, failure: 0, challenged: 0, totalMs: 0, lastError: null };
+}
+
+export function createRubinOTFetcher({ httpFetcher, browserFetcher, mode = 'auto', challengeCooldown = DEFAULT_CHALLENGE_COOLDOWN }) {
+  if (!FETCH_MODES.includes(mode)) {
+    throw new Error(`Unknown fetch mode "${mode}" (expected ${FETCH_MODES.join(', ')})`);
+  }
+
+  const stats = new Map(); // statsKey (world id or "characters") -> { http, browser, lastStrategy, lastFetchAt }
+  const browserUntil = new Map(); // host -> timestamp until which HTTP is skipped
+
+  function getStats(key) {
+    if (!stats.has(key)) {
+      stats.set(key, { http: createStrategyStats(), browser: createStrategyStats(), lastStrategy: null, lastFetchAt: null });
+    }
+    return stats.get(key);
+  }
+
+  async function runStrategy(strategy, url, options, entry) {
+    const strategyStats = entry[strategy.name];
+    const startTime = Date.now();
+    try {
+      const result = await strategy.fetchPage(url, options);
+      strategyStats.success++;
+      strategyStats.totalMs += Date.now() - startTime;
+      strategyStats.lastError = null;
+      entry.lastStrategy = strategy.name;
+      entry.lastFetchAt = Date.now();
+      return { ...result, strategy: strategy.name };
+    } catch (error) {
+      strategyStats.failure++;
+      strategyStats.lastError = error.message;
+      if (error.blockType) strategyStats.challenged++;
+      throw error;
+    }
+  }
+
+  // options.statsKey groups stats (world id, "characters"); the rest is passed to the browser strategy
+  async function fetchPage(url, { statsKey = 'other', ...options } = {}) {
+    const entry = getStats(String(statsKey));
+    const host = new URL(url).host;
+
+    if (mode === 'http') {
+      return runStrategy(httpFetcher, url, options, entry);
+    }
+    if (mode === 'browser') {
+      return runStrategy(browserFetcher, url, options, entry);
+    }
+
+    // auto: skip HTTP while the host is known to challenge us
+    if ((browserUntil.get(host) || 0) <= Date.now()) {
+      try {
+        return await runStrategy(httpFetcher, url, options, entry);
+      } catch (error) {
+        if (!error.blockType) throw error;
+        console.log(`🛡️  ${error.message} via HTTP, using the browser for ${host} for the next ${Math.round(challengeCooldown / 60000)} minutes`);
+        browserUntil.set(host, Date.now() + challengeCooldown);
+      }
+    }
+
+    const result = await runStrategy(browserFetcher, url, options, entry);
+
+    // Hand cf_clearance & co. to the HTTP strategy so it can take over after the cooldown
+    if (result.cookies && httpFetcher.setCookies) {
+      httpFetcher.setCookies(result.url || url, result.cookies);
+    }
+    return result;
+  }
+
+  // Per-key stats for /api/status
+  function getStatsSnapshot() {
+    const snapshot = {};
+    for (const [key, entry] of stats) {
+      const summarize = (s) => ({
+        success: s.success,
+        failure: s.failure,
+        challenged: s.challenged,
+        avgMs: s.success > 0 ? Math.round(s.totalMs / s.success) : null,
+        lastError: s.lastError
+      });
+      snapshot[key] = {
+        http: summarize(entry.http),
+        browser: summarize(entry.browser),
+        lastStrategy: entry.lastStrategy,
+        lastFetchAt: entry.lastFetchAt
+      };
+    }
+    return { mode, stats: snapshot };
+  }
+
+  async function close() {
+    if (browserFetcher) await browserFetcher.close();
+  }
+
+  return { fetchPage, getStats: getStatsSnapshot, close };
+}
@@ -0,0 +1,491 @@
+// RubinOT HTML parsers - shared by server.js (Puppeteer page.content()) and the Netlify function (plain fetch)
+// A RubinOT layout change only needs fixing here
+import { parse } from 'node-html-parser';
+import { RUBINOT_BASE_URL } from './rubinot-urls.js';
+import { parseDeathCause } from './death-cause.js';
+import { getDeathTimestamp, RUBINOT_TIMEZONE } from './death-time.js';
+
+/**
+ * @typedef {Object} Death
+ * @property {string} player
+ * @property {string|null} playerLink - Absolute character page URL
+ * @property {number} level
+ * @property {string} cause - Text after "died at level N by", without the final dot
+ * @property {import('./death-cause.js').Killer[]} killers - Parsed cause, final blow first
+ * @property {boolean} pvp - A player (or a player's summon) took part in the kill
+ * @property {string} time - Raw RubinOT time on the server clock, e.g. "07.10.2025, 22:50:28"
+ * @property {string|null} timestamp - Same instant in ISO 8601 (UTC)
+ * @property {number|null} timestampMs - Same instant in epoch ms
+ */
+
+/**
+ * @typedef {Object} Character
+ * @property {string} vocation
+ * @property {string} residence
+ * @property {string} accountStatus
+ * @property {string} guild - Empty string when the character has no guild
+ */
+
+// Collapse whitespace (including &nbsp;) like innerText does
+function cleanText(node) {
+  return node ? node.text.replace(/\s+/g, ' ').trim() : '';
+}
+
+function toAbsoluteUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Rows of the main content table (same fallbacks the old page.evaluate parser used)
+function findTableRows(root) {
+  let rows = root.querySelectorAll('div.TableContentContainer table.TableContent tr');
+
+  // Fallback 1: Try without div wrapper
+  if (rows.length === 0) {
+    rows = root.querySelectorAll('table.TableContent tr');
+  }
+
+  // Fallback 2: Try any table rows
+  if (rows.length === 0) {
+    for (const table of root.querySelectorAll('table')) {
+      const testRows = table.querySelectorAll('tr');
+      if (testRows.length > 0) {
+        rows = testRows;
+        break;
+      }
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * @typedef {Object} World
+ * @property {string|null} id - Numeric world id used by ?world= (null if unknown)
+ * @property {string} name
+ * @property {number|null} online - Players online
+ * @property {string} location
+ * @property {string} pvpType
+ */
+
+/**
+ * Detect Cloudflare interstitials instead of real content.
+ * @param {string} html
+ * @returns {'challenge'|'blocked'|null}
+ */
+export function detectBlockPage(html) {
+  if (!html) return null;
+  if (html.includes('Sorry, you have been blocked') || html.includes('cf-error-details')) return 'blocked';
+  if (html.includes('cf-wrapper') || html.includes('Checking your browser') || html.includes('challenge-platform')) return 'challenge';
+  return null;
+}
+
+/**
+ * Parse the latest deaths page (?subtopic=latestdeaths).
+ * @param {string} html
+ * @param {{ baseUrl?: string, timeZone?: string }} [options] - URL the page was loaded from (resolves relative links)
+ *   and the IANA timezone of the RubinOT server clock
+ * @returns {{ deaths: Death[], nextPageUrl: string|null }}
+ */
+export function parseLatestDeaths(html, { baseUrl = RUBINOT_BASE_URL, timeZone = RUBINOT_TIMEZONE } = {}) {
+  const root = parse(html || '');
+  const deaths = [];
+
+  for (const row of findTableRows(root)) {
+    const tds = row.querySelectorAll('td');
+    if (tds.length < 3) continue;
+
+    const time = cleanText(tds[1]);
+    const link = tds[2].querySelector('a');
+    const player = cleanText(link) || null;
+
+    const text = cleanText(tds[2]);
+    const levelMatch = text.match(/level\s*(\d+)/i);
+    if (!levelMatch || !player) continue;
+
+    const level = parseInt(levelMatch[1]);
+    let cause = text.replace(/^.*?died at level \d+ by\s+/i, '');
+    cause = cause.replace(/\.$/, '');
+
+    // Killer players are linked like the victim
+    const linkedPlayers = tds[2].querySelectorAll('a').slice(1).map(cleanText);
+
+    deaths.push({
+      player,
+      playerLink: toAbsoluteUrl(link.getAttribute('href'), baseUrl),
+      level,
+      cause,
+      ...parseDeathCause(cause, linkedPlayers),
+      time,
+      ...getDeathTimestamp(time, timeZone)
+    });
+  }
+
+  return { deaths, nextPageUrl: findNextPageUrl(root, baseUrl) };
+}
+
+// Pagination: link to the next page of the table (if RubinOT paginates it)
+function findNextPageUrl(root, baseUrl) {
+  let currentPage = 1;
+  try {
+    currentPage = parseInt(new URL(baseUrl).searchParams.get('page') || '1');
+  } catch (e) {
+    // Relative/invalid base URL: assume first page
+  }
+
+  for (const anchor of root.querySelectorAll('a')) {
+    const href = toAbsoluteUrl(anchor.getAttribute('href'), baseUrl);
+    if (!href) continue;
+    const linkPage = parseInt(new URL(href).searchParams.get('page'));
+    if (linkPage === currentPage + 1) return href;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a character page (?subtopic=characters&name=...) - the fields death cards need.
+ * @param {string} html
+ * @returns {Character|null} null if the page has no character table
+ */
+export function parseCharacterPage(html) {
+  const profile = parseCharacterProfile(html);
+  return profile ? characterFromProfile(profile) : null;
+}
+
+/**
+ * The death card fields of a full profile.
+ * @param {CharacterProfile} profile
+ * @returns {Character}
+ */
+export function characterFromProfile(profile) {
+  return {
+    vocation: profile.vocation || 'Unknown',
+    residence: profile.residence || 'Unknown',
+    accountStatus: profile.accountStatus || 'Unknown',
+    guild: profile.guild // Empty string means no guild (won't display label)
+  };
+}
+
+// "Upper Swamp Lane 8 (Thais) is paid until 30.10.2025"
+function parseHouse(value) {
+  const match = /^(.+?)\s*\(([^)]+)\)(?:\s*is paid until\s*(.+))?$/i.exec(value);
+  if (!match) return { name: value, town: '', paidUntil: null };
+  return { name: match[1].trim(), town: match[2].trim(), paidUntil: match[3] ? match[3].trim() : null };
+}
+
+// "Commander of the Red Rose" -> rank + guild
+function parseGuildMembership(value) {
+  if (!value || value.toLowerCase().includes('no guild')) return { guild: '', guildRank: '' };
+  const match = /^(.*?)\s*of the\s+(.+)$/i.exec(value);
+  if (!match) return { guild: value, guildRank: '' };
+  return { guild: match[2].trim(), guildRank: match[1].trim() || 'Member' };
+}
+
+// Keep the comment's line breaks
+function multilineText(node) {
+  return parse(node.innerHTML.replace(/<br\s*\/?>/gi, '\n')).text
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+function parseCount(value) {
+  const digits = value.replace(/[.,\s]/g, '');
+  return /^\d+$/.test(digits) ? parseInt(digits) : null;
+}
+
+/**
+ * @typedef {Object} CharacterProfile
+ * @property {string} name
+ * @property {string[]} formerNames
+ * @property {string} sex
+ * @property {string} vocation
+ * @property {number|null} level
+ * @property {number|null} achievementPoints
+ * @property {string} world
+ * @property {string} residence
+ * @property {{ name: string, town: string, paidUntil: string|null }|null} house
+ * @property {string} guild - Empty string when the character has no guild
+ * @property {string} guildRank
+ * @property {string|null} lastLogin - Raw RubinOT time
+ * @property {string|null} lastLoginTimestamp - ISO 8601
+ * @property {string|null} created - Raw RubinOT time (account information)
+ * @property {string|null} createdTimestamp - ISO 8601
+ * @property {string} comment - Line breaks kept as \n
+ * @property {string} accountStatus
+ * @property {string} loyaltyTitle
+ * @property {CharacterDeath[]} deaths - Newest first
+ */
+
+/**
+ * @typedef {Object} CharacterDeath
+ * @property {string} time
+ * @property {string|null} timestamp
+ * @property {number|null} timestampMs
+ * @property {number} level
+ * @property {string} cause
+ * @property {import('./death-cause.js').Killer[]} killers
+ * @property {boolean} pvp
+ */
+
+/**
+ * Parse everything a character page shows: information, deaths and account information tables.
+ * @param {string} html
+ * @param {{ timeZone?: string }} [options] - IANA timezone of the RubinOT server clock
+ * @returns {CharacterProfile|null} null if the page has no character table
+ */
+export function parseCharacterProfile(html, { timeZone = RUBINOT_TIMEZONE } = {}) {
+  const root = parse(html || '');
+  const containers = root.querySelectorAll('div.TableContentContainer');
+  if (containers.length === 0) return null;
+
+  const profile = {
+    name: '',
+    formerNames: [],
+    sex: '',
+    vocation: '',
+    level: null,
+    achievementPoints: null,
+    world: '',
+    residence: '',
+    house: null,
+    guild: '',
+    guildRank: '',
+    lastLogin: null,
+    lastLoginTimestamp: null,
+    created: null,
+    createdTimestamp: null,
+    comment: '',
+    accountStatus: '',
+    loyaltyTitle: '',
+    deaths: []
+  };
+
+  for (const container of containers) {
+    for (const row of container.querySelectorAll('tr')) {
+      const cells = row.querySelectorAll('td');
+      if (cells.length < 2) continue;
+
+      const label = cleanText(cells[0]).toLowerCase().replace(/:$/, '');
+      const value = cleanText(cells[1]);
+
+      // Character deaths: "<time> | Died at Level 509 by a hellflayer."
+      const deathMatch = /^died at level\s*(\d+)\s+by\s+(.+?)\.?$/i.exec(value);
+      if (deathMatch) {
+        const time = cleanText(cells[0]);
+        const cause = deathMatch[2];
+        const linkedPlayers = cells[1].querySelectorAll('a').map(cleanText);
+        profile.deaths.push({
+          time,
+          ...getDeathTimestamp(time, timeZone),
+          level: parseInt(deathMatch[1]),
+          cause,
+          ...parseDeathCause(cause, linkedPlayers)
+        });
+        continue;
+      }
+
+      switch (label) {
+        case 'name':
+          profile.name = value;
+          break;
+        case 'former names':
+          profile.formerNames = value.split(',').map(name => name.trim()).filter(Boolean);
+          break;
+        case 'sex':
+          profile.sex = value;
+          break;
+        case 'vocation':
+          profile.vocation = value;
+          break;
+        case 'level':
+          profile.level = parseCount(value);
+          break;
+        case 'achievement points':
+          profile.achievementPoints = parseCount(value);
+          break;
+        case 'world':
+          profile.world = value;
+          break;
+        case 'residence':
+          profile.residence = value;
+          break;
+        case 'house':
+          profile.house = value ? parseHouse(value) : null;
+          break;
+        case 'guild membership':
+        case 'guild':
+          Object.assign(profile, parseGuildMembership(value));
+          break;
+        case 'last login':
+          profile.lastLogin = value || null;
+          profile.lastLoginTimestamp = getDeathTimestamp(value, timeZone).timestamp;
+          break;
+        case 'created':
+          profile.created = value || null;
+          profile.createdTimestamp = getDeathTimestamp(value, timeZone).timestamp;
+          break;
+        case 'comment':
+          profile.comment = multilineText(cells[1]);
+          break;
+        case 'account status':
+          profile.accountStatus = value;
+          break;
+        case 'loyalty title':
+          profile.loyaltyTitle = value;
+          break;
+      }
+    }
+  }
+
+  return profile;
+}
+
+/**
+ * Parse the world <select> of the latest deaths page: the only place RubinOT shows world ids.
+ * @param {string} html
+ * @returns {{ id: string, name: string }[]}
+ */
+export function parseWorldOptions(html) {
+  const root = parse(html || '');
+  const select = root.querySelector('select[name="world"]');
+  if (!select) return [];
+
+  return select.querySelectorAll('option')
+    .map(option => ({ id: (option.getAttribute('value') || '').trim(), name: cleanText(option) }))
+    .filter(world => /^\d+$/.test(world.id) && world.name);
+}
+
+/**
+ * Parse the worlds overview page (?subtopic=worlds).
+ * Columns are found by their header text, so extra/reordered columns don't break it.
+ * @param {string} html
+ * @returns {World[]} ids are null - merge with parseWorldOptions()
+ */
+export function parseWorldList(html) {
+  const root = parse(html || '');
+  const worlds = [];
+
+  for (const table of root.querySelectorAll('table')) {
+    const rows = table.querySelectorAll('tr');
+    const headerIndex = rows.findIndex(row => {
+      const text = cleanText(row).toLowerCase();
+      return text.includes('world') && text.includes('online');
+    });
+    if (headerIndex === -1) continue;
+
+    const headers = rows[headerIndex].querySelectorAll('td, th').map(cell => cleanText(cell).toLowerCase());
+    const column = (pattern) => headers.findIndex(header => pattern.test(header));
+    const columns = {
+      name: column(/world/),
+      online: column(/online/),
+      location: column(/location/),
+      pvpType: column(/pvp/)
+    };
+    if (columns.name === -1) continue;
+
+    for (const row of rows.slice(headerIndex + 1)) {
+      const cells = row.querySelectorAll('td');
+      const name = cleanText(cells[columns.name]);
+      if (!name || cells.length < headers.length) continue;
+
+      const onlineText = columns.online !== -1 ? cleanText(cells[columns.online]).replace(/[.,]/g, '') : '';
+      worlds.push({
+        id: null,
+        name,
+        online: /^\d+$/.test(onlineText) ? parseInt(onlineText) : null,
+        location: columns.location !== -1 ? cleanText(cells[columns.location]) : '',
+        pvpType: columns.pvpType !== -1 ? cleanText(cells[columns.pvpType]) : ''
+      });
+    }
+
+    if (worlds.length > 0) break;
+  }
+
+  return worlds;
+}
+
+/**
+ * @typedef {Object} GuildMember
+ * @property {string} name
+ * @property {string} title
+ * @property {string} rank - Rank group (RubinOT only prints it on the first member of a group)
+ * @property {string} vocation
+ * @property {number|null} level
+ * @property {string} joined - Raw joining date
+ * @property {boolean} online
+ */
+
+/**
+ * Parse a guild page (?subtopic=guilds&page=view&GuildName=...).
+ * @param {string} html
+ * @returns {{ name: string, description: string, founded: string|null, members: GuildMember[] }|null}
+ *   null if the page has no member table (unknown guild, Cloudflare)
+ */
+export function parseGuildPage(html) {
+  const root = parse(html || '');
+
+  for (const table of root.querySelectorAll('table')) {
+    const rows = table.querySelectorAll('tr');
+    const headerIndex = rows.findIndex(row => {
+      const text = cleanText(row).toLowerCase();
+      return text.includes('rank') && text.includes('vocation');
+    });
+    if (headerIndex === -1) continue;
+
+    const headers = rows[headerIndex].querySelectorAll('td, th').map(cell => cleanText(cell).toLowerCase());
+    const column = (pattern) => headers.findIndex(header => pattern.test(header));
+    const columns = {
+      rank: column(/rank/),
+      name: column(/name/),
+      vocation: column(/vocation/),
+      level: column(/level/),
+      joined: column(/joining|joined/),
+      status: column(/status/)
+    };
+
+    const members = [];
+    let rank = '';
+    for (const row of rows.slice(headerIndex + 1)) {
+      const cells = row.querySelectorAll('td');
+      if (cells.length < headers.length) continue;
+
+      const nameCell = cells[columns.name];
+      const link = nameCell.querySelector('a');
+      const name = cleanText(link) || cleanText(nameCell);
+      if (!name) continue;
+
+      rank = cleanText(cells[columns.rank]) || rank;
+      const titleMatch = /\(([^)]+)\)\s*$/.exec(cleanText(nameCell));
+      members.push({
+        name,
+        title: link && titleMatch ? titleMatch[1] : '',
+        rank,
+        vocation: columns.vocation !== -1 ? cleanText(cells[columns.vocation]) : '',
+        level: columns.level !== -1 ? parseCount(cleanText(cells[columns.level])) : null,
+        joined: columns.joined !== -1 ? cleanText(cells[columns.joined]) : '',
+        online: columns.status !== -1 && cleanText(cells[columns.status]).toLowerCase() === 'online'
+      });
+    }
+
+    const information = root.querySelector('#GuildInformationContainer');
+    const paragraphs = information ? information.querySelectorAll('p') : [];
+    const foundedParagraph = paragraphs.find(p => /founded on/i.test(cleanText(p)));
+    const foundedMatch = foundedParagraph ? /on (\d{2}\.\d{2}\.\d{4})/.exec(cleanText(foundedParagraph)) : null;
+
+    return {
+      name: cleanText(root.querySelector('h1')),
+      description: paragraphs.filter(p => p !== foundedParagraph).map(multilineText).join('\n'),
+      founded: foundedMatch ? foundedMatch[1] : null,
+      members
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,25 @@
+// RubinOT page URLs
+// RUBINOT_BASE_URL points the scrapers at another host (e.g. the local mock server in mock/)
+export const DEFAULT_BASE_URL = 'https://rubinot.com.br/';
+
+export const RUBINOT_BASE_URL = normalizeBaseUrl(process.env.RUBINOT_BASE_URL || DEFAULT_BASE_URL);
+
+function normalizeBaseUrl(url) {
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+export function latestDeathsUrl(worldId, minLevel, baseUrl = RUBINOT_BASE_URL) {
+  return `${baseUrl}?subtopic=latestdeaths&world=${encodeURIComponent(worldId)}${minLevel ? `&min_level=${minLevel}` : ''}`;
+}
+
+export function characterUrl(name, baseUrl = RUBINOT_BASE_URL) {
+  return `${baseUrl}?subtopic=characters&name=${encodeURIComponent(name)}`;
+}
+
+export function worldsUrl(baseUrl = RUBINOT_BASE_URL) {
+  return `${baseUrl}?subtopic=worlds`;
+}
+
+export function guildUrl(name, baseUrl = RUBINOT_BASE_URL) {
+  return `${baseUrl}?subtopic=guilds&page=view&GuildName=${encodeURIComponent(name)}`;
+}
@@ -0,0 +1,270 @@
+// Telegram bot: death (and guild war) alerts for configured chats (notification hub channel 'telegram')
+// and chat commands answered from the tracker's own data. Uses long polling (getUpdates),
+// so no public URL is needed; TELEGRAM_API_URL points it at a local stub for testing.
+//
+// Commands: /deaths <world> [minLevel], /char <name>, /watch <name>, /unwatch <name>, /help
+// Without TELEGRAM_CHAT_IDS any chat may read; /watch and /unwatch change the server-wide watchlist
+// (and what every alert channel gets), so they are only accepted from configured chats.
+const DEFAULT_API_URL = 'https://api.telegram.org';
+const DEFAULT_POLL_TIMEOUT = 25; // Seconds Telegram holds getUpdates open
+const DEFAULT_RETRY_DELAY = 5000;
+const MAX_RATE_LIMIT_RETRIES = 3;
+const DEATHS_PER_REPLY = 10;
+const WATCHLIST_COMMANDS = new Set(['watch', 'unwatch']);
+
+const HELP_TEXT = [
+  '💀 <b>RubinOT Death Tracker</b>',
+  '/deaths &lt;world&gt; [minLevel] - latest deaths, e.g. /deaths tormentum 400',
+  '/char &lt;name&gt; - character info',
+  '/watch &lt;name&gt; - add a character to the watchlist',
+  '/unwatch &lt;name&gt; - remove it again'
+].join('\n');
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// "/deaths@SomeBot tormentum 400" -> { command: 'deaths', args: ['tormentum', '400'] }
+export function parseCommand(text) {
+  if (typeof text !== 'string' || !text.startsWith('/')) return null;
+  const [head, ...args] = text.trim().split(/\s+/);
+  return { command: head.slice(1).split('@')[0].toLowerCase(), args };
+}
+
+function formatKillers(death) {
+  if (!death.killers || death.killers.length === 0) return escapeHtml(death.cause);
+  return death.killers
+    .map(killer => killer.type === 'player' ? `<b>${escapeHtml(killer.name)}</b>` : escapeHtml(killer.name))
+    .join(', ');
+}
+
+// Alert message for one death (HTML parse mode)
+export function formatDeathAlert({ death, worldName, watched = [], rules = [] }) {
+  const lines = [
+    `💀 <b>${escapeHtml(death.player)}</b> (${escapeHtml(death.vocation || 'Unknown')}, level ${death.level}) died on ${escapeHtml(worldName)}`,
+    `Killed by: ${formatKillers(death)}${death.pvp ? ' ⚔️' : ''}`
+  ];
+  if (death.guild) lines.push(`Guild: ${escapeHtml(death.guild)}`);
+  lines.push(`🕒 ${escapeHtml(death.time)} (server time)`);
+  if (watched.length > 0) lines.push(`👁️ Watched: ${watched.map(entry => escapeHtml(entry.name)).join(', ')}`);
+  if (rules.length > 0) lines.push(`📣 ${rules.map(escapeHtml).join(', ')}`);
+  if (death.playerLink) lines.push(`<a href="${escapeHtml(death.playerLink)}">Profile</a>`);
+  return lines.join('\n');
+}
+
+// Alert message for a guild war that just crossed the alert threshold
+export function formatWarAlert({ war, worldName }) {
+  const [first, second] = war.guilds;
+  const participants = (side) => side.slice(0, 5).map(p => `${escapeHtml(p.name)} ${p.kills}/${p.deaths}`).join(', ');
+  return [
+    `⚔️ <b>Guild war</b> on ${escapeHtml(worldName)}`,
+    `<b>${escapeHtml(first)}</b> ${war.score[0]} - ${war.score[1]} <b>${escapeHtml(second)}</b> (${war.kills} kills)`,
+    `${escapeHtml(first)}: ${participants(war.participants[0])}`,
+    `${escapeHtml(second)}: ${participants(war.participants[1])}`
+  ].join('\n');
+}
+
+export function formatDeathList({ worldName, minLevel, deaths }) {
+  const title = `💀 Latest deaths on ${escapeHtml(worldName)}${minLevel ? ` (level ${minLevel}+)` : ''}`;
+  if (deaths.length === 0) return `${title}\nNo deaths.`;
+
+  const lines = deaths.map(death => {
+    const clock = (death.time || '').split(', ')[1] || death.time;
+    const guild = death.guild ? ` [${escapeHtml(death.guild)}]` : '';
+    return `• ${escapeHtml(clock)} <b>${escapeHtml(death.player)}</b> ${death.level}${guild} - ${formatKillers(death)}`;
+  });
+  return [title, ...lines].join('\n');
+}
+
+export function formatCharacter(character) {
+  const profile = character.profile || {};
+  const lines = [`👤 <b>${escapeHtml(profile.name || character.player)}</b>`];
+  if (profile.level) lines.push(`Level ${profile.level} ${escapeHtml(character.vocation)}`);
+  else lines.push(escapeHtml(character.vocation));
+  if (profile.world) lines.push(`World: ${escapeHtml(profile.world)}`);
+  lines.push(`Residence: ${escapeHtml(character.residence)}`);
+  if (character.guild) {
+    lines.push(`Guild: ${escapeHtml(character.guild)}${profile.guildRank ? ` (${escapeHtml(profile.guildRank)})` : ''}`);
+  }
+  lines.push(`Account: ${escapeHtml(character.accountStatus)}`);
+  if (profile.lastLogin) lines.push(`Last login: ${escapeHtml(profile.lastLogin)}`);
+  if (profile.deaths && profile.deaths.length > 0) {
+    const [last] = profile.deaths;
+    lines.push(`Last death: ${escapeHtml(last.time)} at level ${last.level} - ${escapeHtml(last.cause)}`);
+  }
+  return lines.join('\n');
+}
+
+// handlers (supplied by the server, so the bot shares its data paths):
+//   deaths({ world, minLevel, chatId }) -> { worldName, deaths, error } | null (unknown world)
+//   character(name, { chatId }) -> character data | null (not found) - throws when it can't be loaded
+//   watch(name) -> watch entry, unwatch(name) -> boolean
+export function createTelegramBot({
+  token,
+  apiBaseUrl = DEFAULT_API_URL,
+  chatIds = [],
+  handlers,
+  fetchImpl = fetch,
+  pollTimeout = DEFAULT_POLL_TIMEOUT,
+  retryDelay = DEFAULT_RETRY_DELAY,
+  sleep = wait
+}) {
+  const baseUrl = apiBaseUrl.replace(/\/+$/, '');
+  const allowedChats = new Set(chatIds.map(String));
+  let offset = 0;
+  let running = false;
+  let controller = null;
+  let pollLoop = null;
+  const stats = { alertsSent: 0, commandsHandled: 0, lastError: null };
+
+  // Bot API call; waits and retries when Telegram answers 429 with retry_after
+  async function call(method, params = {}, { signal } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const response = await fetchImpl(`${baseUrl}/bot${token}/${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(params),
+        signal
+      });
+      const data = await response.json();
+      if (data.ok) return data.result;
+
+      const retryAfter = data.parameters && data.parameters.retry_after;
+      if (data.error_code === 429 && retryAfter && attempt < MAX_RATE_LIMIT_RETRIES) {
+        await sleep(retryAfter * 1000);
+        continue;
+      }
+      throw new Error(`Telegram ${method} failed: ${data.description || response.status}`);
+    }
+  }
+
+  function sendMessage(chatId, text) {
+    return call('sendMessage', { chat_id: chatId, text, parse_mode: 'HTML', disable_web_page_preview: true });
+  }
+
+  async function runCommand(command, args, chatId) {
+    switch (command) {
+      case 'start':
+      case 'help':
+        return HELP_TEXT;
+
+      case 'deaths': {
+        const minLevel = args.length > 1 && /^\d+$/.test(args[args.length - 1]) ? parseInt(args.pop()) : 0;
+        const world = args.join(' ');
+        if (!world) return 'Usage: /deaths &lt;world&gt; [minLevel], e.g. /deaths tormentum 400';
+
+        const result = await handlers.deaths({ world, minLevel, chatId });
+        if (!result) return `Unknown world "${escapeHtml(world)}"`;
+        if (result.error) return `Could not load deaths for ${escapeHtml(result.worldName)}: ${escapeHtml(result.error)}`;
+        return formatDeathList({ worldName: result.worldName, minLevel, deaths: result.deaths.slice(0, DEATHS_PER_REPLY) });
+      }
+
+      case 'char': {
+        const name = args.join(' ');
+        if (!name) return 'Usage: /char &lt;name&gt;';
+        const character = await handlers.character(name, { chatId });
+        return character ? formatCharacter(character) : `Character "${escapeHtml(name)}" not found`;
+      }
+
+      case 'watch': {
+        const name = args.join(' ');
+        if (!name) return 'Usage: /watch &lt;name&gt;';
+        const entry = await handlers.watch(name);
+        return `👁️ Watching <b>${escapeHtml(entry.name)}</b>. Their deaths go to every alert channel, this chat included, whatever the filters.`;
+      }
+
+      case 'unwatch': {
+        const name = args.join(' ');
+        if (!name) return 'Usage: /unwatch &lt;name&gt;';
+        return await handlers.unwatch(name) ? `Stopped watching <b>${escapeHtml(name)}</b>` : `${escapeHtml(name)} is not on the watchlist`;
+      }
+
+      default:
+        return null; // Not ours (other bots' commands in group chats)
+    }
+  }
+
+  // One update from getUpdates; commands are only answered in configured chats
+  async function handleUpdate(update) {
+    const message = update.message;
+    const parsed = message && parseCommand(message.text);
+    if (!parsed) return;
+
+    const chatId = String(message.chat.id);
+    if (allowedChats.size > 0 && !allowedChats.has(chatId)) {
+      console.warn(`⚠️  Telegram command from unknown chat ${chatId} ignored`);
+      return;
+    }
+    if (WATCHLIST_COMMANDS.has(parsed.command) && !allowedChats.has(chatId)) {
+      stats.commandsHandled++;
+      await sendMessage(chatId, 'The watchlist can only be changed from the chats configured in TELEGRAM_CHAT_IDS.');
+      return;
+    }
+
+    let reply;
+    try {
+      reply = await runCommand(parsed.command, parsed.args, chatId);
+    } catch (error) {
+      reply = `⚠️ ${escapeHtml(error.message)}`;
+    }
+    if (reply === null) return;
+
+    stats.commandsHandled++;
+    await sendMessage(chatId, reply);
+  }
+
+  async function poll() {
+    while (running) {
+      try {
+        const updates = await call('getUpdates', { offset, timeout: pollTimeout, allowed_updates: ['message'] }, {
+          signal: AbortSignal.any([controller.signal, AbortSignal.timeout((pollTimeout + 10) * 1000)])
+        });
+        for (const update of updates) {
+          offset = update.update_id + 1;
+          await handleUpdate(update).catch(error => console.error(`❌ Telegram reply failed: ${error.message}`));
+        }
+      } catch (error) {
+        if (!running) break;
+        stats.lastError = error.message;
+        console.error(`❌ Telegram polling failed: ${error.message}`);
+        await sleep(retryDelay);
+      }
+    }
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    controller = new AbortController();
+    pollLoop = poll();
+    console.log(`🤖 Telegram bot: polling ${baseUrl}, alerts to ${allowedChats.size} chat(s)`);
+  }
+
+  async function stop() {
+    running = false;
+    if (controller) controller.abort();
+    await pollLoop;
+  }
+
+  // Notification hub channel: the alert goes to every configured chat
+  const channel = {
+    send: async (alert) => {
+      const text = alert.type === 'war' ? formatWarAlert(alert) : formatDeathAlert(alert);
+      await Promise.all(Array.from(allowedChats).map(chatId => sendMessage(chatId, text)));
+      stats.alertsSent++;
+    }
+  };
+
+  function getStatus() {
+    return { chats: allowedChats.size, running, ...stats };
+  }
+
+  return { start, stop, handleUpdate, channel, getStatus };
+}
@@ -0,0 +1,78 @@
+// Server-side watchlist of characters and guilds
+// Stored as one small JSON file in DATA_DIR next to the death history
+import path from 'path';
+import { createJsonFile } from './json-file.js';
+
+export const WATCH_TYPES = ['character', 'guild'];
+
+const MAX_NAME_LENGTH = 50;
+const MAX_NOTE_LENGTH = 200;
+
+export function getWatchId(type, name) {
+  return `${type}:${name.trim().toLowerCase()}`;
+}
+
+export function createWatchlist({ dataDir }) {
+  const file = createJsonFile(path.join(dataDir, 'watchlist.json'), { label: 'watchlist' });
+  const entries = new Map(); // id -> { id, type, name, note, addedAt }
+
+  for (const entry of file.read([])) {
+    entries.set(entry.id, entry);
+  }
+
+  function save() {
+    return file.save(Array.from(entries.values()));
+  }
+
+  function list() {
+    return Array.from(entries.values());
+  }
+
+  // Throws on invalid input (message is safe to return to API clients)
+  function add({ type, name, note = '' }) {
+    if (!WATCH_TYPES.includes(type)) {
+      throw new Error(`type must be one of: ${WATCH_TYPES.join(', ')}`);
+    }
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+      throw new Error(`name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+
+    const id = getWatchId(type, name);
+    const entry = {
+      id,
+      type,
+      name: name.trim(),
+      note: String(note || '').slice(0, MAX_NOTE_LENGTH),
+      addedAt: entries.has(id) ? entries.get(id).addedAt : Date.now()
+    };
+    entries.set(id, entry);
+    save();
+    return entry;
+  }
+
+  function remove(id) {
+    const removed = entries.delete(id);
+    if (removed) save();
+    return removed;
+  }
+
+  // Watch entries a death matches (victim name or victim guild)
+  function match(death) {
+    const matches = [];
+    if (death.player) {
+      const entry = entries.get(getWatchId('character', death.player));
+      if (entry) matches.push(entry);
+    }
+    if (death.guild) {
+      const entry = entries.get(getWatchId('guild', death.guild));
+      if (entry) matches.push(entry);
+    }
+    return matches;
+  }
+
+  function size() {
+    return entries.size;
+  }
+
+  return { filePath: file.filePath, list, add, remove, match, size, flush: file.flush };
+}
@@ -0,0 +1,100 @@
+// RubinOT world list discovery
+// Worlds come and go (new launches, merges): scrape them instead of hardcoding ids.
+// The worlds page has name/online/location/PvP type but no ids; the latest deaths
+// world selector has the ids - both are fetched and merged by name.
+import { parseWorldList, parseWorldOptions } from './rubinot-parser.js';
+import { worldsUrl, latestDeathsUrl } from './rubinot-urls.js';
+
+// Fallback when RubinOT can't be reached and nothing was discovered yet
+export const STATIC_WORLDS = [
+  { id: '11', name: 'Auroria' },
+  { id: '19', name: 'Baltrium' },
+  { id: '15', name: 'Belaria' },
+  { id: '17', name: 'Bellum' },
+  { id: '1', name: 'Elysian' },
+  { id: '9', name: 'Lunarian' },
+  { id: '18', name: 'Mystian' },
+  { id: '12', name: 'Solarian' },
+  { id: '10', name: 'Spectrum' },
+  { id: '20', name: 'Tormentum' },
+  { id: '16', name: 'Vesperia' }
+];
+
+const DEFAULT_CACHE_DURATION = 30 * 60 * 1000; // 30 minutes
+
+export function mergeWorlds(options, details) {
+  const detailsByName = new Map(details.map(world => [world.name.toLowerCase(), world]));
+  const merged = options.map(({ id, name }) => {
+    const detail = detailsByName.get(name.toLowerCase());
+    detailsByName.delete(name.toLowerCase());
+    return {
+      id,
+      name,
+      online: detail ? detail.online : null,
+      location: detail ? detail.location : '',
+      pvpType: detail ? detail.pvpType : ''
+    };
+  });
+
+  // Listed on the worlds page but not in the selector yet (id unknown, can't be polled)
+  merged.push(...detailsByName.values());
+
+  return merged.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// fetchPage(url, options) -> { html } (the RubinOT fetcher)
+// onWorlds(worlds) is called after every successful refresh
+export function createWorldList({ fetchPage, cacheDuration = DEFAULT_CACHE_DURATION, onWorlds }) {
+  let cached = null; // { worlds, updatedAt }
+  let refreshing = null;
+
+  async function refresh() {
+    // Any world's latest deaths page carries the full selector
+    const [optionsPage, worldsPage] = await Promise.allSettled([
+      fetchPage(latestDeathsUrl(STATIC_WORLDS[0].id, ''), { statsKey: 'worlds' }),
+      fetchPage(worldsUrl(), { statsKey: 'worlds', waitForSelector: 'div.TableContentContainer' })
+    ]);
+
+    const options = optionsPage.status === 'fulfilled' ? parseWorldOptions(optionsPage.value.html) : [];
+    const details = worldsPage.status === 'fulfilled' ? parseWorldList(worldsPage.value.html) : [];
+
+    if (options.length === 0) {
+      const reason = optionsPage.status === 'rejected' ? optionsPage.reason.message : 'no world selector on the page';
+      throw new Error(`World discovery failed: ${reason}`);
+    }
+    if (worldsPage.status === 'rejected') {
+      console.warn(`⚠️  Worlds page failed (${worldsPage.reason.message}), world list without online counts`);
+    }
+
+    cached = { worlds: mergeWorlds(options, details), updatedAt: Date.now() };
+    console.log(`🌍 Discovered ${cached.worlds.length} worlds`);
+    if (onWorlds) onWorlds(cached.worlds);
+    return cached;
+  }
+
+  // Returns { worlds, source: 'rubinot' | 'stale' | 'static', updatedAt }
+  async function getWorlds({ force = false } = {}) {
+    if (!force && cached && Date.now() - cached.updatedAt < cacheDuration) {
+      return { ...cached, source: 'rubinot' };
+    }
+
+    // Concurrent callers share one refresh
+    if (!refreshing) {
+      refreshing = refresh().finally(() => { refreshing = null; });
+    }
+
+    try {
+      return { ...(await refreshing), source: 'rubinot' };
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      if (cached) return { ...cached, source: 'stale' };
+      return {
+        worlds: STATIC_WORLDS.map(world => ({ ...world, online: null, location: '', pvpType: '' })),
+        source: 'static',
+        updatedAt: null
+      };
+    }
+  }
+
+  return { getWorlds };
+}
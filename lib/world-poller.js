@@ -0,0 +1,166 @@
+// Background world poller
+// Scrapes every tracked world on its own interval so HTTP requests only read in-memory state
+import { EventEmitter } from 'events';
+
+// Parse POLL_WORLDS ("20,11:15000,1") into [{ worldId, interval }]
+export function parseWorldConfig(value, defaultInterval) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [worldId, interval] = entry.split(':');
+      const parsedInterval = parseInt(interval);
+      return {
+        worldId: worldId.trim(),
+        interval: parsedInterval > 0 ? parsedInterval : defaultInterval
+      };
+    });
+}
+
+// fetchDeaths(worldId) -> enriched deaths (newest first); deathStore records them
+// Events: 'deaths' (worldId, new deaths), 'death-updates' (worldId, stored deaths that gained
+// character data since they were first seen), 'poll' (worldId, { ok, count | error })
+export function createWorldPoller({ fetchDeaths, deathStore, defaultInterval = 20000, startDelay = 1000 }) {
+  const poller = new EventEmitter();
+  poller.setMaxListeners(0); // One listener per SSE/WebSocket client
+  const worlds = new Map(); // worldId -> state
+  let running = false;
+
+  function createState(worldId, interval) {
+    return {
+      worldId,
+      interval,
+      deaths: [],
+      lastPollAt: null,
+      lastSuccessAt: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      polling: false,
+      timer: null,
+      waiters: [] // Resolved after the next poll finishes
+    };
+  }
+
+  // Emit to each listener on its own: a failing listener (alert routing, a broadcast) is not a failed poll
+  function notify(event, ...args) {
+    for (const listener of poller.listeners(event)) {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.error(`❌ ${event} listener failed for world ${args[0]}: ${error.message}`);
+      }
+    }
+  }
+
+  function schedule(state, delay) {
+    if (!running) return;
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => pollWorld(state), delay);
+  }
+
+  async function pollWorld(state) {
+    if (state.polling) return;
+    state.polling = true;
+    state.lastPollAt = Date.now();
+    const startTime = state.lastPollAt;
+
+    try {
+      const deaths = await fetchDeaths(state.worldId);
+      const updatedDeaths = [];
+      const newDeaths = deathStore.record(state.worldId, deaths, { onUpdate: death => updatedDeaths.push(death) });
+
+      state.deaths = deaths;
+      state.lastSuccessAt = Date.now();
+      state.lastError = null;
+      state.consecutiveFailures = 0;
+
+      if (newDeaths.length > 0) {
+        console.log(`🆕 World ${state.worldId}: ${newDeaths.length} new deaths (${deathStore.size()} stored)`);
+        notify('deaths', state.worldId, newDeaths);
+      }
+      if (updatedDeaths.length > 0) notify('death-updates', state.worldId, updatedDeaths);
+      notify('poll', state.worldId, { ok: true, count: deaths.length });
+    } catch (error) {
+      state.lastError = error.message;
+      state.consecutiveFailures++;
+      console.error(`❌ Poll failed for world ${state.worldId} (${state.consecutiveFailures}x): ${error.message}`);
+      notify('poll', state.worldId, { ok: false, error: error.message });
+    } finally {
+      state.polling = false;
+      const waiters = state.waiters;
+      state.waiters = [];
+      waiters.forEach(resolve => resolve(state));
+
+      // Keep the configured cadence; back off while RubinOT keeps failing
+      const backoff = Math.min(state.consecutiveFailures, 5);
+      const elapsed = Date.now() - startTime;
+      schedule(state, Math.max(0, state.interval * (backoff + 1) - elapsed));
+    }
+  }
+
+  // Start tracking a world (no-op if already tracked)
+  function addWorld(worldId, interval = defaultInterval) {
+    const id = String(worldId);
+    if (worlds.has(id)) return worlds.get(id);
+
+    const state = createState(id, interval);
+    worlds.set(id, state);
+    console.log(`📡 Polling world ${id} every ${interval}ms`);
+    schedule(state, worlds.size === 1 ? 0 : Math.min((worlds.size - 1) * startDelay, interval));
+    return state;
+  }
+
+  function hasWorld(worldId) {
+    return worlds.has(String(worldId));
+  }
+
+  function getState(worldId) {
+    return worlds.get(String(worldId)) || null;
+  }
+
+  // Resolve once the world has data (or its first poll failed), or after timeout
+  function waitForData(worldId, timeout = 30000) {
+    const state = getState(worldId);
+    if (!state) return Promise.resolve(null);
+    if (state.lastSuccessAt || state.lastError) return Promise.resolve(state);
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => resolve(state), timeout);
+      state.waiters.push(() => {
+        clearTimeout(timer);
+        resolve(state);
+      });
+    });
+  }
+
+  function start(initialWorlds = []) {
+    running = true;
+    // Worlds added on demand before start() still need their first poll
+    for (const state of worlds.values()) {
+      schedule(state, 0);
+    }
+    initialWorlds.forEach(({ worldId, interval }) => addWorld(worldId, interval));
+  }
+
+  function stop() {
+    running = false;
+    for (const state of worlds.values()) {
+      clearTimeout(state.timer);
+    }
+  }
+
+  function getStatus() {
+    return Array.from(worlds.values()).map(state => ({
+      worldId: state.worldId,
+      interval: state.interval,
+      deaths: state.deaths.length,
+      lastPollAt: state.lastPollAt,
+      lastSuccessAt: state.lastSuccessAt,
+      lastError: state.lastError,
+      consecutiveFailures: state.consecutiveFailures
+    }));
+  }
+
+  return Object.assign(poller, { start, stop, addWorld, hasWorld, getState, waitForData, getStatus });
+}
@@ -0,0 +1,378 @@
+// Local mock of the RubinOT pages the tracker scrapes
+// Run: npm run mock:rubinot, then start the tracker with RUBINOT_BASE_URL=http://localhost:4000/
+//
+// Control endpoints (JSON):
+//   POST /__mock/scenario   { mode, times, delayMs, status }  - simulate trouble for the next `times` page requests
+//                            mode: "normal" | "challenge" (Cloudflare JS challenge) | "blocked" | "error" | "slow"
+//   POST /__mock/deaths     { world, deaths: [{ player, level, cause, time }] } - add deaths (newest first)
+//   POST /__mock/characters { name, vocation, residence, accountStatus, guild, ..., created, deaths: [{ time, level, cause }] }
+//   POST /__mock/guilds     { name, description, members: [{ name, rank, title, vocation, level, joined, online }] }
+//   POST /__mock/worlds     { worlds: [{ id, name, online, location, pvpType }] } - replace the world list
+//   POST /__mock/reset      - back to the default state
+//   GET  /__mock/requests   - log of page requests served
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { formatRubinOTTime } from '../lib/death-time.js';
+
+const PAGE_SIZE = 50; // Deaths per latest deaths page
+const CHALLENGE_COOKIE = 'cf_clearance';
+
+const VOCATIONS = ['Elite Knight', 'Elder Druid', 'Royal Paladin', 'Master Sorcerer', 'Exalted Monk'];
+const CREATURES = ['a dragon lord', 'a hellflayer', 'a gazer spectre', 'a demon', 'a rat'];
+
+const DEFAULT_WORLDS = [
+  { id: '11', name: 'Auroria', online: 812, location: 'South America', pvpType: 'Optional PvP' },
+  { id: '19', name: 'Belaria', online: 655, location: 'South America', pvpType: 'Optional PvP' },
+  { id: '20', name: 'Tormentum', online: 1204, location: 'South America', pvpType: 'Open PvP' }
+];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// A handful of deaths so a fresh mock has something to show
+function createSampleDeaths(worldId) {
+  const now = Date.now();
+  return Array.from({ length: 5 }, (_, i) => ({
+    player: `Mock Player ${worldId}-${i + 1}`,
+    level: 100 + i * 150,
+    cause: CREATURES[i % CREATURES.length],
+    time: formatRubinOTTime(new Date(now - i * 60000))
+  }));
+}
+
+function characterLink(name) {
+  return `<a href="./?subtopic=characters&amp;name=${encodeURIComponent(name).replace(/%20/g, '+')}">${escapeHtml(name)}</a>`;
+}
+
+function layout(title, content) {
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head><meta charset="utf-8"><title>RubinOT - ${escapeHtml(title)}</title></head>
+<body><div id="ContentColumn"><div class="Box"><div class="BoxContent">
+${content}
+</div></div></div></body>
+</html>`;
+}
+
+function tableContainer(caption, rows) {
+  return `<div class="TableContainer">
+  <div class="CaptionContainer"><div class="Text">${escapeHtml(caption)}</div></div>
+  <div class="TableContentContainer">
+    <table class="TableContent" width="100%">
+${rows}
+    </table>
+  </div>
+</div>`;
+}
+
+function worldSelector(worlds, selected) {
+  const options = worlds.map(world =>
+    `<option value="${escapeHtml(world.id)}"${String(world.id) === String(selected) ? ' selected' : ''}>${escapeHtml(world.name)}</option>`
+  ).join('');
+  return `<form action="./" method="get"><input type="hidden" name="subtopic" value="latestdeaths"><select name="world">${options}</select></form>`;
+}
+
+export function renderLatestDeathsPage(deaths, { world, minLevel = 0, page = 1, pageSize = PAGE_SIZE, worlds = DEFAULT_WORLDS } = {}) {
+  const pageCount = Math.max(1, Math.ceil(deaths.length / pageSize));
+  const pageDeaths = deaths.slice((page - 1) * pageSize, page * pageSize);
+
+  const rows = pageDeaths.length > 0
+    ? pageDeaths.map((death, i) => `      <tr bgcolor="${i % 2 ? '#D4C0A1' : '#F1E0C6'}">
+        <td>${(page - 1) * pageSize + i + 1}.</td>
+        <td>${escapeHtml(death.time).replace(', ', ',&#160;')}</td>
+        <td>${characterLink(death.player)} died at level ${death.level} by ${death.causeHtml || escapeHtml(death.cause)}.</td>
+      </tr>`).join('\n')
+    : `      <tr bgcolor="#F1E0C6"><td colspan="3">No one died recently.</td></tr>`;
+
+  const navigation = pageCount > 1
+    ? `<div class="PageNavigation">${Array.from({ length: pageCount }, (_, i) => i + 1)
+      .map(n => n === page
+        ? `<span class="CurrentPage">${n}</span>`
+        : `<a href="./?subtopic=latestdeaths&amp;world=${world}${minLevel ? `&amp;min_level=${minLevel}` : ''}&amp;page=${n}">${n}</a>`)
+      .join(' ')}</div>`
+    : '';
+
+  return layout('Latest Deaths', worldSelector(worlds, world) + tableContainer('Latest Deaths', `      <tr class="LabelH"><td>#</td><td>Time</td><td>Description</td></tr>\n${rows}`) + navigation);
+}
+
+export function renderCharacterPage(character) {
+  const fields = [
+    ['Name', character.name],
+    ['Former Names', character.formerNames],
+    ['Sex', character.sex],
+    ['Vocation', character.vocation],
+    ['Level', character.level],
+    ['Achievement Points', character.achievementPoints],
+    ['World', character.world],
+    ['Residence', character.residence],
+    ['House', character.house],
+    ['Guild&#160;Membership', character.guild ? `${escapeHtml(character.guildRank || 'Member')} of the <a href="./?subtopic=guilds&amp;page=view&amp;GuildName=${encodeURIComponent(character.guild)}">${escapeHtml(character.guild)}</a>` : null],
+    ['Last Login', character.lastLogin],
+    ['Comment', character.comment],
+    ['Account&#160;Status', character.accountStatus]
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  const rows = fields.map(([label, value], i) =>
+    `      <tr bgcolor="${i % 2 ? '#F1E0C6' : '#D4C0A1'}"><td class="LabelV">${label}:</td><td>${label.startsWith('Guild') ? value : escapeHtml(value)}</td></tr>`
+  ).join('\n');
+
+  const deathRows = (character.deaths || []).map((death, i) =>
+    `      <tr bgcolor="${i % 2 ? '#F1E0C6' : '#D4C0A1'}"><td width="25%">${escapeHtml(death.time).replace(', ', ',&#160;')}</td><td>Died at Level ${death.level} by ${death.causeHtml || escapeHtml(death.cause)}.</td></tr>`
+  ).join('\n');
+  const accountRows = character.created
+    ? `      <tr bgcolor="#D4C0A1"><td class="LabelV">Created:</td><td>${escapeHtml(character.created)}</td></tr>`
+    : '';
+
+  return layout('Characters', tableContainer('Character Information', rows) +
+    (deathRows ? tableContainer('Character Deaths', deathRows) : '') +
+    (accountRows ? tableContainer('Account Information', accountRows) : ''));
+}
+
+export function renderWorldsPage(worlds) {
+  const rows = worlds.map((world, i) => `      <tr bgcolor="${i % 2 ? '#D4C0A1' : '#F1E0C6'}">
+        <td><a href="./?subtopic=worlds&amp;world=${encodeURIComponent(world.name)}">${escapeHtml(world.name)}</a></td>
+        <td>${world.online === null || world.online === undefined ? 'off' : world.online}</td>
+        <td>${escapeHtml(world.location || '')}</td>
+        <td>${escapeHtml(world.pvpType || '')}</td>
+        <td></td>
+      </tr>`).join('\n');
+
+  return layout('Worlds', tableContainer('Regular Worlds',
+    `      <tr class="LabelH"><td>World</td><td>Online</td><td>Location</td><td>PvP Type</td><td>Additional Information</td></tr>\n${rows}`));
+}
+
+function renderChallengePage() {
+  // Sets the clearance cookie and reloads, like Cloudflare's JS challenge (plain fetch never gets past it)
+  return `<!DOCTYPE html>
+<html lang="en-US">
+<head><title>Just a moment...</title></head>
+<body>
+  <div class="main-wrapper" role="main">
+    <h2 id="challenge-running">Checking your browser before accessing rubinot.com.br.</h2>
+  </div>
+  <script src="/cdn-cgi/challenge-platform/h/g/orchestrate/chl_page/v1"></script>
+  <script>
+    setTimeout(function () {
+      document.cookie = "${CHALLENGE_COOKIE}=mock; path=/";
+      location.reload();
+    }, 1000);
+  </script>
+</body>
+</html>`;
+}
+
+function renderBlockedPage() {
+  return `<!DOCTYPE html>
+<html lang="en-US">
+<head><title>Attention Required! | Cloudflare</title></head>
+<body>
+  <div id="cf-wrapper">
+    <div id="cf-error-details" class="cf-error-details-wrapper">
+      <h1>Sorry, you have been blocked</h1>
+      <h2 class="cf-subheadline">You are unable to access rubinot.com.br</h2>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+export function renderGuildPage(guild) {
+  if (!guild) {
+    return layout('Guilds', '<div class="TableContainer"><div class="Text">Guild not found</div></div><p>A guild by that name does not exist.</p>');
+  }
+
+  let previousRank = null;
+  const rows = (guild.members || []).map((member, i) => {
+    // Like RubinOT: the rank is only printed on the first member of each rank group
+    const rank = member.rank === previousRank ? '&#160;' : escapeHtml(member.rank || 'Member');
+    previousRank = member.rank;
+    return `      <tr bgcolor="${i % 2 ? '#D4C0A1' : '#F1E0C6'}">
+        <td>${rank}</td>
+        <td>${characterLink(member.name)}${member.title ? ` (${escapeHtml(member.title)})` : ''}</td>
+        <td>${escapeHtml(member.vocation || '')}</td>
+        <td>${member.level || ''}</td>
+        <td>${escapeHtml(member.joined || '')}</td>
+        <td class="onlinestatus"><span class="${member.online ? 'green' : 'red'}"><b>${member.online ? 'online' : 'offline'}</b></span></td>
+      </tr>`;
+  }).join('\n');
+
+  const information = `<div id="GuildInformationContainer"><h1>${escapeHtml(guild.name)}</h1>` +
+    (guild.description ? `<p>${escapeHtml(guild.description)}</p>` : '') + '</div>';
+
+  return layout('Guilds', information + tableContainer('Guild Members',
+    `      <tr class="LabelH"><td>Rank</td><td>Name and Title</td><td>Vocation</td><td>Level</td><td>Joining Date</td><td>Status</td></tr>\n${rows}`));
+}
+
+// Generated characters may belong to "Mock Guild"
+const MOCK_GUILD = {
+  name: 'Mock Guild',
+  description: 'Sample guild of the mock server.',
+  members: [
+    { name: 'Mock Leader', rank: 'Leader', vocation: 'Elite Knight', level: 800, joined: '01.01.2025', online: true },
+    { name: 'Mock Vice', rank: 'Vice Leader', vocation: 'Elder Druid', level: 650, joined: '02.01.2025', online: false },
+    { name: 'Mock Member', rank: 'Member', vocation: 'Royal Paladin', level: 420, joined: '03.01.2025', online: true }
+  ]
+};
+
+function createDefaultState() {
+  return {
+    deathsByWorld: new Map(), // worldId -> deaths (newest first)
+    characters: new Map(), // lowercase name -> character
+    worlds: DEFAULT_WORLDS,
+    guilds: new Map([[MOCK_GUILD.name.toLowerCase(), MOCK_GUILD]]), // lowercase name -> guild
+    scenario: { mode: 'normal', times: 0, delayMs: 0, status: 500 },
+    requests: []
+  };
+}
+
+export function createMockRubinOTServer() {
+  const app = express();
+  let state = createDefaultState();
+
+  app.use(express.json());
+
+  function getWorldDeaths(worldId) {
+    if (!state.deathsByWorld.has(worldId)) {
+      state.deathsByWorld.set(worldId, createSampleDeaths(worldId));
+    }
+    return state.deathsByWorld.get(worldId);
+  }
+
+  function getCharacter(name) {
+    const existing = state.characters.get(name.toLowerCase());
+    if (existing) return existing;
+
+    // Unknown characters get stable generated data
+    const hash = Array.from(name).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+    return {
+      name,
+      sex: hash % 2 ? 'male' : 'female',
+      vocation: VOCATIONS[hash % VOCATIONS.length],
+      level: 50 + (hash % 900),
+      world: 'Tormentum',
+      residence: 'Thais',
+      guild: hash % 3 === 0 ? 'Mock Guild' : '',
+      accountStatus: hash % 2 ? 'VIP Account' : 'Free Account'
+    };
+  }
+
+  // --- Control API ---
+  app.post('/__mock/scenario', (req, res) => {
+    const { mode = 'normal', times = 1, delayMs = 3000, status = 500 } = req.body || {};
+    if (!['normal', 'challenge', 'blocked', 'error', 'slow'].includes(mode)) {
+      return res.status(400).json({ error: `Unknown mode: ${mode}` });
+    }
+    state.scenario = { mode, times: mode === 'normal' ? 0 : times, delayMs, status };
+    console.log(`🎭 Mock scenario: ${mode} for the next ${state.scenario.times} requests`);
+    res.json(state.scenario);
+  });
+
+  app.post('/__mock/deaths', (req, res) => {
+    const { world = '20', deaths = [] } = req.body || {};
+    const worldDeaths = getWorldDeaths(String(world));
+    const now = new Date();
+    const added = deaths.map(death => ({ ...death, time: death.time || formatRubinOTTime(now) }));
+    worldDeaths.unshift(...added);
+    res.json({ world: String(world), total: worldDeaths.length });
+  });
+
+  app.post('/__mock/characters', (req, res) => {
+    const character = req.body || {};
+    if (!character.name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    state.characters.set(character.name.toLowerCase(), character);
+    res.json(character);
+  });
+
+  app.post('/__mock/guilds', (req, res) => {
+    const guild = req.body || {};
+    if (!guild.name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    state.guilds.set(guild.name.toLowerCase(), { members: [], ...guild });
+    res.json(state.guilds.get(guild.name.toLowerCase()));
+  });
+
+  app.post('/__mock/worlds', (req, res) => {
+    const { worlds } = req.body || {};
+    if (!Array.isArray(worlds)) {
+      return res.status(400).json({ error: 'worlds must be an array' });
+    }
+    state.worlds = worlds.map(world => ({ ...world, id: String(world.id) }));
+    res.json(state.worlds);
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    state = createDefaultState();
+    res.json({ ok: true });
+  });
+
+  app.get('/__mock/requests', (req, res) => {
+    res.json(state.requests);
+  });
+
+  // --- RubinOT pages ---
+  app.get('/', async (req, res) => {
+    const { subtopic } = req.query;
+    state.requests.push({ time: Date.now(), url: req.originalUrl });
+
+    // Scenario applies to the next N page requests
+    const scenario = state.scenario;
+    const clearedChallenge = (req.get('Cookie') || '').includes(`${CHALLENGE_COOKIE}=`);
+    let mode = 'normal';
+    if (scenario.times > 0 && !(scenario.mode === 'challenge' && clearedChallenge)) {
+      mode = scenario.mode;
+      scenario.times--;
+    }
+
+    if (mode === 'slow') {
+      await new Promise(resolve => setTimeout(resolve, scenario.delayMs));
+    } else if (mode === 'error') {
+      return res.status(scenario.status).send('<html><body><h1>Internal Server Error</h1></body></html>');
+    } else if (mode === 'challenge') {
+      return res.status(403).send(renderChallengePage());
+    } else if (mode === 'blocked') {
+      return res.status(403).send(renderBlockedPage());
+    }
+
+    if (subtopic === 'latestdeaths') {
+      const world = String(req.query.world || '20');
+      const minLevel = parseInt(req.query.min_level) || 0;
+      const page = Math.max(1, parseInt(req.query.page) || 1);
+      const deaths = getWorldDeaths(world).filter(death => death.level >= minLevel);
+      return res.send(renderLatestDeathsPage(deaths, { world, minLevel, page, worlds: state.worlds }));
+    }
+
+    if (subtopic === 'worlds') {
+      return res.send(renderWorldsPage(state.worlds));
+    }
+
+    if (subtopic === 'guilds' && req.query.GuildName) {
+      return res.send(renderGuildPage(state.guilds.get(String(req.query.GuildName).toLowerCase())));
+    }
+
+    if (subtopic === 'characters' && req.query.name) {
+      return res.send(renderCharacterPage(getCharacter(req.query.name)));
+    }
+
+    res.send(layout('Home', '<p>RubinOT mock server</p>'));
+  });
+
+  return app;
+}
+
+// Run standalone: node mock/rubinot-mock-server.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = process.env.MOCK_PORT || 4000;
+  createMockRubinOTServer().listen(port, () => {
+    console.log(`🎭 RubinOT mock server running on http://localhost:${port}/`);
+    console.log(`   Start the tracker with RUBINOT_BASE_URL=http://localhost:${port}/`);
+  });
+}
@@ -0,0 +1,93 @@
+// Stand-in for the Telegram Bot API (getUpdates + sendMessage) for local testing
+// Start the tracker with TELEGRAM_API_URL=http://localhost:4400 and any TELEGRAM_BOT_TOKEN.
+//
+// Control endpoints (JSON):
+//   POST /__telegram/messages { chatId, text } - a user sends the bot a message
+//   POST /__telegram/fail     { times, retryAfter } - answer the next N sendMessage calls with 429
+//   GET  /__telegram/sent                      - messages the bot sent, oldest first
+//   POST /__telegram/reset
+import express from 'express';
+import { fileURLToPath } from 'url';
+
+const MAX_HOLD = 1000; // getUpdates long polling is cut short so tests stay fast
+
+export function createTelegramStub() {
+  const app = express();
+  let updates = [];
+  let sent = [];
+  let nextUpdateId = 1;
+  let failure = { times: 0, retryAfter: 1 };
+  let waiters = [];
+
+  app.use(express.json());
+
+  app.post('/__telegram/messages', (req, res) => {
+    const { chatId = 1, text = '' } = req.body || {};
+    const update = {
+      update_id: nextUpdateId++,
+      message: { message_id: nextUpdateId, chat: { id: Number(chatId), type: 'private' }, date: Math.floor(Date.now() / 1000), text }
+    };
+    updates.push(update);
+    waiters.forEach(resolve => resolve());
+    waiters = [];
+    res.json(update);
+  });
+
+  app.post('/__telegram/fail', (req, res) => {
+    const { times = 1, retryAfter = 1 } = req.body || {};
+    failure = { times, retryAfter };
+    res.json(failure);
+  });
+
+  app.get('/__telegram/sent', (req, res) => {
+    res.json(sent);
+  });
+
+  app.post('/__telegram/reset', (req, res) => {
+    updates = [];
+    sent = [];
+    failure = { times: 0, retryAfter: 1 };
+    res.json({ ok: true });
+  });
+
+  app.post('/bot:token/getUpdates', async (req, res) => {
+    const { offset = 0, timeout = 0 } = req.body || {};
+    const pending = () => updates.filter(update => update.update_id >= offset);
+
+    if (pending().length === 0 && timeout > 0) {
+      await new Promise(resolve => {
+        waiters.push(resolve);
+        setTimeout(resolve, Math.min(timeout * 1000, MAX_HOLD));
+      });
+    }
+    // Confirmed updates (below offset) are dropped, like Telegram does
+    updates = pending();
+    res.json({ ok: true, result: updates });
+  });
+
+  app.post('/bot:token/sendMessage', (req, res) => {
+    if (failure.times > 0) {
+      failure.times--;
+      return res.status(429).json({
+        ok: false,
+        error_code: 429,
+        description: `Too Many Requests: retry after ${failure.retryAfter}`,
+        parameters: { retry_after: failure.retryAfter }
+      });
+    }
+    const { chat_id: chatId, text, parse_mode: parseMode } = req.body || {};
+    sent.push({ chatId: String(chatId), text, parseMode });
+    res.json({ ok: true, result: { message_id: sent.length, chat: { id: chatId }, text } });
+  });
+
+  return app;
+}
+
+// Run standalone: node mock/telegram-stub.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = process.env.TELEGRAM_STUB_PORT || 4400;
+  createTelegramStub().listen(port, () => {
+    console.log(`🤖 Telegram API stub running on http://localhost:${port}`);
+    console.log(`   Start the tracker with TELEGRAM_API_URL=http://localhost:${port} TELEGRAM_BOT_TOKEN=test`);
+  });
+}
@@ -0,0 +1,69 @@
+// Stand-in webhook receiver for testing outbound webhooks locally
+// Accepts POSTs on any path, checks the HMAC signature and keeps what it received.
+//
+// Control endpoints (JSON):
+//   POST /__receiver/fail   { times, status } - answer the next N deliveries with an error (default 500)
+//   GET  /__receiver/deliveries              - deliveries received, newest first
+//   POST /__receiver/reset
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { verifySignature, SIGNATURE_HEADER } from '../lib/outbound-webhooks.js';
+
+export function createWebhookReceiver({ secret } = {}) {
+  const app = express();
+  let deliveries = [];
+  let failure = { times: 0, status: 500 };
+
+  app.post('/__receiver/fail', express.json(), (req, res) => {
+    const { times = 1, status = 500 } = req.body || {};
+    failure = { times, status };
+    res.json(failure);
+  });
+
+  app.get('/__receiver/deliveries', (req, res) => {
+    res.json(deliveries);
+  });
+
+  app.post('/__receiver/reset', (req, res) => {
+    deliveries = [];
+    failure = { times: 0, status: 500 };
+    res.json({ ok: true });
+  });
+
+  // Raw body: the signature covers the exact bytes that were sent
+  app.post('*', express.raw({ type: '*/*' }), (req, res) => {
+    const body = req.body.toString('utf8');
+    const signature = req.get(SIGNATURE_HEADER);
+    const delivery = {
+      path: req.path,
+      event: req.get('X-Death-Tracker-Event'),
+      deliveryId: req.get('X-Death-Tracker-Delivery'),
+      verified: secret ? verifySignature(body, secret, signature) : null,
+      receivedAt: Date.now(),
+      body: JSON.parse(body || 'null')
+    };
+    deliveries.unshift(delivery);
+
+    if (failure.times > 0) {
+      failure.times--;
+      return res.status(failure.status).json({ error: 'Scripted failure' });
+    }
+    if (delivery.verified === false) {
+      console.warn(`⚠️  Invalid signature on delivery ${delivery.deliveryId}`);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    console.log(`📨 ${delivery.event} ${delivery.deliveryId}: ${delivery.body?.player} (level ${delivery.body?.level})`);
+    res.status(204).end();
+  });
+
+  return app;
+}
+
+// Run standalone: WEBHOOK_SECRET=... node mock/webhook-receiver.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = process.env.RECEIVER_PORT || 4300;
+  createWebhookReceiver({ secret: process.env.WEBHOOK_SECRET }).listen(port, () => {
+    console.log(`📨 Webhook receiver running on http://localhost:${port}/`);
+    if (!process.env.WEBHOOK_SECRET) console.log('   WEBHOOK_SECRET not set, signatures are not checked');
+  });
+}
@@ -1,13 +1,31 @@
 // ULTRA-FAST Express server for Railway
 // Optimized with: browser reuse, parallel fetching, pre-warming, longer cache
 import express from 'express';
-import puppeteer from 'puppeteer-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-
-// Use stealth plugin to bypass Cloudflare bot detection
-puppeteer.use(StealthPlugin());
+import { createDeathStore } from './lib/death-store.js';
+import { getPlayerKillers } from './lib/death-cause.js';
+import { createWorldPoller, parseWorldConfig } from './lib/world-poller.js';
+import { attachDeathSocket } from './lib/death-socket.js';
+import { createDeathStream } from './lib/death-stream.js';
+import { parseLatestDeaths, parseCharacterProfile, characterFromProfile } from './lib/rubinot-parser.js';
+import { RUBINOT_BASE_URL, latestDeathsUrl, characterUrl } from './lib/rubinot-urls.js';
+import { createRubinOTFetcher } from './lib/rubinot-fetcher.js';
+import { createHttpFetcher } from './lib/fetchers/http-fetcher.js';
+import { createBrowserFetcher } from './lib/fetchers/browser-fetcher.js';
+import { createWorldList, STATIC_WORLDS } from './lib/world-list.js';
+import { RUBINOT_TIMEZONE, zonedTimeToEpoch } from './lib/death-time.js';
+import { createGuildTracker } from './lib/guild-tracker.js';
+import { createWatchlist, getWatchId } from './lib/watchlist.js';
+import { createNotificationHub } from './lib/notification-hub.js';
+import { createDiscordNotifier, parseDiscordWebhooks, getWebhookRules } from './lib/discord-notifier.js';
+import { createAlertRules } from './lib/alert-rules.js';
+import { createOutboundWebhooks, WEBHOOK_CHANNEL_PREFIX } from './lib/outbound-webhooks.js';
+import { createTelegramBot } from './lib/telegram-bot.js';
+import { createDeathAlerts } from './lib/death-alerts.js';
+import { computeDeathStats, computeCreatureLeaderboard, computeKillerLeaderboard, isKilledByCreature, STATS_BUCKETS, DEFAULT_HIGH_LEVEL } from './lib/death-stats.js';
+import { detectGuildWars, createGuildWarMonitor, DEFAULT_WAR_MIN_KILLS } from './lib/guild-wars.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,15 +33,29 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// ULTRA-FAST caching - minimum delay for real-time updates!
-const cache = new Map();
+// Character data cache (deaths live in the world poller state)
 const characterCache = new Map();
-const CACHE_DURATION = 1500; // 1.5 seconds (ultra-fast updates!)
 const CHARACTER_CACHE_DURATION = 86400000; // 24 hours (character data rarely changes!)
 
-// Browser instance for reuse
-let sharedBrowser = null;
-let browserLaunching = false;
+// Persistent death history (mount a volume at DATA_DIR on Railway/Render to keep it across deploys)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+// DEATH_HISTORY_DAYS=0 keeps every death; older ones are pruned hourly
+const DEATH_HISTORY_DAYS = parseInt(process.env.DEATH_HISTORY_DAYS ?? '90');
+const DEATH_PRUNE_INTERVAL = 60 * 60 * 1000;
+const deathStore = createDeathStore({ dataDir: DATA_DIR, retentionDays: DEATH_HISTORY_DAYS > 0 ? DEATH_HISTORY_DAYS : null });
+const deathPruneTimer = setInterval(() => deathStore.prune(), DEATH_PRUNE_INTERVAL);
+
+// Watched characters/guilds - their deaths go to every notification channel, whatever the filters
+const watchlist = createWatchlist({ dataDir: DATA_DIR });
+const notificationHub = createNotificationHub();
+
+// Page fetching: plain HTTP first, stealth browser only when Cloudflare challenges us
+// FETCH_STRATEGY=auto (default) | http | browser
+const rubinotFetcher = createRubinOTFetcher({
+  httpFetcher: createHttpFetcher(),
+  browserFetcher: createBrowserFetcher(),
+  mode: process.env.FETCH_STRATEGY || 'auto'
+});
 
 // ULTRA-SMART Rate limiting - ONLY protects RubinOT, not cache hits!
 const rubinOTRequestLog = new Map(); // Track ONLY actual RubinOT fetches per IP
@@ -31,6 +63,9 @@ const RATE_LIMIT_WINDOW = 60000; // 1 minute window
 const MAX_RUBINOT_FETCHES_PER_MINUTE = 40; // Max 40 actual RubinOT fetches per minute (ultra-fast!)
 const MIN_RUBINOT_INTERVAL = 1500; // Minimum 1.5 seconds between RubinOT fetches (ultra-fast!)
 
+// Latest deaths table: how many RubinOT pages to follow per poll
+const MAX_DEATH_PAGES = parseInt(process.env.MAX_DEATH_PAGES) || 5;
+
 // REQUEST QUEUE for multiple users - prevents overwhelming RubinOT
 const requestQueue = [];
 let isProcessingQueue = false;
@@ -126,267 +161,42 @@ function queueRubinOTRequest(worldId, minLevel, vipFilter) {
 
 // EXTRACTED: RubinOT fetching logic (used by queue processor)
 async function fetchDeathsFromRubinOT(worldId, minLevel, vipFilter) {
-  const url = `https://rubinot.com.br/?subtopic=latestdeaths&world=${worldId}${minLevel ? `&min_level=${minLevel}` : ''}`;
-  let page = null;
-  let retryCount = 0;
-  const MAX_RETRIES = 3;
-
-  try {
-    console.log(`🌐 Fetching deaths for world ${worldId} (Rubinot request)...`);
-    
-    // Get browser (reuse or create)
-    const browser = await getBrowser();
+  console.log(`🌐 Fetching deaths for world ${worldId} (Rubinot request)...`);
+  
+  // Parse deaths from every page of the latest deaths table
+  const deaths = [];
+  const seenDeaths = new Set();
+  let pageNumber = 1;
+  let url = latestDeathsUrl(worldId, minLevel);
+  
+  while (true) {
+    const page = await rubinotFetcher.fetchPage(url, { statsKey: worldId });
+    const parsed = parseLatestDeaths(page.html, { baseUrl: page.url });
     
-    // ULTRA-SMART RETRY LOGIC with progressive timeouts
-    while (retryCount <= MAX_RETRIES) {
-      try {
-        page = await browser.newPage();
-        
-        // Stealth: Set realistic user agent and viewport
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        await page.setViewport({ width: 1920, height: 1080 }); // Realistic viewport
-        
-        // Stealth: Set additional headers
-        await page.setExtraHTTPHeaders({
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
-        });
-        
-        // Stealth: Override navigator properties
-        await page.evaluateOnNewDocument(() => {
-          // Override the navigator.webdriver property
-          Object.defineProperty(navigator, 'webdriver', {
-            get: () => false,
-          });
-          
-          // Override the navigator.plugins to look like a real browser
-          Object.defineProperty(navigator, 'plugins', {
-            get: () => [1, 2, 3, 4, 5],
-          });
-          
-          // Override navigator.languages
-          Object.defineProperty(navigator, 'languages', {
-            get: () => ['en-US', 'en'],
-          });
-        });
-        
-        // Block resources (but keep HTML/scripts for Cloudflare)
-        await page.setRequestInterception(true);
-        page.on('request', (req) => {
-          const resourceType = req.resourceType();
-          if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
-            req.abort();
-          } else {
-            req.continue();
-          }
-        });
-        
-        // PROGRESSIVE TIMEOUTS: Start fast, get more patient (optimized for speed)
-        let gotoTimeout, selectorTimeout;
-        if (retryCount === 0) {
-          gotoTimeout = 6000;    // 6s - ultra-fast bailout
-          selectorTimeout = 3000; // 3s - quick check
-        } else if (retryCount === 1) {
-          gotoTimeout = 10000;   // 10s - medium patience
-          selectorTimeout = 5000; // 5s - medium check
-        } else {
-          gotoTimeout = 15000;   // 15s - last chance
-          selectorTimeout = 7000; // 7s - thorough check
-        }
-        
-        const startTime = Date.now();
-        
-        await page.goto(url, { 
-          waitUntil: "networkidle2", // Wait for network to be mostly idle
-          timeout: gotoTimeout
-        });
-
-        const loadTime = Date.now() - startTime;
-        console.log(`⏱️  Page loaded in ${loadTime}ms (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
-
-        // Give minimal time for dynamic content (ultra-fast!)
-        await new Promise(resolve => setTimeout(resolve, 300));
-
-        // Check for Cloudflare challenge first
-        const isCloudflareChallenge = await page.evaluate(() => {
-          return document.body.innerHTML.includes('cf-wrapper') || 
-                 document.body.innerHTML.includes('Checking your browser') ||
-                 document.body.innerHTML.includes('cf-error-details');
-        });
-        
-        if (isCloudflareChallenge) {
-          console.log(`🛡️  Cloudflare challenge detected, waiting for completion...`);
-          // Wait longer for Cloudflare challenge to complete
-          await new Promise(resolve => setTimeout(resolve, 3000));
-          
-          // Check again if challenge passed
-          const stillBlocked = await page.evaluate(() => {
-            return document.body.innerHTML.includes('cf-wrapper') || 
-                   document.body.innerHTML.includes('Sorry, you have been blocked');
-          });
-          
-          if (stillBlocked) {
-            console.log(`❌ Cloudflare challenge failed, forcing retry...`);
-            throw new Error('Cloudflare challenge failed');
-          }
-          
-          console.log(`✅ Cloudflare challenge passed!`);
-        }
-        
-        // Try to wait for table with progressive timeout
-        try {
-          await page.waitForSelector("div.TableContentContainer table.TableContent", { timeout: selectorTimeout });
-          console.log(`✅ Table found!`);
-          break; // Success! Exit retry loop
-        } catch (selectorError) {
-          // Check if page has any content at all and debug structure
-          const pageInfo = await page.evaluate(() => {
-            const container = document.querySelector("div.TableContentContainer");
-            const table = document.querySelector("table.TableContent");
-            const anyTable = document.querySelector("table");
-            const bodyHTML = document.body ? document.body.innerHTML.substring(0, 500) : "NO BODY";
-            const isCfBlock = document.body.innerHTML.includes('cf-wrapper');
-            
-            return { 
-              container: !!container, 
-              table: !!table,
-              anyTable: !!anyTable,
-              bodyPreview: bodyHTML,
-              containerHTML: container ? container.innerHTML.substring(0, 300) : "NO CONTAINER",
-              cloudflareBlock: isCfBlock
-            };
-          });
-          
-          console.log(`🔍 Page content check: container=${pageInfo.container}, table=${pageInfo.table}, anyTable=${pageInfo.anyTable}, cfBlock=${pageInfo.cloudflareBlock}`);
-          
-          // If Cloudflare is blocking, don't show HTML preview (too verbose)
-          if (!pageInfo.cloudflareBlock) {
-            console.log(`📄 Body preview:`, pageInfo.bodyPreview);
-            console.log(`📦 Container HTML:`, pageInfo.containerHTML);
-          } else {
-            console.log(`🛡️  Cloudflare blocking detected - will retry with fresh page`);
-          }
-          
-          if (pageInfo.container || pageInfo.anyTable) {
-            // Some content exists, try to continue
-            console.log(`⚠️  Some content exists, continuing to parse...`);
-            break; // Exit retry loop, try to parse anyway
-          }
-          
-          // No content at all, definitely need retry
-          throw selectorError;
-        }
-        
-      } catch (error) {
-        console.log(`❌ Attempt ${retryCount + 1} failed: ${error.message}`);
-        
-        if (page) {
-          try { await page.close(); } catch (e) {}
-          page = null;
-        }
-        
-        // If Cloudflare is consistently blocking, restart browser on retry 2
-        if (error.message.includes('Cloudflare') && retryCount === 1) {
-          console.log(`🔄 Cloudflare blocking persists, restarting browser with new fingerprint...`);
-          try {
-            if (sharedBrowser) {
-              await sharedBrowser.close();
-              sharedBrowser = null;
-            }
-            // Next getBrowser() call will create a fresh browser
-          } catch (e) {
-            console.warn('⚠️  Error closing browser:', e.message);
-          }
-        }
-        
-        retryCount++;
-        if (retryCount > MAX_RETRIES) {
-          throw new Error(`Failed to load RubinOT page after ${MAX_RETRIES + 1} attempts: ${error.message}`);
-        }
-        
-        // Wait before retry (longer if Cloudflare blocked)
-        const waitTime = error.message.includes('Cloudflare') 
-          ? Math.min(2000 * retryCount, 5000) // Longer wait for Cloudflare
-          : Math.min(1000 * retryCount, 3000); // Normal wait
-        console.log(`⏳ Waiting ${waitTime}ms before retry...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-      }
+    for (const death of parsed.deaths) {
+      const key = `${death.player}_${death.time}`;
+      if (seenDeaths.has(key)) continue;
+      seenDeaths.add(key);
+      deaths.push({
+        ...death,
+        // Placeholder values - will be filled by character data fetch
+        vocation: "Unknown",
+        residence: "Loading...",
+        accountStatus: "Loading...",
+        guild: "" // Empty until fetched (won't show if no guild)
+      });
     }
-
-    // Parse deaths from the page (flexible selector approach)
-    const deaths = await page.evaluate(() => {
-      // Try multiple selector strategies
-      let rows = document.querySelectorAll("div.TableContentContainer table.TableContent tr");
-      
-      // Fallback 1: Try without div wrapper
-      if (rows.length === 0) {
-        rows = document.querySelectorAll("table.TableContent tr");
-      }
-      
-      // Fallback 2: Try any table rows
-      if (rows.length === 0) {
-        const tables = document.querySelectorAll("table");
-        for (const table of tables) {
-          const testRows = table.querySelectorAll("tr");
-          if (testRows.length > 0) {
-            rows = testRows;
-            break;
-          }
-        }
-      }
-      
-      console.log(`Found ${rows.length} table rows`);
-      
-      const arr = [];
-      let count = 0;
-      const MAX_DEATHS = 3; // Only 3 for maximum speed!
-
-      for (let i = 0; i < rows.length && count < MAX_DEATHS; i++) {
-        const row = rows[i];
-        const tds = row.querySelectorAll("td");
-        if (tds.length < 3) continue;
-
-        const time = tds[1]?.innerText.trim();
-        const playerLink = tds[2]?.querySelector("a")?.href || null;
-        const player = tds[2]?.querySelector("a")?.innerText.trim() || null;
-
-        const text = tds[2]?.innerText.replace(/\s+/g, " ") || "";
-        const levelMatch = text.match(/level\s*(\d+)/i);
-        if (!levelMatch || !player) continue;
-
-        const level = parseInt(levelMatch[1]);
-        let cause = text.replace(/^.*?died at level \d+ by\s+/i, "");
-        cause = cause.replace(/\.$/, "");
-
-        arr.push({ 
-          player, 
-          playerLink, 
-          level, 
-          cause, 
-          time,
-          // Placeholder values - will be filled by character data fetch
-          vocation: "Unknown",
-          residence: "Loading...",
-          accountStatus: "Loading...",
-          guild: "" // Empty until fetched (won't show if no guild)
-        });
-        count++;
-      }
-
-      return arr;
-    });
-
-    await page.close();
     
-    console.log(`📊 Parsed ${deaths.length} deaths from RubinOT`);
-    return deaths;
+    if (!parsed.nextPageUrl || pageNumber >= MAX_DEATH_PAGES) break;
     
-  } catch (error) {
-    if (page) {
-      try { await page.close(); } catch (e) {}
-    }
-    throw error;
+    // Follow pagination
+    pageNumber++;
+    url = parsed.nextPageUrl;
+    console.log(`📄 Following latest deaths page ${pageNumber}...`);
   }
+  
+  console.log(`📊 Parsed ${deaths.length} deaths from RubinOT (${pageNumber} page${pageNumber > 1 ? 's' : ''})`);
+  return deaths;
 }
 
 // Cleanup - less frequent
@@ -402,134 +212,43 @@ setInterval(() => {
   }
 }, 30000); // Every 30 seconds
 
-// Browser management
-async function getBrowser() {
-  if (sharedBrowser && sharedBrowser.isConnected()) {
-    return sharedBrowser;
-  }
+// Character data fetching
+// Caches the whole profile; death cards only use vocation/residence/accountStatus/guild
+async function loadCharacterData(playerName, maxAge = CHARACTER_CACHE_DURATION) {
+  const cacheKey = `char_${playerName.toLowerCase()}`;
+  const cached = characterCache.get(cacheKey);
   
-  if (browserLaunching) {
-    // Wait for browser to finish launching
-    while (browserLaunching) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-    return sharedBrowser;
+  if (cached && Date.now() - cached.timestamp < maxAge) {
+    return cached.data;
   }
   
-  browserLaunching = true;
+  const page = await rubinotFetcher.fetchPage(characterUrl(playerName), {
+    statsKey: 'characters',
+    waitForSelector: "div.TableContentContainer",
+    maxRetries: 0
+  });
   
-  try {
-    console.log('🚀 Launching browser with stealth mode...');
-    sharedBrowser = await puppeteer.launch({
-      headless: 'new', // Use new headless mode (better Cloudflare evasion)
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu',
-        '--disable-blink-features=AutomationControlled', // Hide automation
-        '--disable-features=IsolateOrigins,site-per-process', // Better compatibility
-        '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      ]
+  const profile = parseCharacterProfile(page.html);
+  const characterData = profile ? {
+    player: playerName,
+    ...characterFromProfile(profile),
+    profile: profile.name ? profile : null // No name: "character does not exist" page
+  } : null;
+  
+  if (characterData) {
+    characterCache.set(cacheKey, {
+      data: characterData,
+      timestamp: Date.now()
     });
-    
-    console.log('✅ Browser launched successfully');
-    return sharedBrowser;
-  } catch (error) {
-    console.error('❌ Failed to launch browser:', error);
-    throw error;
-  } finally {
-    browserLaunching = false;
   }
+  
+  return characterData;
 }
 
-// Character data fetching
+// Same for death enrichment, where a failed fetch just leaves the placeholders
 async function fetchCharacterData(playerName) {
-  const cacheKey = `char_${playerName.toLowerCase()}`;
-  const cached = characterCache.get(cacheKey);
-  
-  if (cached && Date.now() - cached.timestamp < CHARACTER_CACHE_DURATION) {
-    return cached.data;
-  }
-  
   try {
-    const browser = await getBrowser();
-    const page = await browser.newPage();
-    
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-    await page.setViewport({ width: 1024, height: 600 });
-    
-    // Block resources
-    await page.setRequestInterception(true);
-    page.on('request', (req) => {
-      const resourceType = req.resourceType();
-      if (['image', 'stylesheet', 'font', 'media', 'websocket'].includes(resourceType)) {
-        req.abort();
-      } else {
-        req.continue();
-      }
-    });
-    
-    const url = `https://rubinot.com.br/?subtopic=characters&name=${encodeURIComponent(playerName)}`;
-    
-    await page.goto(url, { 
-      waitUntil: "domcontentloaded",
-      timeout: 10000
-    });
-    
-    await page.waitForSelector("div.TableContentContainer", { timeout: 3000 });
-    
-    const characterData = await page.evaluate((pName) => {
-      const container = document.querySelector("div.TableContentContainer");
-      if (!container) return null;
-      
-      const rows = container.querySelectorAll("tr");
-      let vocation = "Unknown";
-      let residence = "Unknown";
-      let accountStatus = "Unknown";
-      let guild = ""; // Empty string means no guild (won't display label)
-      
-      for (const row of rows) {
-        const cells = row.querySelectorAll("td");
-        if (cells.length >= 2) {
-          const label = cells[0]?.textContent?.trim().toLowerCase();
-          const value = cells[1]?.textContent?.trim();
-          
-          if (label?.includes("vocation")) {
-            vocation = value || "Unknown";
-          } else if (label?.includes("residence")) {
-            residence = value || "Unknown";
-          } else if (label?.includes("account")) {
-            accountStatus = value || "Unknown";
-          } else if (label?.includes("guild")) {
-            // Extract guild name only (remove "Member of the " or "Rank of ")
-            if (value && !value.toLowerCase().includes("no guild")) {
-              const guildMatch = value.match(/(?:Member of the|of the)\s+(.+)/i);
-              guild = guildMatch ? guildMatch[1].trim() : value;
-            } else {
-              guild = ""; // Empty string means no guild (won't display label)
-            }
-          }
-        }
-      }
-      
-      return { player: pName, vocation, residence, accountStatus, guild };
-    }, playerName);
-    
-    await page.close();
-    
-    if (characterData) {
-      characterCache.set(cacheKey, {
-        data: characterData,
-        timestamp: Date.now()
-      });
-    }
-    
-    return characterData;
-    
+    return await loadCharacterData(playerName);
   } catch (error) {
     console.error(`❌ Failed to fetch character data for ${playerName}:`, error.message);
     return null;
@@ -543,168 +262,978 @@ app.use(express.static(path.join(__dirname, 'dist')));
 // Rate limiting middleware
 app.use('/api', rateLimitMiddleware);
 
-// API endpoint - ULTRA FAST!
+// Enrich scraped deaths with (cached) character data
+// Busy worlds list hundreds of deaths: fetch a few characters at a time, newest deaths first,
+// and leave the rest as "Loading..." for the next poll (the death store fills them in later)
+const CHARACTER_FETCH_CONCURRENCY = 3;
+const MAX_CHARACTER_FETCHES_PER_POLL = parseInt(process.env.MAX_CHARACTER_FETCHES_PER_POLL) || 30;
+// Global budget shared by every polled world (11 worlds x 30 lookups every 20s would be hundreds a minute)
+const CHARACTER_FETCHES_PER_MINUTE = parseInt(process.env.CHARACTER_FETCHES_PER_MINUTE) || 60;
+let characterFetchLog = []; // Background lookup times within the last RATE_LIMIT_WINDOW
+
+// How many of `wanted` lookups fit in the budget right now (and book them)
+function takeCharacterFetchBudget(wanted) {
+  const now = Date.now();
+  characterFetchLog = characterFetchLog.filter(time => now - time < RATE_LIMIT_WINDOW);
+  const granted = Math.max(0, Math.min(wanted, CHARACTER_FETCHES_PER_MINUTE - characterFetchLog.length));
+  for (let i = 0; i < granted; i++) characterFetchLog.push(now);
+  return granted;
+}
+
+async function enrichDeaths(deaths) {
+  // Process character data for uncached victims and player killers (summoners included),
+  // so frags can be attributed to their guilds
+  const wantedPlayers = [...new Set(deaths
+    .flatMap(d => [d.player, ...getPlayerKillers(d.killers)])
+    .filter(player => !characterCache.has(`char_${player.toLowerCase()}`)))]
+    .slice(0, MAX_CHARACTER_FETCHES_PER_POLL);
+  const uncachedPlayers = wantedPlayers.slice(0, takeCharacterFetchBudget(wantedPlayers.length));
+  if (uncachedPlayers.length < wantedPlayers.length) {
+    console.log(`⏳ Character lookup budget used up (${CHARACTER_FETCHES_PER_MINUTE}/minute), ${wantedPlayers.length - uncachedPlayers.length} left for later polls`);
+  }
+  
+  if (uncachedPlayers.length > 0) {
+    console.log(`🔍 Fetching character data for ${uncachedPlayers.length} uncached players...`);
+    const pending = [...uncachedPlayers];
+    const workers = Array.from({ length: Math.min(CHARACTER_FETCH_CONCURRENCY, pending.length) }, async () => {
+      while (pending.length > 0) {
+        await fetchCharacterData(pending.shift());
+      }
+    });
+    await Promise.all(workers);
+  }
+  
+  // Fill cached character data
+  deaths.forEach(death => {
+    const cachedChar = characterCache.get(`char_${death.player.toLowerCase()}`);
+    if (cachedChar) {
+      death.vocation = cachedChar.data.vocation || "Unknown";
+      death.residence = cachedChar.data.residence || "Unknown";
+      death.accountStatus = cachedChar.data.accountStatus || "Unknown";
+      death.guild = cachedChar.data.guild || ""; // Empty if no guild
+    }
+    const playerKillers = getPlayerKillers(death.killers).map(name => name.toLowerCase());
+    (death.killers || []).forEach(killer => {
+      const player = killer.type === 'player' ? killer.name : killer.summonedBy;
+      if (!player || !playerKillers.includes(player.toLowerCase())) return;
+      const cachedKiller = characterCache.get(`char_${player.toLowerCase()}`);
+      if (!cachedKiller) return;
+      if (killer.type === 'player') killer.guild = cachedKiller.data.guild || "";
+      else killer.summonerGuild = cachedKiller.data.guild || "";
+    });
+  });
+  
+  return deaths;
+}
+
+// Background poller: scrapes every tracked world through the request queue
+const POLL_INTERVAL = parseInt(process.env.POLL_INTERVAL) || 20000; // 20 seconds per world
+const DEFAULT_POLL_WORLDS = STATIC_WORLDS.map(world => world.id).join(','); // Discovered worlds are added on top
+
+// World names for alerts (built-in list until the RubinOT one is discovered)
+const worldNames = new Map(STATIC_WORLDS.map(world => [world.id, world.name]));
+
+function getWorldName(worldId) {
+  return worldNames.get(String(worldId)) || `World ${worldId}`;
+}
+
+// Worlds RubinOT has (built-in or discovered) or that POLL_WORLDS configures; anything else is never polled
+function isKnownWorld(worldId) {
+  return worldNames.has(worldId) || worldPoller.hasWorld(worldId);
+}
+
+// "tormentum" or "20" -> "20" (null for unknown names and ids)
+function findWorldId(nameOrId) {
+  const value = String(nameOrId).trim().toLowerCase();
+  if (/^\d+$/.test(value)) return isKnownWorld(value) ? value : null;
+  for (const [id, name] of worldNames) {
+    if (name.toLowerCase() === value) return id;
+  }
+  return null;
+}
+const worldPoller = createWorldPoller({
+  deathStore,
+  defaultInterval: POLL_INTERVAL,
+  fetchDeaths: async (worldId) => {
+    const deaths = await queueRubinOTRequest(worldId, "", false);
+    return enrichDeaths(deaths);
+  }
+});
+
+// Number of deaths returned by /api/deaths (?limit=N)
+const DEFAULT_DEATHS_LIMIT = 50;
+const MAX_DEATHS_LIMIT = 500;
+
+function isVipDeath(death) {
+  return death.accountStatus && death.accountStatus.toLowerCase().includes('vip');
+}
+
+// Shared query parsing for /api/deaths and /api/deaths/stream
+function parseDeathFilters(query) {
+  const levelInt = parseInt(query.minLevel || query.min_level || "");
+  return {
+    worldId: String(query.world || "20"),
+    minLevel: !isNaN(levelInt) && levelInt > 1 ? levelInt : 0,
+    vip: query.vip === "true",
+    pvp: query.pvp === "true",
+    limit: Math.min(parseInt(query.limit) || DEFAULT_DEATHS_LIMIT, MAX_DEATHS_LIMIT)
+  };
+}
+
+function matchesDeathFilters(death, filters) {
+  if (death.level < filters.minLevel) return false;
+  if (filters.vip && !isVipDeath(death)) return false;
+  if (filters.pvp && !death.pvp) return false;
+  return true;
+}
+
+// Watchlist status for highlighting/pinning (computed on the way out, the watchlist can change)
+function withWatchStatus(death) {
+  const matches = watchlist.match(death);
+  return { ...death, watched: matches.length > 0, watchedBy: matches.map(entry => entry.id) };
+}
+
+// Known world that is not polled yet? Start polling it on demand (false for worlds that do not exist)
+function ensureWorldPolled(worldId) {
+  if (!isKnownWorld(worldId)) return false;
+  if (!worldPoller.hasWorld(worldId)) {
+    console.log(`📡 World ${worldId} requested but not polled yet, adding to poller`);
+    worldPoller.addWorld(worldId);
+  }
+  return true;
+}
+
+// Latest deaths of a world from poller state, shared by /api/deaths and the Telegram /deaths command
+async function getLatestDeaths(filters) {
+  ensureWorldPolled(filters.worldId);
+  const state = await worldPoller.waitForData(filters.worldId);
+  const deaths = state.deaths
+    .filter(death => matchesDeathFilters(death, filters))
+    .slice(0, filters.limit)
+    .map(withWatchStatus);
+  return { state, deaths };
+}
+
+// API endpoint - answers from poller state (no RubinOT request per HTTP request!)
 app.get('/api/deaths', async (req, res) => {
-  const worldId = req.query.world || "20";
-  const minLevel = req.query.minLevel || req.query.min_level || "";
-  const vipFilter = req.query.vip === "true"; // Client-side filter only
+  const filters = parseDeathFilters(req.query);
+  const { worldId } = filters;
+  if (!isKnownWorld(worldId)) {
+    return res.status(404).json({ error: `Unknown world "${worldId}"` });
+  }
+  const { state, deaths: finalDeaths } = await getLatestDeaths(filters);
   
-  // DEBUG: Log what we received
-  console.log(`📥 Request params: world=${worldId}, minLevel="${minLevel}", vip=${vipFilter}`);
+  if (!state.lastSuccessAt) {
+    return res.status(503).json({ 
+      error: 'Failed to fetch deaths. Please try again.',
+      details: state.lastError || 'World has not been polled yet'
+    });
+  }
   
-  // Build URL with Rubinot's built-in filters!
-  let url = `https://rubinot.com.br/?subtopic=latestdeaths&world=${worldId}`;
+  // Last poll failed: tell the client it is looking at older data
+  if (state.lastError) {
+    res.set('X-Stale-Cache', 'true');
+  }
   
-  // Add level filter (uses Rubinot's native filter!)
-  const levelInt = parseInt(minLevel);
-  if (minLevel && !isNaN(levelInt) && levelInt > 1) {
-    url += `&min_level=${levelInt}`;
-    console.log(`🎯 Using Rubinot's level filter: ${levelInt}+`);
+  // Add browser cache headers
+  res.set('Cache-Control', 'public, max-age=1');
+  res.set('ETag', `"deaths_${worldId}_${filters.minLevel}_${filters.vip}_${filters.pvp}_${filters.limit}-${state.lastSuccessAt}"`);
+  
+  return res.json(finalDeaths);
+});
+
+// Server-Sent Events: push new deaths for one world as soon as the poller sees them
+const deathStream = createDeathStream({
+  worldPoller,
+  deathStore,
+  parseFilters: parseDeathFilters,
+  matchesFilters: matchesDeathFilters,
+  isKnownWorld,
+  ensureWorldPolled,
+  decorateDeath: withWatchStatus
+});
+
+app.get('/api/deaths/stream', deathStream.handle);
+
+// Watched deaths reach every open stream (event without id: it is not part of the world's replay),
+// deaths routed here by an alert rule arrive as 'alert' events, guild war alerts as 'war' events
+notificationHub.register('sse', {
+  send: async ({ type, worldId, death, rules, war }) => {
+    if (type === 'war') {
+      deathStream.broadcast('war', { worldId, war });
+    } else if (type === 'watch') {
+      deathStream.broadcast('watched', { worldId, death });
+    } else {
+      deathStream.broadcast('alert', { worldId, death, rules });
+    }
+  }
+});
+
+// Discord webhooks (DISCORD_WEBHOOKS / DISCORD_WEBHOOK_URL), one notification channel each
+let discordWebhooks = [];
+try {
+  discordWebhooks = parseDiscordWebhooks(process.env);
+} catch (error) {
+  console.error(`❌ Invalid Discord webhook config, Discord alerts disabled: ${error.message}`);
+}
+const discordNotifier = discordWebhooks.length > 0 ? createDiscordNotifier({ webhooks: discordWebhooks, dataDir: DATA_DIR }) : null;
+if (discordNotifier) {
+  for (const { name, send } of discordNotifier.getChannels()) {
+    notificationHub.register(name, { send });
   }
+}
+
+// Outbound webhooks (managed through /api/admin/webhooks), one notification channel each
+// Local/private destinations are refused unless listed in WEBHOOK_ALLOWED_HOSTS
+const outboundWebhooks = createOutboundWebhooks({
+  dataDir: DATA_DIR,
+  allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean)
+});
+
+function syncWebhookChannels() {
+  for (const name of notificationHub.list()) {
+    if (name.startsWith(WEBHOOK_CHANNEL_PREFIX)) notificationHub.unregister(name);
+  }
+  for (const { name, send } of outboundWebhooks.getChannels()) {
+    notificationHub.register(name, { send });
+  }
+}
+syncWebhookChannels();
+
+// Telegram bot (TELEGRAM_BOT_TOKEN): alerts to TELEGRAM_CHAT_IDS and chat commands on the same data as the API
+const TELEGRAM_DEATHS_LIMIT = 10;
+const telegramBot = process.env.TELEGRAM_BOT_TOKEN ? createTelegramBot({
+  token: process.env.TELEGRAM_BOT_TOKEN,
+  apiBaseUrl: process.env.TELEGRAM_API_URL || undefined,
+  chatIds: (process.env.TELEGRAM_CHAT_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+  handlers: {
+    deaths: async ({ world, minLevel }) => {
+      const worldId = findWorldId(world);
+      if (!worldId) return null;
+      const { state, deaths } = await getLatestDeaths({ worldId, minLevel, vip: false, limit: TELEGRAM_DEATHS_LIMIT });
+      return {
+        worldName: getWorldName(worldId),
+        deaths,
+        error: state.lastSuccessAt ? null : state.lastError || 'World has not been polled yet'
+      };
+    },
+    character: async (name, { chatId }) => {
+      const cached = characterCache.get(`char_${name.toLowerCase()}`);
+      const isCached = cached && Date.now() - cached.timestamp < CHARACTER_CACHE_DURATION;
+      if (!isCached && !checkRubinOTRateLimit(`telegram:${chatId}`)) {
+        throw new Error('Too many character lookups, try again in a few seconds');
+      }
+      const characterData = await fetchCharacterData(name);
+      if (!characterData) throw new Error('Could not load the character from RubinOT, try again later');
+      return characterData.profile ? characterData : null;
+    },
+    watch: async (name) => watchlist.add({ type: 'character', name, note: 'Added from Telegram' }),
+    unwatch: async (name) => watchlist.remove(getWatchId('character', name))
+  }
+}) : null;
+if (telegramBot) {
+  notificationHub.register('telegram', telegramBot.channel);
+}
+
+// Alert rules route new deaths to notification channels (webhook rules from DISCORD_WEBHOOKS are read-only rules)
+const alertRules = createAlertRules({
+  dataDir: DATA_DIR,
+  staticRules: getWebhookRules(discordWebhooks),
+  isKnownTarget: (name) => notificationHub.list().includes(name)
+});
+
+// Every new death is checked against the rules and sent to their targets (again once its character
+// data arrives, see lib/death-alerts.js); watched deaths go to every channel whatever the rules
+const deathAlerts = createDeathAlerts({
+  watchlist,
+  alertRules,
+  notificationHub,
+  matchTargets: outboundWebhooks.matchTargets,
+  getWorldName,
+  decorateDeath: withWatchStatus
+});
+
+worldPoller.on('deaths', (worldId, newDeaths) => deathAlerts.route(worldId, newDeaths));
+worldPoller.on('death-updates', (worldId, updatedDeaths) => deathAlerts.route(worldId, updatedDeaths));
+
+// Time windows of the stats endpoints, also used by the guild war alerts
+const STATS_DEFAULT_WINDOW = '24h';
+const STATS_MAX_WINDOW = 90 * 24 * 60 * 60 * 1000;
+const STATS_DAY_BUCKET_FROM = 3 * 24 * 60 * 60 * 1000; // Longer windows default to daily points
+const STATS_MAX_HOUR_BUCKET_WINDOW = 30 * 24 * 60 * 60 * 1000; // Hourly timelines stop at MAX_TIMELINE_POINTS (31 days)
+
+// "30m", "24h", "7d" -> ms
+function parseStatsWindow(value) {
+  const match = /^(\d+)(m|h|d)$/.exec(value);
+  if (!match) return NaN;
+  const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2]];
+  return Number(match[1]) * unit;
+}
+
+// Guild war alerts (GUILD_WAR_ALERT_KILLS): two guilds reaching that many kills between them within
+// GUILD_WAR_ALERT_WINDOW are announced once, to GUILD_WAR_ALERT_TARGETS (default: every channel)
+const GUILD_WAR_ALERT_KILLS = parseInt(process.env.GUILD_WAR_ALERT_KILLS) || 0;
+const GUILD_WAR_ALERT_WINDOW = process.env.GUILD_WAR_ALERT_WINDOW || '6h';
+const GUILD_WAR_ALERT_TARGETS = (process.env.GUILD_WAR_ALERT_TARGETS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+let guildWarMonitor = null;
+if (GUILD_WAR_ALERT_KILLS > 0) {
+  const windowMs = parseStatsWindow(GUILD_WAR_ALERT_WINDOW);
+  if (Number.isNaN(windowMs) || windowMs <= 0 || windowMs > STATS_MAX_WINDOW) {
+    console.error(`❌ Invalid GUILD_WAR_ALERT_WINDOW "${GUILD_WAR_ALERT_WINDOW}" (at most 90d), guild war alerts disabled`);
+  } else {
+    guildWarMonitor = createGuildWarMonitor({
+      minKills: GUILD_WAR_ALERT_KILLS,
+      windowMs,
+      getDeaths: (worldId, from, to) => getStatsDeaths({ worldId, from, to })
+    });
+    // Wars already in the stored history were announced before the restart
+    const storedWorlds = new Set(getStatsDeaths({ from: Date.now() - windowMs, to: Date.now() }).map(death => death.worldId));
+    storedWorlds.forEach(worldId => guildWarMonitor.seed(worldId));
+  }
+}
+
+// Killer guilds of older deaths can be filled in by later polls, so every poll with new deaths re-checks the world
+worldPoller.on('deaths', (worldId) => {
+  if (!guildWarMonitor) return;
+  for (const war of guildWarMonitor.check(worldId)) {
+    console.log(`⚔️  Guild war on world ${worldId}: ${war.guilds[0]} ${war.score[0]} - ${war.score[1]} ${war.guilds[1]}`);
+    const alert = { type: 'war', worldId, worldName: getWorldName(worldId), war };
+    notificationHub.dispatch(alert, GUILD_WAR_ALERT_TARGETS.length > 0 ? { only: GUILD_WAR_ALERT_TARGETS } : {});
+  }
+});
+
+// Watchlist API
+const WATCHLIST_RECENT_WINDOW = 24 * 60 * 60 * 1000; // Deaths shown pinned in the UI
+const MAX_WATCHLIST_RECENT_DEATHS = 50;
+
+app.get('/api/watchlist', (req, res) => {
+  const { deaths } = deathStore.query({
+    filters: { from: Date.now() - WATCHLIST_RECENT_WINDOW },
+    limit: Number.MAX_SAFE_INTEGER
+  });
   
-  // NOTE: VIP filter is client-side only (Rubinot doesn't have this filter)
+  res.json({
+    entries: watchlist.list(),
+    recentDeaths: deaths
+      .filter(death => watchlist.match(death).length > 0)
+      .slice(0, MAX_WATCHLIST_RECENT_DEATHS)
+      .map(withWatchStatus)
+  });
+});
 
-  // Check cache (only level affects Rubinot response, not VIP)
-  const cacheKey = `deaths_${worldId}_${minLevel || 'all'}_v4`;
-  console.log(`🔑 Cache key: ${cacheKey}`);
-  const cached = cache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    const levelText = (minLevel && minLevel !== '') ? `level ${minLevel}+` : 'all levels';
-    console.log(`✅ Cache hit for world ${worldId}, ${levelText} (no Rubinot request)`);
-    
-    // Add browser cache headers (1 second)
-    res.set('Cache-Control', 'public, max-age=1');
-    res.set('ETag', `"${cacheKey}-${cached.timestamp}"`);
-    
-    // Apply client-side VIP filter if requested
-    if (vipFilter) {
-      const vipDeaths = cached.data.filter(death => 
-        death.accountStatus && death.accountStatus.toLowerCase().includes('vip')
-      );
-      console.log(`👑 Client-side VIP filter: ${vipDeaths.length}/${cached.data.length} deaths`);
-      return res.json(vipDeaths);
+// Admin endpoints need "Authorization: Bearer <ADMIN_TOKEN>"; without ADMIN_TOKEN they are disabled
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(403).json({ error: 'Admin API disabled: set ADMIN_TOKEN to enable it' });
+  const expected = Buffer.from(`Bearer ${ADMIN_TOKEN}`);
+  const given = Buffer.from(req.get('authorization') || '');
+  if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) return next();
+  res.status(401).json({ error: 'Admin token required' });
+}
+
+// Watching fans deaths out to every notification channel, so changing the list is admin-only
+app.post('/api/watchlist', requireAdmin, (req, res) => {
+  try {
+    const entry = watchlist.add(req.body || {});
+    console.log(`👁️  Watching ${entry.type} ${entry.name}`);
+    res.status(201).json(entry);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/watchlist/:id', requireAdmin, (req, res) => {
+  if (!watchlist.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Not on the watchlist' });
+  }
+  res.status(204).end();
+});
+
+// Alert rules admin API
+app.get('/api/admin/rules', requireAdmin, (req, res) => {
+  res.json({ rules: alertRules.list(), targets: notificationHub.list() });
+});
+
+app.post('/api/admin/rules', requireAdmin, (req, res) => {
+  try {
+    const rule = alertRules.add(req.body || {});
+    console.log(`📣 Alert rule added: ${rule.name} -> ${rule.targets.join(', ')}`);
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.patch('/api/admin/rules/:id', requireAdmin, (req, res) => {
+  try {
+    const rule = alertRules.update(req.params.id, req.body || {});
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+    res.json(rule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/rules/:id', requireAdmin, (req, res) => {
+  try {
+    if (!alertRules.remove(req.params.id)) {
+      return res.status(404).json({ error: 'Rule not found' });
     }
-    
-    return res.json(cached.data);
+    res.status(204).end();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
   }
+});
+
+// Outbound webhooks admin API
+app.get('/api/admin/webhooks', requireAdmin, (req, res) => {
+  res.json({ webhooks: outboundWebhooks.list() });
+});
 
-  // Use QUEUE SYSTEM for multiple concurrent users
+app.post('/api/admin/webhooks', requireAdmin, (req, res) => {
   try {
-    console.log(`🔄 Adding request to queue for world ${worldId}...`);
-    const deaths = await queueRubinOTRequest(worldId, minLevel, vipFilter);
-    
-    // Process character data for uncached deaths
-    const uncachedDeaths = deaths.filter(d => {
-      const cacheKey = `char_${d.player.toLowerCase()}`;
-      return !characterCache.has(cacheKey);
-    });
-    console.log(`🔍 Fetching character data for ${uncachedDeaths.length} uncached deaths...`);
-    
-    if (uncachedDeaths.length > 0) {
-      const characterPromises = uncachedDeaths.map(death => fetchCharacterData(death.player));
-      const characterData = await Promise.all(characterPromises);
-      
-      // Merge character data with deaths
-      deaths.forEach(death => {
-        const charData = characterData.find(c => c && c.player === death.player);
-        if (charData) {
-          death.vocation = charData.vocation || "Unknown";
-          death.residence = charData.residence || "Unknown";
-          death.accountStatus = charData.accountStatus || "Unknown";
-          death.guild = charData.guild || ""; // Empty if no guild
-        }
-      });
+    const subscription = outboundWebhooks.add(req.body || {});
+    syncWebhookChannels();
+    console.log(`📣 Webhook added: ${subscription.name} -> ${subscription.url}`);
+    res.status(201).json(subscription); // Includes the secret, shown only here
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/webhooks/deliveries', requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  res.json({ deliveries: outboundWebhooks.getDeliveries({ subscriptionId: req.query.webhook, limit }) });
+});
+
+app.get('/api/admin/webhooks/dead-letters', requireAdmin, (req, res) => {
+  res.json({ deadLetters: outboundWebhooks.getDeadLetters() });
+});
+
+app.post('/api/admin/webhooks/dead-letters/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    if (!await outboundWebhooks.retryDeadLetter(req.params.id)) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json({ delivered: true });
+  } catch (error) {
+    res.status(502).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/webhooks/dead-letters/:id', requireAdmin, (req, res) => {
+  if (!outboundWebhooks.removeDeadLetter(req.params.id)) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  res.status(204).end();
+});
+
+app.patch('/api/admin/webhooks/:id', requireAdmin, (req, res) => {
+  try {
+    const subscription = outboundWebhooks.update(req.params.id, req.body || {});
+    if (!subscription) return res.status(404).json({ error: 'Webhook not found' });
+    res.json(subscription);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/webhooks/:id', requireAdmin, (req, res) => {
+  if (!outboundWebhooks.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  syncWebhookChannels();
+  res.status(204).end();
+});
+
+// Full character profile (?subtopic=characters), refreshed more often than the death card data
+const CHARACTER_PROFILE_MAX_AGE = 10 * 60 * 1000; // 10 minutes
+const MAX_CHARACTER_NAME_LENGTH = 30;
+
+app.get('/api/characters/:name', async (req, res) => {
+  const name = req.params.name.trim();
+  if (!name || name.length > MAX_CHARACTER_NAME_LENGTH) {
+    return res.status(400).json({ error: 'Invalid character name' });
+  }
+  
+  // Only a cache miss costs a RubinOT request
+  const cached = characterCache.get(`char_${name.toLowerCase()}`);
+  const isFresh = cached && cached.data.profile && Date.now() - cached.timestamp < CHARACTER_PROFILE_MAX_AGE;
+  if (!isFresh && !checkRubinOTRateLimit(req._rateLimitIP)) {
+    return res.status(429).json({ error: 'Too many character lookups, try again in a few seconds' });
+  }
+  
+  try {
+    const characterData = await loadCharacterData(name, CHARACTER_PROFILE_MAX_AGE);
+    if (!characterData || !characterData.profile) {
+      return res.status(404).json({ error: `Character "${name}" not found` });
     }
     
-    // Fill cached character data
-    deaths.forEach(death => {
-      const cacheKey = `char_${death.player.toLowerCase()}`;
-      const cachedChar = characterCache.get(cacheKey);
-      if (cachedChar) {
-        death.vocation = cachedChar.data.vocation || "Unknown";
-        death.residence = cachedChar.data.residence || "Unknown";
-        death.accountStatus = cachedChar.data.accountStatus || "Unknown";
-        death.guild = cachedChar.data.guild || ""; // Empty if no guild
-      }
+    res.json({
+      ...characterData.profile,
+      fetchedAt: characterCache.get(`char_${name.toLowerCase()}`).timestamp
     });
-    
-    // Apply VIP filter if requested (client-side)
-    let finalDeaths = deaths;
-    if (vipFilter) {
-      finalDeaths = deaths.filter(death => 
-        death.accountStatus && death.accountStatus.toLowerCase().includes('vip')
-      );
-      console.log(`👑 VIP filter applied: ${finalDeaths.length}/${deaths.length} deaths`);
+  } catch (error) {
+    console.error(`❌ Failed to fetch character profile for ${name}:`, error.message);
+    res.status(502).json({ error: `Could not load character from RubinOT: ${error.message}` });
+  }
+});
+
+// Guild rosters - viewed guilds are refreshed in the background
+const GUILD_RECENT_DEATHS_WINDOW = 60 * 60 * 1000; // "N members died in the last hour"
+const MAX_GUILD_NAME_LENGTH = 50;
+const guildTracker = createGuildTracker({
+  fetchPage: (url, options) => rubinotFetcher.fetchPage(url, options)
+});
+
+app.get('/api/guilds/:name', async (req, res) => {
+  const name = req.params.name.trim();
+  if (!name || name.length > MAX_GUILD_NAME_LENGTH) {
+    return res.status(400).json({ error: 'Invalid guild name' });
+  }
+  
+  if (!guildTracker.isFresh(name) && !checkRubinOTRateLimit(req._rateLimitIP)) {
+    return res.status(429).json({ error: 'Too many guild lookups, try again in a few seconds' });
+  }
+  
+  try {
+    const { guild, fetchedAt, stale } = await guildTracker.getGuild(name);
+    if (!guild) {
+      return res.status(404).json({ error: `Guild "${name}" not found` });
     }
     
-    // Cache the results
-    cache.set(cacheKey, {
-      data: finalDeaths,
-      timestamp: Date.now()
+    // Member deaths recorded by the poller (all worlds)
+    const { deaths: recentDeaths } = deathStore.query({
+      filters: { guild: guild.name || name, from: Date.now() - GUILD_RECENT_DEATHS_WINDOW },
+      limit: MAX_DEATHS_LIMIT
     });
     
-    // Add browser cache headers
-    res.set('Cache-Control', 'public, max-age=1');
-    res.set('ETag', `"${cacheKey}-${Date.now()}"`);
-    
-    console.log(`✅ Returning ${finalDeaths.length} deaths for world ${worldId}`);
-    return res.json(finalDeaths);
-    
+    if (stale) res.set('X-Stale-Cache', 'true');
+    res.json({
+      ...guild,
+      memberCount: guild.members.length,
+      onlineCount: guild.members.filter(member => member.online).length,
+      recentDeaths,
+      fetchedAt
+    });
   } catch (error) {
-    console.error(`❌ Error fetching deaths: ${error.message}`);
-    
-    // Return stale cache if available
-    if (cached) {
-      const cacheAge = Math.round((Date.now() - cached.timestamp) / 1000);
-      console.log(`⚠️  Returning stale cache (${cacheAge}s old) due to error`);
-      res.set('X-Stale-Cache', 'true');
-      
-      // Apply client-side VIP filter if requested
-      if (vipFilter) {
-        const vipDeaths = cached.data.filter(death => 
-          death.accountStatus && death.accountStatus.toLowerCase().includes('vip')
-        );
-        return res.json(vipDeaths);
+    console.error(`❌ Failed to fetch guild ${name}:`, error.message);
+    res.status(502).json({ error: `Could not load guild from RubinOT: ${error.message}` });
+  }
+});
+
+// World list discovery - new RubinOT worlds show up without a redeploy
+// Without POLL_WORLDS every discovered world is polled too
+const WORLD_LIST_REFRESH_INTERVAL = 30 * 60 * 1000; // 30 minutes
+let worldListTimer = null;
+const worldList = createWorldList({
+  fetchPage: (url, options) => rubinotFetcher.fetchPage(url, options),
+  onWorlds: (worlds) => {
+    for (const world of worlds) {
+      if (world.id) worldNames.set(world.id, world.name);
+    }
+    if (process.env.POLL_WORLDS) return;
+    for (const world of worlds) {
+      if (world.id && !worldPoller.hasWorld(world.id)) {
+        console.log(`🌍 New world ${world.name} (${world.id}), adding to poller`);
+        worldPoller.addWorld(world.id);
       }
-      
-      return res.json(cached.data);
     }
-    
-    // No cache available, return error
-    return res.status(500).json({ 
-      error: 'Failed to fetch deaths. Please try again.',
-      details: error.message
+  }
+});
+
+app.get('/api/worlds', async (req, res) => {
+  const { worlds, source, updatedAt } = await worldList.getWorlds();
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json({ source, updatedAt, worlds });
+});
+
+// Poller status per world
+app.get('/api/status', (req, res) => {
+  res.json({
+    uptime: Math.round(process.uptime()),
+    timeZone: RUBINOT_TIMEZONE,
+    storedDeaths: deathStore.size(),
+    worlds: worldPoller.getStatus(),
+    fetcher: rubinotFetcher.getStats(),
+    guilds: guildTracker.getStatus(),
+    watchlist: watchlist.size(),
+    notificationChannels: notificationHub.list(),
+    discord: discordNotifier ? discordNotifier.getStatus() : [],
+    alertRules: alertRules.size(),
+    webhooks: outboundWebhooks.list().length,
+    webhookDeadLetters: outboundWebhooks.getDeadLetters().length,
+    telegram: telegramBot ? telegramBot.getStatus() : null,
+    guildWarAlerts: guildWarMonitor ? { minKills: GUILD_WAR_ALERT_KILLS, window: GUILD_WAR_ALERT_WINDOW, activeWars: guildWarMonitor.getActiveCount() } : null
+  });
+});
+
+// Parse a history date param: epoch ms or ISO date/datetime (no timezone = RubinOT server clock)
+function parseHistoryDate(value) {
+  if (value === undefined || value === '') return undefined;
+  if (/^\d+$/.test(value)) return Number(value);
+  const serverClock = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);
+  if (serverClock) {
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = serverClock.map(part => part === undefined ? undefined : Number(part));
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hours > 23 || minutes > 59 || seconds > 59) return NaN;
+    return zonedTimeToEpoch(year, month, day, hours, minutes, seconds);
+  }
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? NaN : parsed;
+}
+
+function parseHistoryInt(value) {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(value) ? parseInt(value) : NaN;
+}
+
+function parseHistoryBoolean(value) {
+  if (value === undefined || value === '') return undefined;
+  return value === 'true' ? true : value === 'false' ? false : NaN;
+}
+
+// Historical deaths - query the persistent store
+app.get('/api/deaths/history', (req, res) => {
+  // World id or name, like the stats endpoints
+  const world = req.query.world ? findWorldId(req.query.world) : undefined;
+  if (world === null) {
+    return res.status(400).json({ error: `Unknown world "${req.query.world}"` });
+  }
+
+  const filters = {
+    world,
+    from: parseHistoryDate(req.query.from),
+    to: parseHistoryDate(req.query.to),
+    minLevel: parseHistoryInt(req.query.minLevel ?? req.query.min_level),
+    maxLevel: parseHistoryInt(req.query.maxLevel ?? req.query.max_level),
+    vocation: req.query.vocation || undefined,
+    guild: req.query.guild || undefined,
+    residence: req.query.residence || undefined,
+    accountStatus: req.query.accountStatus || req.query.account_status || (req.query.vip === 'true' ? 'vip' : undefined),
+    cause: req.query.cause || undefined,
+    pvp: parseHistoryBoolean(req.query.pvp)
+  };
+
+  const invalid = ['from', 'to', 'minLevel', 'maxLevel', 'pvp'].filter(key => Number.isNaN(filters[key]));
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: `Invalid value for: ${invalid.join(', ')}` });
+  }
+
+  const order = req.query.order || req.query.sort || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    return res.status(400).json({ error: 'order must be "asc" or "desc"' });
+  }
+
+  const limit = parseHistoryInt(req.query.limit) ?? 50;
+  if (Number.isNaN(limit) || limit < 1) {
+    return res.status(400).json({ error: 'limit must be a positive integer' });
+  }
+
+  try {
+    const result = deathStore.query({
+      filters,
+      order,
+      limit: Math.min(limit, 500),
+      cursor: req.query.cursor || null
     });
+    console.log(`📜 History query: ${result.deaths.length}/${result.total} deaths (world=${filters.world || 'all'}, order=${order})`);
+    return res.json(result);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
 });
 
-// Serve React app
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, 'dist', 'index.html'));
+// Death statistics over stored deaths (windows are defined above, with the guild war alerts)
+// Query params shared by the stats endpoints: world, window or from/to, bucket, bracket, top
+function parseStatsQuery(query) {
+  let worldId = null;
+  if (query.world) {
+    worldId = findWorldId(query.world);
+    if (!worldId) throw new Error(`Unknown world "${query.world}"`);
+  }
+
+  let to = parseHistoryDate(query.to) ?? Date.now();
+  let from = parseHistoryDate(query.from);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    throw new Error('from/to must be epoch milliseconds or ISO dates');
+  }
+  if (from === undefined) {
+    const windowMs = parseStatsWindow(query.window || STATS_DEFAULT_WINDOW);
+    if (Number.isNaN(windowMs) || windowMs <= 0) throw new Error('window must look like 30m, 24h or 7d');
+    from = to - windowMs;
+  }
+  if (from >= to) throw new Error('from must be before to');
+  if (to - from > STATS_MAX_WINDOW) throw new Error('window can be at most 90 days');
+
+  const bucket = query.bucket || (to - from > STATS_DAY_BUCKET_FROM ? 'day' : 'hour');
+  if (!STATS_BUCKETS.includes(bucket)) throw new Error(`bucket must be one of: ${STATS_BUCKETS.join(', ')}`);
+  if (bucket === 'hour' && to - from > STATS_MAX_HOUR_BUCKET_WINDOW) {
+    throw new Error('bucket=hour is limited to windows of 30 days, use bucket=day');
+  }
+
+  const bracketSize = parseHistoryInt(query.bracket) ?? 100;
+  if (Number.isNaN(bracketSize) || bracketSize < 10) throw new Error('bracket must be an integer of at least 10');
+
+  const top = parseHistoryInt(query.top) ?? 10;
+  if (Number.isNaN(top) || top < 1 || top > 100) throw new Error('top must be an integer between 1 and 100');
+
+  return { worldId, from, to, bucket, bracketSize, top };
+}
+
+// Stored deaths of the requested world (or all worlds) within the window
+function getStatsDeaths({ worldId, from, to }) {
+  return deathStore.query({
+    filters: { world: worldId || undefined, from, to },
+    limit: Number.MAX_SAFE_INTEGER
+  }).deaths;
+}
+
+// Stats for one world (?world=20 or ?world=tormentum) or across all worlds
+app.get('/api/stats', (req, res) => {
+  let options;
+  try {
+    options = parseStatsQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const { worldId } = options;
+
+  try {
+    const stats = computeDeathStats(getStatsDeaths(options), options);
+    res.set('Cache-Control', 'public, max-age=10');
+    return res.json({
+      worldId,
+      worldName: worldId ? getWorldName(worldId) : null,
+      ...stats,
+      worlds: stats.worlds.map(entry => ({ ...entry, worldName: getWorldName(entry.worldId) }))
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 });
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('🛑 SIGTERM received, shutting down gracefully...');
-  if (sharedBrowser) {
-    await sharedBrowser.close();
+// Per-world summary for comparing worlds side by side
+app.get('/api/stats/worlds', (req, res) => {
+  let options;
+  try {
+    options = parseStatsQuery({ ...req.query, world: undefined, bucket: 'day' });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
-  process.exit(0);
+
+  const deaths = getStatsDeaths(options);
+  const byWorld = new Map();
+  for (const death of deaths) {
+    if (!byWorld.has(death.worldId)) byWorld.set(death.worldId, []);
+    byWorld.get(death.worldId).push(death);
+  }
+
+  const worlds = Array.from(byWorld, ([worldId, worldDeaths]) => {
+    const { total, pvp, averageLevel, perHour, perDay } = computeDeathStats(worldDeaths, options);
+    return { worldId, worldName: getWorldName(worldId), total, pvp, averageLevel, perHour, perDay };
+  }).sort((a, b) => b.total - a.total);
+
+  res.set('Cache-Control', 'public, max-age=10');
+  return res.json({ from: options.from, to: options.to, total: deaths.length, worlds });
 });
 
-process.on('SIGINT', async () => {
-  console.log('🛑 SIGINT received, shutting down gracefully...');
-  if (sharedBrowser) {
-    await sharedBrowser.close();
+const MAX_CREATURE_DEATHS = 200;
+
+// Creature leaderboard: which creatures kill the most characters, how high-level their victims are
+function parseHighLevel(query) {
+  const highLevel = parseHistoryInt(query.highLevel ?? query.high_level) ?? DEFAULT_HIGH_LEVEL;
+  if (Number.isNaN(highLevel) || highLevel < 1) throw new Error('highLevel must be a positive integer');
+  return highLevel;
+}
+
+app.get('/api/stats/creatures', (req, res) => {
+  let options;
+  let highLevel;
+  try {
+    options = parseStatsQuery({ ...req.query, bucket: 'day' });
+    highLevel = parseHighLevel(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
-  process.exit(0);
+
+  const limit = parseHistoryInt(req.query.limit) ?? 50;
+  if (Number.isNaN(limit) || limit < 1) {
+    return res.status(400).json({ error: 'limit must be a positive integer' });
+  }
+
+  const deaths = getStatsDeaths(options);
+  res.set('Cache-Control', 'public, max-age=10');
+  return res.json({
+    worldId: options.worldId,
+    worldName: options.worldId ? getWorldName(options.worldId) : null,
+    from: options.from,
+    to: options.to,
+    highLevel,
+    totalDeaths: deaths.length,
+    creatures: computeCreatureLeaderboard(deaths, { ...options, highLevel, limit: Math.min(limit, 500) })
+  });
+});
+
+// Drill-down: the deaths one creature took part in, newest first
+app.get('/api/stats/creatures/:name', (req, res) => {
+  let options;
+  let highLevel;
+  try {
+    options = parseStatsQuery({ ...req.query, bucket: 'day' });
+    highLevel = parseHighLevel(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const deaths = getStatsDeaths(options).filter(death => isKilledByCreature(death, req.params.name));
+  const [creature] = computeCreatureLeaderboard(deaths, { ...options, highLevel });
+  if (!creature) {
+    return res.status(404).json({ error: `No deaths by "${req.params.name}" in this window` });
+  }
+
+  res.set('Cache-Control', 'public, max-age=10');
+  return res.json({
+    worldId: options.worldId,
+    worldName: options.worldId ? getWorldName(options.worldId) : null,
+    from: options.from,
+    to: options.to,
+    highLevel,
+    creature,
+    deaths: deaths.slice(0, MAX_CREATURE_DEATHS).map(withWatchStatus)
+  });
+});
+
+// PvP leaderboard: player killers ranked by frags; guilds come from the character scraper
+// (looked up while enriching deaths), falling back to whatever the character cache knows now
+app.get('/api/stats/killers', (req, res) => {
+  let options;
+  try {
+    options = parseStatsQuery({ ...req.query, bucket: 'day' });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const limit = parseHistoryInt(req.query.limit) ?? 50;
+  if (Number.isNaN(limit) || limit < 1) {
+    return res.status(400).json({ error: 'limit must be a positive integer' });
+  }
+
+  const deaths = getStatsDeaths(options);
+  const killers = computeKillerLeaderboard(deaths, { ...options, limit: Math.min(limit, 500) }).map(killer => {
+    if (killer.guild !== null) return killer;
+    const cached = characterCache.get(`char_${killer.name.toLowerCase()}`);
+    return cached ? { ...killer, guild: cached.data.guild || '' } : killer;
+  });
+
+  res.set('Cache-Control', 'public, max-age=10');
+  return res.json({
+    worldId: options.worldId,
+    worldName: options.worldId ? getWorldName(options.worldId) : null,
+    from: options.from,
+    to: options.to,
+    pvpDeaths: deaths.filter(death => death.pvp).length,
+    killers
+  });
+});
+
+// Guild wars: guilds whose members keep killing each other (victim guild vs killer guilds of PvP deaths)
+app.get('/api/guild-wars', (req, res) => {
+  let options;
+  try {
+    options = parseStatsQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const minKills = parseHistoryInt(req.query.minKills ?? req.query.min_kills) ?? DEFAULT_WAR_MIN_KILLS;
+  if (Number.isNaN(minKills) || minKills < 2) {
+    return res.status(400).json({ error: 'minKills must be an integer of at least 2' });
+  }
+
+  try {
+    const wars = detectGuildWars(getStatsDeaths(options), { ...options, minKills });
+    res.set('Cache-Control', 'public, max-age=10');
+    return res.json({
+      worldId: options.worldId,
+      worldName: options.worldId ? getWorldName(options.worldId) : null,
+      from: options.from,
+      to: options.to,
+      bucket: options.bucket,
+      minKills,
+      wars: wars.map(war => ({ ...war, worldName: getWorldName(war.worldId) }))
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+});
+
+// Serve React app
+app.get('*', (req, res) => {
+  res.sendFile(path.join(__dirname, 'dist', 'index.html'));
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`⚡ Optimizations: Browser reuse, parallel fetching, smart caching, request queuing`);
+  console.log(`⚡ Optimizations: HTTP-first fetching, browser reuse, smart caching, request queuing`);
+  console.log(`🧭 Fetch strategy: ${rubinotFetcher.getStats().mode}`);
+  console.log(`🌐 RubinOT: ${RUBINOT_BASE_URL} (server clock ${RUBINOT_TIMEZONE})`);
   console.log(`🛡️  Rate limiting: ${MAX_RUBINOT_FETCHES_PER_MINUTE} RubinOT fetches/minute, ${MIN_RUBINOT_INTERVAL}ms intervals`);
-  console.log(`📊 Cache: ${CACHE_DURATION}ms deaths, ${CHARACTER_CACHE_DURATION/1000/60/60}h characters`);
-  console.log(`🔄 Queue system: Supports ${Math.floor(MAX_RUBINOT_FETCHES_PER_MINUTE / (MIN_RUBINOT_INTERVAL/1000))} concurrent users`);
+  console.log(`📊 Cache: ${CHARACTER_CACHE_DURATION/1000/60/60}h characters, ${CHARACTER_FETCHES_PER_MINUTE} background lookups/minute`);
+  console.log(`💾 Death history: ${deathStore.size()} deaths in ${deathStore.filePath} (${DEATH_HISTORY_DAYS > 0 ? `${DEATH_HISTORY_DAYS} days` : 'kept forever'})`);
+  console.log(`👁️  Watchlist: ${watchlist.size()} entries`);
+  console.log(`📣 Discord: ${discordWebhooks.length} webhook(s), ${alertRules.size()} alert rule(s)`);
+  if (!ADMIN_TOKEN) console.warn('⚠️  ADMIN_TOKEN not set, admin endpoints are disabled');
+  console.log(`🔌 WebSocket API: ws://localhost:${PORT}/api/ws`);
+  
+  // Start background polling (POLL_WORLDS="20,11:15000" overrides worlds and per-world intervals)
+  worldPoller.start(parseWorldConfig(process.env.POLL_WORLDS || DEFAULT_POLL_WORLDS, POLL_INTERVAL));
+  worldList.getWorlds();
+  worldListTimer = setInterval(() => worldList.getWorlds(), WORLD_LIST_REFRESH_INTERVAL);
+  guildTracker.start();
+  if (telegramBot) telegramBot.start();
 });
+
+// WebSocket API shares the HTTP server
+const deathSocket = attachDeathSocket(server, {
+  worldPoller,
+  deathStore,
+  onWorldSubscribed: ensureWorldPolled,
+  decorateDeath: withWatchStatus
+});
+
+notificationHub.register('websocket', {
+  send: async ({ type, worldId, death, watched, rules, war }) => {
+    if (type === 'war') {
+      deathSocket.broadcast({ type: 'war', worldId, war });
+    } else {
+      deathSocket.broadcast(type === 'watch'
+        ? { type: 'watched', worldId, death, watched }
+        : { type: 'alert', worldId, death, rules });
+    }
+  }
+});
+
+// Graceful shutdown
+async function shutdown(signal) {
+  console.log(`🛑 ${signal} received, shutting down gracefully...`);
+  worldPoller.stop();
+  clearInterval(worldListTimer);
+  clearInterval(deathPruneTimer);
+  guildTracker.stop();
+  if (telegramBot) await telegramBot.stop();
+  deathSocket.close();
+  await deathStore.flush();
+  await watchlist.flush();
+  await alertRules.flush();
+  await outboundWebhooks.flush();
+  if (discordNotifier) await discordNotifier.flush();
+  await rubinotFetcher.close();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -1,6 +1,11 @@
 import { useState, useEffect, useRef } from 'react';
 import './index.css';
+import GuildView from './GuildView';
+import WatchlistView from './WatchlistView';
+import StatsView from './StatsView';
+import PvpView from './PvpView';
 
+// Fallback world list - the real one comes from /api/worlds
 const SERVERS = [
   { id: "11", name: "Auroria" },
   { id: "19", name: "Baltrium" },
@@ -15,6 +20,40 @@ const SERVERS = [
   { id: "16", name: "Vesperia" },
 ];
 
+// Selector label: "Tormentum (Open PvP, 1204 online)"
+const formatWorldOption = (world) => {
+  const details = [world.pvpType, world.online !== null && world.online !== undefined ? `${world.online} online` : null]
+    .filter(Boolean);
+  return details.length > 0 ? `${world.name} (${details.join(', ')})` : world.name;
+};
+
+// Guilds that lost several members within the last hour (from the deaths on screen)
+const GUILD_ALERT_WINDOW_MS = 60 * 60 * 1000;
+const GUILD_ALERT_MIN_DEATHS = 2;
+
+const getGuildDeathAlerts = (deaths) => {
+  const counts = new Map();
+  deaths.forEach(d => {
+    if (!d.guild || typeof d.timestampMs !== 'number' || Date.now() - d.timestampMs > GUILD_ALERT_WINDOW_MS) return;
+    const members = counts.get(d.guild) || new Set();
+    members.add(d.player);
+    counts.set(d.guild, members);
+  });
+  return Array.from(counts, ([guild, members]) => ({ guild, count: members.size }))
+    .filter(alert => alert.count >= GUILD_ALERT_MIN_DEATHS)
+    .sort((a, b) => b.count - a.count);
+};
+
+// Client-side routes (the Express server answers every path with index.html)
+const ROUTES = { '/': 'deaths', '/stats': 'stats', '/pvp': 'pvp' };
+const getRoute = () => ROUTES[window.location.pathname] || 'deaths';
+
+// Watched deaths pinned above the grid (any world)
+const MAX_PINNED_DEATHS = 10;
+
+// How many deaths the grid can show
+const DEATH_LIMIT_OPTIONS = [3, 10, 25, 50, 100];
+
 // Function to format account status for display
 const formatAccountStatus = (status) => {
   if (!status || status === "Unknown") return "Free Account";
@@ -23,37 +62,36 @@ const formatAccountStatus = (status) => {
   return status;
 };
 
-// Function to calculate time ago
-const getTimeAgo = (deathTime) => {
-  try {
-    // Parse the death time (format: "07.10.2025, 22:50:28")
-    const [datePart, timePart] = deathTime.split(', ');
-    const [day, month, year] = datePart.split('.');
-    const [hours, minutes, seconds] = timePart.split(':');
-    
-    const deathDate = new Date(year, month - 1, day, hours, minutes, seconds);
-    const now = new Date();
-    const diffMs = now - deathDate;
-    const diffSeconds = Math.floor(diffMs / 1000);
-    
-    if (diffSeconds < 60) {
-      return `${diffSeconds}s ago`;
-    } else if (diffSeconds < 3600) {
-      const mins = Math.floor(diffSeconds / 60);
-      return `${mins}m ago`;
-    } else if (diffSeconds < 86400) {
-      const hours = Math.floor(diffSeconds / 3600);
-      const mins = Math.floor((diffSeconds % 3600) / 60);
-      return `${hours}h ${mins}m ago`;
-    } else {
-      const days = Math.floor(diffSeconds / 86400);
-      return `${days}d ago`;
-    }
-  } catch (e) {
-    return '';
+// Function to calculate time ago (timestampMs comes from the server, parsed in RubinOT's timezone)
+const getTimeAgo = (death) => {
+  if (typeof death.timestampMs !== 'number') return '';
+
+  const diffSeconds = Math.max(0, Math.floor((Date.now() - death.timestampMs) / 1000));
+
+  if (diffSeconds < 60) {
+    return `${diffSeconds}s ago`;
+  } else if (diffSeconds < 3600) {
+    const mins = Math.floor(diffSeconds / 60);
+    return `${mins}m ago`;
+  } else if (diffSeconds < 86400) {
+    const hours = Math.floor(diffSeconds / 3600);
+    const mins = Math.floor((diffSeconds % 3600) / 60);
+    return `${hours}h ${mins}m ago`;
+  } else {
+    const days = Math.floor(diffSeconds / 86400);
+    return `${days}d ago`;
   }
 };
 
+// Death time in the viewer's timezone, or RubinOT's raw server time
+const formatDeathTime = (death, showServerTime) => {
+  if (showServerTime || typeof death.timestampMs !== 'number') return death.time;
+  return new Date(death.timestampMs).toLocaleString(undefined, {
+    day: '2-digit', month: '2-digit', year: 'numeric',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+};
+
 // Function to get vocation-specific emoji
 const getVocationEmoji = (vocation) => {
   if (!vocation) return "👤";
@@ -75,27 +113,125 @@ const getVocationEmoji = (vocation) => {
 
 function App() {
   const [deaths, setDeaths] = useState([]);
+  const [worlds, setWorlds] = useState(SERVERS);
   
   // Filter UI states (what user is typing/selecting)
   const [worldInput, setWorldInput] = useState("20"); // Tormentum default
   const [minLevelInput, setMinLevelInput] = useState(0);
   const [vipOnlyInput, setVipOnlyInput] = useState(false);
+  const [deathLimitInput, setDeathLimitInput] = useState(10);
   
   // Applied filter states (what's actually sent to API)
   const [appliedWorld, setAppliedWorld] = useState("20");
   const [appliedMinLevel, setAppliedMinLevel] = useState(0);
   const [appliedVipOnly, setAppliedVipOnly] = useState(false);
+  const [appliedDeathLimit, setAppliedDeathLimit] = useState(10);
   
   const [newDeaths, setNewDeaths] = useState(new Set());
   const [copiedPlayer, setCopiedPlayer] = useState(null);
   const [isLoadingServer, setIsLoadingServer] = useState(false);
   const [isApplyingFilters, setIsApplyingFilters] = useState(false);
   const [currentTime, setCurrentTime] = useState(new Date());
+  const [selectedGuild, setSelectedGuild] = useState(null);
+  const [watchlist, setWatchlist] = useState([]);
+  const [watchedDeaths, setWatchedDeaths] = useState([]);
+  const [showWatchlist, setShowWatchlist] = useState(false);
+  const [showServerTime, setShowServerTime] = useState(() => localStorage.getItem('showServerTime') === 'true');
+  // Changing the shared watchlist needs the server's ADMIN_TOKEN
+  const [adminToken, setAdminToken] = useState(() => localStorage.getItem('adminToken') || '');
+  const [route, setRoute] = useState(getRoute);
   const latestIds = useRef(new Set());
   const fetchingRef = useRef(false);
   const currentWorld = useRef(appliedWorld);
   const currentMinLevel = useRef(appliedMinLevel); // Track current filter
   const currentVipOnly = useRef(appliedVipOnly);
+  const currentDeathLimit = useRef(appliedDeathLimit);
+
+  // Discover worlds (new RubinOT worlds appear without a redeploy); keep the static list on failure
+  useEffect(() => {
+    fetch('/api/worlds')
+      .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+      .then(data => {
+        const discovered = (data.worlds || []).filter(world => world.id);
+        if (discovered.length > 0) setWorlds(discovered);
+      })
+      .catch(error => console.warn('Could not load world list, using the built-in one:', error.message));
+  }, []);
+
+  // Server-side watchlist + its recent deaths (pinned)
+  const loadWatchlist = () => {
+    return fetch('/api/watchlist')
+      .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+      .then(data => {
+        setWatchlist(data.entries);
+        setWatchedDeaths(data.recentDeaths);
+      })
+      .catch(error => console.warn('Could not load watchlist:', error.message));
+  };
+
+  useEffect(() => {
+    loadWatchlist();
+  }, []);
+
+  const changeWatchlist = async (url, options) => {
+    const res = await fetch(url, {
+      ...options,
+      headers: { ...options.headers, ...(adminToken ? { Authorization: `Bearer ${adminToken}` } : {}) }
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP ${res.status}`);
+    }
+    await loadWatchlist();
+  };
+
+  const addWatch = (type, name, note = '') => changeWatchlist('/api/watchlist', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type, name, note })
+  });
+
+  const removeWatch = (id) => changeWatchlist(`/api/watchlist/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+  const toggleWatchCharacter = (name) => {
+    const id = `character:${name.toLowerCase()}`;
+    const request = watchlist.some(entry => entry.id === id) ? removeWatch(id) : addWatch('character', name);
+    request.catch(error => {
+      console.error('Watchlist update failed:', error.message);
+      setShowWatchlist(true); // Where the admin token can be entered
+    });
+  };
+
+  // Live watched death from any world
+  const addWatchedDeath = (death) => {
+    const id = death.player + death.time;
+    setWatchedDeaths(prev => [death, ...prev.filter(d => d.player + d.time !== id)].slice(0, MAX_PINNED_DEATHS));
+    flashNewDeaths(new Set([id]));
+  };
+
+  // Back/forward buttons
+  useEffect(() => {
+    const onPopState = () => setRoute(getRoute());
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  const navigate = (e, path) => {
+    e.preventDefault();
+    if (window.location.pathname !== path) window.history.pushState(null, '', path);
+    setRoute(getRoute());
+  };
+
+  // Stats/PvP page world picker also switches the deaths view
+  const changeWorld = (worldId) => {
+    setWorldInput(worldId);
+    setAppliedWorld(worldId);
+  };
+
+  // Display-only setting, remembered across visits
+  useEffect(() => {
+    localStorage.setItem('showServerTime', String(showServerTime));
+  }, [showServerTime]);
 
   // Update refs whenever values change
   useEffect(() => {
@@ -110,6 +246,10 @@ function App() {
     currentVipOnly.current = appliedVipOnly;
   }, [appliedVipOnly]);
 
+  useEffect(() => {
+    currentDeathLimit.current = appliedDeathLimit;
+  }, [appliedDeathLimit]);
+
   // Update current time every second for countdown timers (only when deaths visible)
   useEffect(() => {
     if (deaths.length === 0) return; // Don't run timer if no deaths
@@ -120,105 +260,138 @@ function App() {
     return () => clearInterval(timer);
   }, [deaths.length]);
 
-  // Fetch function - uses refs to always get latest values
-  const fetchDeaths = async () => {
-    // Prevent multiple concurrent requests
-    if (fetchingRef.current) {
-      return;
+  // Check a death against the current filters (safety net for stale data)
+  const matchesCurrentFilters = (d) => {
+    const levelMatch = d.level >= currentMinLevel.current;
+    const vipMatch = !currentVipOnly.current || (d.accountStatus && d.accountStatus.toLowerCase().includes("vip"));
+    return levelMatch && vipMatch;
+  };
+
+  // Remember a death id; returns true the first time it is seen
+  const rememberDeath = (id) => {
+    if (latestIds.current.has(id)) return false;
+    latestIds.current.add(id);
+    
+    // Memory optimization: only remember a few pages worth of ids
+    const maxIds = Math.max(50, currentDeathLimit.current * 2);
+    if (latestIds.current.size > maxIds) {
+      const idsArray = Array.from(latestIds.current);
+      latestIds.current = new Set(idsArray.slice(-maxIds));
     }
+    return true;
+  };
 
-    try {
-      fetchingRef.current = true;
+  // Highlight new deaths for 3 seconds
+  const flashNewDeaths = (newDeathIds) => {
+    setNewDeaths(newDeathIds);
+    if (newDeathIds.size > 0) {
+      setTimeout(() => {
+        setNewDeaths(new Set());
+      }, 3000);
+    }
+  };
 
-      // Build URL with filters (use refs to get latest values)
-      let url = `/api/deaths?world=${currentWorld.current}`;
-      if (currentMinLevel.current > 0) {
-        url += `&minLevel=${currentMinLevel.current}`;
-      }
-      if (currentVipOnly.current) {
-        url += `&vip=true`;
-      }
+  // Replace the grid with a full list (polling response or stream snapshot)
+  const applyDeathList = (data) => {
+    // Simple logic: check for new deaths and update state
+    const newDeathIds = new Set();
+
+    setDeaths(prevDeaths => {
+      const updatedDeaths = [];
       
-      const res = await fetch(url);
+      data.forEach(d => {
+        const id = d.player + d.time;
         
-        if (!res.ok) {
-          throw new Error(`HTTP error! status: ${res.status}`);
+        // CLIENT-SIDE FILTER SAFETY NET: Double-check filters
+        // This prevents stale cache data from showing wrong results
+        if (!matchesCurrentFilters(d)) {
+          console.log(`Filtered out death: ${d.player} (Level: ${d.level}, VIP: ${d.accountStatus}) - Filters: Level ${currentMinLevel.current}+, VIP: ${currentVipOnly.current}`);
+          return; // Skip this death
         }
         
-        const data = await res.json();
-
-        // Handle response - should be a simple array of deaths
-        if (!Array.isArray(data)) {
-          console.error("Invalid response format:", data);
-          return;
+        // Only mark as new if we already have deaths (not first load)
+        if (rememberDeath(id) && prevDeaths.length > 0) {
+          newDeathIds.add(id);
         }
+        
+        updatedDeaths.push(d);
+      });
 
-        console.log(`Fetched ${data.length} deaths for world ${currentWorld.current}`);
+      // Keep only as many deaths as the user asked for
+      return updatedDeaths.slice(0, currentDeathLimit.current);
+    });
 
-        // Simple logic: check for new deaths and update state
-        const newDeathIds = new Set();
+    flashNewDeaths(newDeathIds);
+    
+    // Clear loading state after data is set
+    setIsLoadingServer(false);
+  };
 
-        setDeaths(prevDeaths => {
-          const updatedDeaths = [];
-          
-          data.forEach(d => {
-            const id = d.player + d.time;
-            
-            // CLIENT-SIDE FILTER SAFETY NET: Double-check filters
-            // This prevents stale cache data from showing wrong results
-            const levelMatch = d.level >= currentMinLevel.current;
-            const vipMatch = !currentVipOnly.current || (d.accountStatus && d.accountStatus.toLowerCase().includes("vip"));
-            
-            // Only process deaths that match current filters
-            if (!levelMatch || !vipMatch) {
-              console.log(`Filtered out death: ${d.player} (Level: ${d.level}, VIP: ${d.accountStatus}) - Filters: Level ${currentMinLevel.current}+, VIP: ${currentVipOnly.current}`);
-              return; // Skip this death
-            }
-            
-            // Check if this is a new death
-            if (!latestIds.current.has(id)) {
-              latestIds.current.add(id);
-              
-              // Only mark as new if we already have deaths (not first load)
-              if (prevDeaths.length > 0) {
-                newDeathIds.add(id);
-              }
-              
-              // Memory optimization: limit latestIds to 50 most recent
-              if (latestIds.current.size > 50) {
-                const idsArray = Array.from(latestIds.current);
-                latestIds.current = new Set(idsArray.slice(-50));
-              }
-            }
-            
-            updatedDeaths.push(d);
-          });
-
-          // Keep only the latest 3 deaths for maximum speed
-          return updatedDeaths.slice(0, 3);
-        });
-
-        setNewDeaths(newDeathIds);
+  // Prepend deaths pushed by the stream (oldest first); deaths already shown replace their card
+  // (character data that arrived after the death was first pushed)
+  const addLiveDeaths = (liveDeaths) => {
+    const updates = new Map(liveDeaths
+      .filter(d => latestIds.current.has(d.player + d.time))
+      .map(d => [d.player + d.time, d]));
+    const newDeathIds = new Set();
+    const fresh = liveDeaths.filter(d => !updates.has(d.player + d.time) && matchesCurrentFilters(d) && rememberDeath(d.player + d.time));
+    if (fresh.length === 0 && updates.size === 0) return;
+    
+    fresh.forEach(d => newDeathIds.add(d.player + d.time));
+    setDeaths(prevDeaths => [...fresh.reverse(), ...prevDeaths.map(d => updates.get(d.player + d.time) || d)]
+      .slice(0, currentDeathLimit.current));
+    flashNewDeaths(newDeathIds);
+  };
+
+  // Build query string with filters (use refs to get latest values)
+  const buildFilterQuery = () => {
+    let query = `world=${currentWorld.current}`;
+    if (currentMinLevel.current > 0) {
+      query += `&minLevel=${currentMinLevel.current}`;
+    }
+    if (currentVipOnly.current) {
+      query += `&vip=true`;
+    }
+    query += `&limit=${currentDeathLimit.current}`;
+    return query;
+  };
+
+  // Fetch function (polling fallback) - uses refs to always get latest values
+  const fetchDeaths = async () => {
+    // Prevent multiple concurrent requests
+    if (fetchingRef.current) {
+      return;
+    }
+
+    try {
+      fetchingRef.current = true;
+
+      const res = await fetch(`/api/deaths?${buildFilterQuery()}`);
         
-        // Clear loading state after data is set
-        setIsLoadingServer(false);
-
-        // Remove new death animation after 3 seconds
-        if (newDeathIds.size > 0) {
-          setTimeout(() => {
-            setNewDeaths(new Set());
-          }, 3000);
-        }
+      if (!res.ok) {
+        throw new Error(`HTTP error! status: ${res.status}`);
+      }
+      
+      const data = await res.json();
 
-      } catch (err) {
-        console.error("Error fetching deaths:", err);
-        setIsLoadingServer(false);
-      } finally {
-        fetchingRef.current = false;
+      // Handle response - should be a simple array of deaths
+      if (!Array.isArray(data)) {
+        console.error("Invalid response format:", data);
+        return;
       }
+
+      console.log(`Fetched ${data.length} deaths for world ${currentWorld.current}`);
+      applyDeathList(data);
+
+    } catch (err) {
+      console.error("Error fetching deaths:", err);
+      setIsLoadingServer(false);
+    } finally {
+      fetchingRef.current = false;
+    }
   };
 
-  // Handle server/filter changes - only clear and restart for world changes
+  // Handle server changes - clear everything when the world changes
   useEffect(() => {
     console.log('World changed to:', appliedWorld);
     
@@ -227,27 +400,63 @@ function App() {
     setDeaths([]);
     setNewDeaths(new Set());
     latestIds.current.clear();
-    
-    // Initial fetch
-    fetchDeaths();
-    
-    // Set up auto-refresh every 1.5 seconds (ultra-fast!)
-    const interval = setInterval(() => {
-      fetchDeaths();
-    }, 1500);
-
-    return () => {
-      console.log('Cleaning up interval for world:', appliedWorld);
-      clearInterval(interval);
-    };
   }, [appliedWorld]); // Only re-run when APPLIED world changes!
   
-  // When APPLIED filters change, just fetch new data (don't restart everything)
+  // Live updates: Server-Sent Events, falling back to polling every 1.5 seconds
   useEffect(() => {
-    if (deaths.length > 0) { // Only if we already have data
+    if (route !== 'deaths') return; // The stats and PvP pages open their own streams
+
+    let interval = null;
+    let eventSource = null;
+    let failedConnects = 0;
+
+    const startPolling = () => {
+      if (interval) return;
+      console.log('Live stream unavailable, polling every 1.5s');
       fetchDeaths();
+      interval = setInterval(() => {
+        fetchDeaths();
+      }, 1500);
+    };
+
+    if (typeof EventSource === 'undefined') {
+      startPolling();
+    } else {
+      // EventSource reconnects by itself and sends Last-Event-ID, so missed deaths are replayed
+      eventSource = new EventSource(`/api/deaths/stream?${buildFilterQuery()}`);
+      
+      eventSource.addEventListener('open', () => {
+        failedConnects = 0;
+      });
+      eventSource.addEventListener('snapshot', (e) => {
+        applyDeathList(JSON.parse(e.data));
+      });
+      eventSource.addEventListener('death', (e) => {
+        addLiveDeaths([JSON.parse(e.data)]);
+      });
+      eventSource.addEventListener('death-update', (e) => {
+        addLiveDeaths([JSON.parse(e.data)]);
+      });
+      // Watchlist deaths arrive whatever world/filters this stream has
+      eventSource.addEventListener('watched', (e) => {
+        addWatchedDeath(JSON.parse(e.data).death);
+      });
+      eventSource.addEventListener('error', () => {
+        failedConnects++;
+        // Give up on the stream after repeated failures (e.g. a proxy that buffers SSE)
+        if (failedConnects >= 3) {
+          eventSource.close();
+          startPolling();
+        }
+      });
     }
-  }, [appliedMinLevel, appliedVipOnly]); // Fetch when filters are applied
+
+    return () => {
+      console.log('Closing live updates for world:', appliedWorld);
+      if (eventSource) eventSource.close();
+      if (interval) clearInterval(interval);
+    };
+  }, [appliedWorld, appliedMinLevel, appliedVipOnly, appliedDeathLimit, route]); // Reconnect when APPLIED filters change
   
   // Handle Apply Filter button
   const handleApplyFilters = async () => {
@@ -258,6 +467,7 @@ function App() {
     setAppliedWorld(worldInput);
     setAppliedMinLevel(minLevelInput);
     setAppliedVipOnly(vipOnlyInput);
+    setAppliedDeathLimit(deathLimitInput);
     
     // Hide feedback after a short delay (gives time for data to load)
     setTimeout(() => {
@@ -269,9 +479,113 @@ function App() {
   const filtersChanged = 
     worldInput !== appliedWorld || 
     minLevelInput !== appliedMinLevel || 
-    vipOnlyInput !== appliedVipOnly;
+    vipOnlyInput !== appliedVipOnly ||
+    deathLimitInput !== appliedDeathLimit;
+
+  const selectedServer = worlds.find(s => s.id === appliedWorld);
+  const guildDeathAlerts = getGuildDeathAlerts(deaths);
+
+  // Watched deaths are highlighted and pinned above the grid
+  const watchIds = new Set(watchlist.map(entry => entry.id));
+  const isWatchedDeath = (d) =>
+    watchIds.has(`character:${d.player.toLowerCase()}`) || Boolean(d.guild && watchIds.has(`guild:${d.guild.toLowerCase()}`));
+  const pinnedDeaths = [...watchedDeaths, ...deaths]
+    .filter(isWatchedDeath)
+    .filter((d, i, list) => list.findIndex(other => other.player + other.time === d.player + d.time) === i)
+    .sort((a, b) => (b.timestampMs || 0) - (a.timestampMs || 0))
+    .slice(0, MAX_PINNED_DEATHS);
+  const pinnedIds = new Set(pinnedDeaths.map(d => d.player + d.time));
+
+  // One death card (grid and pinned watchlist section)
+  const renderDeathCard = (d, key) => {
+    const deathId = d.player + d.time;
+    const isNew = newDeaths.has(deathId);
+    const accountStatus = formatAccountStatus(d.accountStatus);
+    const isPremium = accountStatus.toLowerCase().includes("vip");
+    const isWatchingPlayer = watchIds.has(`character:${d.player.toLowerCase()}`);
+    const worldName = worlds.find(w => w.id === d.worldId)?.name || selectedServer?.name || 'Unknown';
+
+    return (
+      <div
+        key={key}
+        className={`death-card ${isNew ? 'new-death' : ''} ${isWatchedDeath(d) ? 'watched' : ''}`}
+        data-listing-sort={Date.now()}
+      >
+        <div className="death-content">
+          <div className="death-info">
+            <div className="death-header">
+              <div className="death-player-info">
+                <span className="death-skull">💀</span>
+                <a
+                  href={d.playerLink}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="death-player"
+                >
+                  {d.player}
+                </a>
+                <button 
+                  className={`copy-btn ${copiedPlayer === d.player ? 'copied' : ''}`}
+                  onClick={() => {
+                    navigator.clipboard.writeText(`exiva "${d.player}"`);
+                    setCopiedPlayer(d.player);
+                    setTimeout(() => setCopiedPlayer(null), 2000);
+                  }}
+                  title={copiedPlayer === d.player ? 'Copied to Exiva!' : `Copy: exiva "${d.player}"`}
+                >
+                  <i className={`fa ${copiedPlayer === d.player ? 'fa-check' : 'fa-copy'}`}></i>
+                  {copiedPlayer === d.player && <span className="copy-feedback">Copied to Exiva</span>}
+                </button>
+                <button
+                  className={`watch-btn ${isWatchingPlayer ? 'active' : ''}`}
+                  onClick={() => toggleWatchCharacter(d.player)}
+                  title={isWatchingPlayer ? `Stop watching ${d.player}` : `Watch ${d.player}`}
+                >
+                  <i className={`fa ${isWatchingPlayer ? 'fa-eye' : 'fa-eye-slash'}`}></i>
+                </button>
+              </div>
+            </div>
 
-  const selectedServer = SERVERS.find(s => s.id === appliedWorld);
+            <div className="death-badges">
+              <div className="death-badge">
+                {getVocationEmoji(d.vocation)} {d.vocation || "Unknown"}
+              </div>
+              <div className="death-badge">
+                <i className="fa fa-globe"></i> {worldName}
+              </div>
+              <div className={`death-badge ${isPremium ? 'success' : 'danger'}`}>
+                <i className={`fa ${isPremium ? 'fa-diamond' : 'fa-user'}`}></i> {accountStatus}
+              </div>
+              <div className="death-badge">
+                <i className="fa fa-home"></i> {d.residence || "Unknown"}
+              </div>
+              {d.guild && d.guild !== "No Guild" && (
+                <button
+                  className="death-badge guild-badge"
+                  onClick={() => setSelectedGuild(d.guild)}
+                  title={`Show ${d.guild} members`}
+                >
+                  <i className="fa fa-users"></i> {d.guild}
+                </button>
+              )}
+            </div>
+
+            <div className="death-message">
+              Died at Level <strong>{d.level}</strong> by {d.cause}.
+            </div>
+
+            <div className="death-time">
+              <i className="fa fa-clock-o"></i>{' '}
+              <span title={showServerTime ? formatDeathTime(d, false) : `Server time: ${d.time}`}>
+                {formatDeathTime(d, showServerTime)}
+              </span>
+              <span className="time-ago">• {getTimeAgo(d)}</span>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  };
 
   return (
     <div className="App">
@@ -281,74 +595,121 @@ function App() {
           <div className="header-text">
             <h1>RubinOT Death Tracker</h1>
             <p>Real-time death monitoring for {selectedServer?.name} server</p>
+            <nav className="view-tabs">
+              <a href="/" className={route === 'deaths' ? 'active' : ''} onClick={e => navigate(e, '/')}>
+                <i className="fa fa-list"></i> Deaths
+              </a>
+              <a href="/stats" className={route === 'stats' ? 'active' : ''} onClick={e => navigate(e, '/stats')}>
+                <i className="fa fa-bar-chart"></i> Statistics
+              </a>
+              <a href="/pvp" className={route === 'pvp' ? 'active' : ''} onClick={e => navigate(e, '/pvp')}>
+                <i className="fa fa-crosshairs"></i> PvP
+              </a>
+            </nav>
           </div>
         </div>
       </div>
 
-      <div className="controls">
-        <div className="control-group">
-          <label className="control-label">
-            <i className="fa fa-globe"></i> Server
-          </label>
-          <select value={worldInput} onChange={e => setWorldInput(e.target.value)}>
-            {SERVERS.map(s => (
-              <option key={s.id} value={s.id}>{s.name}</option>
-            ))}
-          </select>
-        </div>
-
-        <div className="control-group">
-          <label className="control-label">
-            <i className="fa fa-level-up"></i> Minimum Level
-          </label>
-          <input
-            type="number"
-            placeholder="0"
-            value={minLevelInput === 0 ? '' : minLevelInput}
-            onChange={e => {
-              const value = e.target.value;
-              setMinLevelInput(value === '' ? 0 : Number(value));
-            }}
-            onKeyDown={e => {
-              if (e.key === 'Enter') {
-                handleApplyFilters();
-              }
-            }}
-            min="0"
-          />
-        </div>
+      {route === 'deaths' && (
+        <div className="controls">
+          <div className="control-group">
+            <label className="control-label">
+              <i className="fa fa-globe"></i> Server
+            </label>
+            <select value={worldInput} onChange={e => setWorldInput(e.target.value)}>
+              {worlds.map(s => (
+                <option key={s.id} value={s.id}>{formatWorldOption(s)}</option>
+              ))}
+            </select>
+          </div>
 
-        <div className="control-group">
-          <label className="control-label">
-            <i className="fa fa-diamond"></i> VIP Only
-          </label>
-          <div className="checkbox-wrapper">
+          <div className="control-group">
+            <label className="control-label">
+              <i className="fa fa-level-up"></i> Minimum Level
+            </label>
             <input
-              type="checkbox"
-              checked={vipOnlyInput}
-              onChange={e => setVipOnlyInput(e.target.checked)}
-              className="checkbox-input"
+              type="number"
+              placeholder="0"
+              value={minLevelInput === 0 ? '' : minLevelInput}
+              onChange={e => {
+                const value = e.target.value;
+                setMinLevelInput(value === '' ? 0 : Number(value));
+              }}
+              onKeyDown={e => {
+                if (e.key === 'Enter') {
+                  handleApplyFilters();
+                }
+              }}
+              min="0"
             />
           </div>
-        </div>
+
+          <div className="control-group">
+            <label className="control-label">
+              <i className="fa fa-diamond"></i> VIP Only
+            </label>
+            <div className="checkbox-wrapper">
+              <input
+                type="checkbox"
+                checked={vipOnlyInput}
+                onChange={e => setVipOnlyInput(e.target.checked)}
+                className="checkbox-input"
+              />
+            </div>
+          </div>
+        
+          <div className="control-group">
+            <label className="control-label">
+              <i className="fa fa-list"></i> Show
+            </label>
+            <select value={deathLimitInput} onChange={e => setDeathLimitInput(Number(e.target.value))}>
+              {DEATH_LIMIT_OPTIONS.map(n => (
+                <option key={n} value={n}>{n} deaths</option>
+              ))}
+            </select>
+          </div>
         
-        <div className="control-group">
-          <label className="control-label">
-            <i className="fa fa-filter"></i> Actions
-          </label>
-          <button 
-            className={`apply-filter-btn ${filtersChanged ? 'changed' : ''} ${isApplyingFilters ? 'applying' : ''}`}
-            onClick={handleApplyFilters}
-            disabled={isApplyingFilters}
-            title={isApplyingFilters ? 'Applying filters...' : (filtersChanged ? 'Click to apply filters' : 'No changes to apply')}
-          >
-            <i className={`fa ${isApplyingFilters ? 'fa-spinner fa-spin' : (filtersChanged ? 'fa-exclamation-circle' : 'fa-check')}`}></i>
-            {isApplyingFilters ? ' Applying...' : (filtersChanged ? ' Apply Filters' : ' Filters Applied')}
-          </button>
+          <div className="control-group">
+            <label className="control-label">
+              <i className="fa fa-clock-o"></i> Times
+            </label>
+            <select value={showServerTime ? 'server' : 'local'} onChange={e => setShowServerTime(e.target.value === 'server')}>
+              <option value="local">My timezone</option>
+              <option value="server">Server time</option>
+            </select>
+          </div>
+
+          <div className="control-group">
+            <label className="control-label">
+              <i className="fa fa-eye"></i> Watchlist
+            </label>
+            <button className="refresh-btn" onClick={() => setShowWatchlist(true)} title="Manage watched characters and guilds">
+              <i className="fa fa-eye"></i> {watchlist.length} watched
+            </button>
+          </div>
+
+          <div className="control-group">
+            <label className="control-label">
+              <i className="fa fa-filter"></i> Actions
+            </label>
+            <button 
+              className={`apply-filter-btn ${filtersChanged ? 'changed' : ''} ${isApplyingFilters ? 'applying' : ''}`}
+              onClick={handleApplyFilters}
+              disabled={isApplyingFilters}
+              title={isApplyingFilters ? 'Applying filters...' : (filtersChanged ? 'Click to apply filters' : 'No changes to apply')}
+            >
+              <i className={`fa ${isApplyingFilters ? 'fa-spinner fa-spin' : (filtersChanged ? 'fa-exclamation-circle' : 'fa-check')}`}></i>
+              {isApplyingFilters ? ' Applying...' : (filtersChanged ? ' Apply Filters' : ' Filters Applied')}
+            </button>
+          </div>
         </div>
-      </div>
+      )}
 
-      {isLoadingServer || deaths.length === 0 ? (
+      {route === 'stats' ? (
+        <StatsView worlds={worlds} world={appliedWorld} onWorldChange={changeWorld} />
+      ) : route === 'pvp' ? (
+        <PvpView worlds={worlds} world={appliedWorld} onWorldChange={changeWorld} onSelectGuild={setSelectedGuild} />
+      ) : isLoadingServer || deaths.length === 0 ? (
         <div className="loading-state">
           <div className="loading-spinner"></div>
           <p className="loading-text">Loading deaths from {selectedServer?.name}...</p>
@@ -364,84 +725,45 @@ function App() {
             </div>
           ) : (
             <div className="deaths-grid">
-              {deaths.map((d, i) => {
-            const deathId = d.player + d.time;
-            const isNew = newDeaths.has(deathId);
-            const accountStatus = formatAccountStatus(d.accountStatus);
-            const isPremium = accountStatus.toLowerCase().includes("vip");
-
-            return (
-              <div
-                key={i}
-                className={`death-card ${isNew ? 'new-death' : ''}`}
-                data-listing-sort={Date.now()}
-              >
-                <div className="death-content">
-                  <div className="death-info">
-                    <div className="death-header">
-                      <div className="death-player-info">
-                        <span className="death-skull">💀</span>
-                        <a
-                          href={d.playerLink}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="death-player"
-                        >
-                          {d.player}
-                        </a>
-                        <button 
-                          className={`copy-btn ${copiedPlayer === d.player ? 'copied' : ''}`}
-                          onClick={() => {
-                            navigator.clipboard.writeText(`exiva "${d.player}"`);
-                            setCopiedPlayer(d.player);
-                            setTimeout(() => setCopiedPlayer(null), 2000);
-                          }}
-                          title={copiedPlayer === d.player ? 'Copied to Exiva!' : `Copy: exiva "${d.player}"`}
-                        >
-                          <i className={`fa ${copiedPlayer === d.player ? 'fa-check' : 'fa-copy'}`}></i>
-                          {copiedPlayer === d.player && <span className="copy-feedback">Copied to Exiva</span>}
-                        </button>
-                      </div>
-                    </div>
-
-                    <div className="death-badges">
-                      <div className="death-badge">
-                        {getVocationEmoji(d.vocation)} {d.vocation || "Unknown"}
-                      </div>
-                      <div className="death-badge">
-                        <i className="fa fa-globe"></i> {selectedServer?.name || 'Unknown'}
-                      </div>
-                      <div className={`death-badge ${isPremium ? 'success' : 'danger'}`}>
-                        <i className={`fa ${isPremium ? 'fa-diamond' : 'fa-user'}`}></i> {accountStatus}
-                      </div>
-                      <div className="death-badge">
-                        <i className="fa fa-home"></i> {d.residence || "Unknown"}
-                      </div>
-                      {d.guild && d.guild !== "No Guild" && (
-                        <div className="death-badge">
-                          <i className="fa fa-users"></i> {d.guild}
-                        </div>
-                      )}
-                    </div>
-
-                    <div className="death-message">
-                      Died at Level <strong>{d.level}</strong> by {d.cause}.
-                    </div>
-
-                    <div className="death-time">
-                      <i className="fa fa-clock-o"></i> {d.time}
-                      <span className="time-ago">• {getTimeAgo(d.time)}</span>
-                    </div>
-                  </div>
+              {guildDeathAlerts.map(alert => (
+                <button
+                  key={alert.guild}
+                  className="info-alert guild-alert"
+                  onClick={() => setSelectedGuild(alert.guild)}
+                >
+                  <i className="fa fa-users"></i>
+                  {alert.count} members of {alert.guild} died in the last hour
+                </button>
+              ))}
+              {pinnedDeaths.length > 0 && (
+                <div className="watched-section">
+                  <h3 className="watched-title">👁️ Watched</h3>
+                  {pinnedDeaths.map(d => renderDeathCard(d, `watched-${d.player}-${d.time}`))}
                 </div>
-              </div>
-            );
-          })}
+              )}
+              {deaths.filter(d => !pinnedIds.has(d.player + d.time)).map((d, i) => renderDeathCard(d, i))}
         </div>
           );
         })()
       }
 
+      {showWatchlist && (
+        <WatchlistView
+          entries={watchlist}
+          onAdd={addWatch}
+          onRemove={removeWatch}
+          adminToken={adminToken}
+          onAdminTokenChange={(token) => {
+            setAdminToken(token);
+            localStorage.setItem('adminToken', token);
+          }}
+          onClose={() => setShowWatchlist(false)}
+        />
+      )}
+
+      {selectedGuild && (
+        <GuildView guildName={selectedGuild} onClose={() => setSelectedGuild(null)} />
+      )}
     </div>
   );
 }
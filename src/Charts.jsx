@@ -0,0 +1,75 @@
+// Small charts for the statistics page, drawn with plain elements and CSS (no chart library or CDN)
+export const CHART_COLORS = ['#e74c3c', '#3498db', '#2ecc71', '#f1c40f', '#9b59b6', '#e67e22', '#1abc9c', '#95a5a6'];
+
+// Vertical bars: deaths over time, level histogram
+// data: [{ label, value, title }]; only every `labelEvery`-th label is printed under the bars
+export function ColumnChart({ data, labelEvery = 1, emptyText = 'No deaths in this window' }) {
+  const max = Math.max(0, ...data.map(item => item.value));
+  if (max === 0) return <p className="chart-empty">{emptyText}</p>;
+
+  return (
+    <div className="column-chart">
+      <div className="column-chart-bars">
+        {data.map((item, i) => (
+          <div key={i} className="column-chart-column" title={item.title || `${item.label}: ${item.value}`}>
+            <div className="column-chart-bar" style={{ height: `${(item.value / max) * 100}%` }}></div>
+          </div>
+        ))}
+      </div>
+      <div className="column-chart-labels">
+        {data.map((item, i) => (
+          <span key={i}>{i % labelEvery === 0 ? item.label : ''}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Pie as a conic gradient; the smallest slices are folded into "Other"
+export function PieChart({ data, maxSlices = CHART_COLORS.length }) {
+  const total = data.reduce((sum, item) => sum + item.value, 0);
+  if (total === 0) return <p className="chart-empty">No deaths in this window</p>;
+
+  const slices = data.slice(0, maxSlices - 1);
+  const rest = data.slice(maxSlices - 1).reduce((sum, item) => sum + item.value, 0);
+  if (rest > 0) slices.push({ label: 'Other', value: rest });
+
+  let offset = 0;
+  const stops = slices.map((slice, i) => {
+    const start = offset;
+    offset += (slice.value / total) * 100;
+    return `${CHART_COLORS[i % CHART_COLORS.length]} ${start}% ${offset}%`;
+  });
+
+  return (
+    <div className="pie-chart">
+      <div className="pie-chart-disc" style={{ background: `conic-gradient(${stops.join(', ')})` }}></div>
+      <ul className="chart-legend">
+        {slices.map((slice, i) => (
+          <li key={slice.label}>
+            <span className="chart-swatch" style={{ background: CHART_COLORS[i % CHART_COLORS.length] }}></span>
+            {slice.label} <strong>{slice.value}</strong> ({Math.round((slice.value / total) * 100)}%)
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Horizontal bars: leaderboards (top creatures, top player killers)
+export function BarList({ data, emptyText = 'Nothing here yet' }) {
+  const max = Math.max(0, ...data.map(item => item.value));
+  if (data.length === 0) return <p className="chart-empty">{emptyText}</p>;
+
+  return (
+    <ol className="bar-list">
+      {data.map(item => (
+        <li key={item.label} title={item.title}>
+          <div className="bar-list-fill" style={{ width: `${(item.value / max) * 100}%` }}></div>
+          <span className="bar-list-label">{item.label}</span>
+          <span className="bar-list-value">{item.value}</span>
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,94 @@
+import { useState, useEffect } from 'react';
+import CreatureView from './CreatureView';
+
+const HIGH_LEVEL_OPTIONS = [300, 500, 800, 1000];
+
+// Most dangerous creatures of a world (stats page), from /api/stats/creatures
+// refreshKey changes whenever the stats page reloads, so the table stays live
+function CreatureLeaderboard({ world, statsWindow, refreshKey }) {
+  const [highLevel, setHighLevel] = useState(500);
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [error, setError] = useState(null);
+  const [selectedCreature, setSelectedCreature] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch(`/api/stats/creatures?world=${encodeURIComponent(world)}&window=${statsWindow}&highLevel=${highLevel}&limit=15`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        return data;
+      })
+      .then(data => {
+        if (cancelled) return;
+        setLeaderboard(data);
+        setError(null);
+      })
+      .catch(err => { if (!cancelled) setError(err.message); });
+
+    return () => { cancelled = true; };
+  }, [world, statsWindow, highLevel, refreshKey]);
+
+  return (
+    <section className="stats-panel stats-panel-wide">
+      <div className="stats-panel-header">
+        <h3>🐲 Most dangerous creatures</h3>
+        <label className="stats-panel-option">
+          High level
+          <select value={highLevel} onChange={e => setHighLevel(Number(e.target.value))}>
+            {HIGH_LEVEL_OPTIONS.map(level => (
+              <option key={level} value={level}>{level}+</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && <div className="guild-error">Could not load creatures: {error}</div>}
+      {!leaderboard && !error && <p className="loading-text">Loading creatures...</p>}
+      {leaderboard && leaderboard.creatures.length === 0 && <p className="chart-empty">No creature kills in this window</p>}
+
+      {leaderboard && leaderboard.creatures.length > 0 && (
+        <table className="guild-members creature-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Creature</th>
+              <th title="Deaths it took part in (final blow or assist)">Kills</th>
+              <th>Final blows</th>
+              <th>Avg. victim level</th>
+              <th>{leaderboard.highLevel}+ victims</th>
+            </tr>
+          </thead>
+          <tbody>
+            {leaderboard.creatures.map((creature, i) => (
+              <tr key={creature.name} onClick={() => setSelectedCreature(creature.name)} title={`Show deaths by ${creature.name}`}>
+                <td>{i + 1}</td>
+                <td>
+                  {creature.name}
+                  {creature.boss && <span className="creature-boss">boss</span>}
+                </td>
+                <td>{creature.deaths}</td>
+                <td>{creature.finalBlows}</td>
+                <td>{creature.averageLevel}</td>
+                <td>{creature.highLevelDeaths} ({Math.round(creature.highLevelShare * 100)}%)</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {selectedCreature && (
+        <CreatureView
+          name={selectedCreature}
+          world={world}
+          statsWindow={statsWindow}
+          highLevel={highLevel}
+          onClose={() => setSelectedCreature(null)}
+        />
+      )}
+    </section>
+  );
+}
+
+export default CreatureLeaderboard;
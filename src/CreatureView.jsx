@@ -0,0 +1,91 @@
+import { useState, useEffect } from 'react';
+
+// Deaths caused by one creature (overlay opened from the creature leaderboard)
+function CreatureView({ name, world, statsWindow, highLevel, onClose }) {
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setResult(null);
+    setError(null);
+
+    fetch(`/api/stats/creatures/${encodeURIComponent(name)}?world=${encodeURIComponent(world)}&window=${statsWindow}&highLevel=${highLevel}`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        return data;
+      })
+      .then(data => { if (!cancelled) setResult(data); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+
+    return () => { cancelled = true; };
+  }, [name, world, statsWindow, highLevel]);
+
+  // Close on Escape
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const creature = result?.creature;
+
+  return (
+    <div className="guild-overlay" onClick={onClose}>
+      <div className="guild-view" onClick={e => e.stopPropagation()}>
+        <div className="guild-view-header">
+          <h2>🐲 {creature?.name || name}</h2>
+          <button className="guild-close-btn" onClick={onClose} title="Close">
+            <i className="fa fa-times"></i>
+          </button>
+        </div>
+
+        {error && <div className="guild-error">Could not load deaths: {error}</div>}
+        {!result && !error && <p className="loading-text">Loading deaths...</p>}
+
+        {creature && (
+          <>
+            <div className="guild-summary">
+              <span>💀 {creature.deaths} deaths on {result.worldName}</span>
+              <span>{creature.finalBlows} final blows</span>
+              <span>Avg. victim level {creature.averageLevel}</span>
+              <span className="guild-deaths">{creature.highLevelDeaths} victims {result.highLevel}+</span>
+            </div>
+
+            <table className="guild-members">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Name</th>
+                  <th>Level</th>
+                  <th>Vocation</th>
+                  <th>Killed by</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.deaths.map(death => (
+                  <tr key={death.id} className={death.level >= result.highLevel ? 'died-recently' : ''}>
+                    <td title={`Server time: ${death.time}`}>
+                      {typeof death.timestampMs === 'number' ? new Date(death.timestampMs).toLocaleString() : death.time}
+                    </td>
+                    <td>
+                      <a href={death.playerLink} target="_blank" rel="noopener noreferrer">{death.player}</a>
+                    </td>
+                    <td>{death.level}</td>
+                    <td>{death.vocation}</td>
+                    <td>{death.cause}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CreatureView;
@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+
+// Guild roster overlay (opened from a death's guild badge)
+function GuildView({ guildName, onClose }) {
+  const [guild, setGuild] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setGuild(null);
+    setError(null);
+
+    fetch(`/api/guilds/${encodeURIComponent(guildName)}`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        return data;
+      })
+      .then(data => { if (!cancelled) setGuild(data); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+
+    return () => { cancelled = true; };
+  }, [guildName]);
+
+  // Close on Escape
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const diedRecently = new Set((guild?.recentDeaths || []).map(d => d.player.toLowerCase()));
+  const recentDeathCount = diedRecently.size;
+
+  return (
+    <div className="guild-overlay" onClick={onClose}>
+      <div className="guild-view" onClick={e => e.stopPropagation()}>
+        <div className="guild-view-header">
+          <h2><i className="fa fa-users"></i> {guild?.name || guildName}</h2>
+          <button className="guild-close-btn" onClick={onClose} title="Close">
+            <i className="fa fa-times"></i>
+          </button>
+        </div>
+
+        {error && <div className="guild-error">Could not load guild: {error}</div>}
+        {!guild && !error && <p className="loading-text">Loading guild...</p>}
+
+        {guild && (
+          <>
+            <div className="guild-summary">
+              <span><i className="fa fa-user"></i> {guild.memberCount} members</span>
+              <span className="guild-online"><i className="fa fa-circle"></i> {guild.onlineCount} online</span>
+              {recentDeathCount > 0 && (
+                <span className="guild-deaths">
+                  💀 {recentDeathCount} {recentDeathCount === 1 ? 'member' : 'members'} died in the last hour
+                </span>
+              )}
+            </div>
+
+            {guild.description && <p className="guild-description">{guild.description}</p>}
+
+            <table className="guild-members">
+              <thead>
+                <tr>
+                  <th>Rank</th>
+                  <th>Name</th>
+                  <th>Vocation</th>
+                  <th>Level</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {guild.members.map(member => (
+                  <tr key={member.name} className={diedRecently.has(member.name.toLowerCase()) ? 'died-recently' : ''}>
+                    <td>{member.rank}</td>
+                    <td>
+                      {member.name}
+                      {member.title && <span className="guild-member-title"> ({member.title})</span>}
+                    </td>
+                    <td>{member.vocation}</td>
+                    <td>{member.level}</td>
+                    <td className={member.online ? 'guild-online' : 'guild-offline'}>
+                      {member.online ? 'online' : 'offline'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default GuildView;
@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+import { ColumnChart } from './Charts';
+
+const MIN_KILLS_OPTIONS = [3, 5, 10, 20];
+const PARTICIPANTS_SHOWN = 8;
+
+const formatBucket = (point, bucket) => {
+  const date = new Date(point.start);
+  return bucket === 'day'
+    ? date.toLocaleDateString(undefined, { day: '2-digit', month: '2-digit' })
+    : date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+};
+
+// Guild wars of a world (PvP page), from /api/guild-wars
+// refreshKey changes on live PvP deaths and war alerts, so the panel stays live
+function GuildWars({ world, pvpWindow, refreshKey, onSelectGuild }) {
+  const [minKills, setMinKills] = useState(5);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch(`/api/guild-wars?world=${encodeURIComponent(world)}&window=${pvpWindow}&minKills=${minKills}`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        return data;
+      })
+      .then(data => {
+        if (cancelled) return;
+        setResult(data);
+        setError(null);
+      })
+      .catch(err => { if (!cancelled) setError(err.message); });
+
+    return () => { cancelled = true; };
+  }, [world, pvpWindow, minKills, refreshKey]);
+
+  return (
+    <section className="stats-panel stats-panel-wide">
+      <div className="stats-panel-header">
+        <h3>⚔️ Guild wars</h3>
+        <label className="stats-panel-option">
+          At least
+          <select value={minKills} onChange={e => setMinKills(Number(e.target.value))}>
+            {MIN_KILLS_OPTIONS.map(kills => (
+              <option key={kills} value={kills}>{kills} kills</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && <div className="guild-error">Could not load guild wars: {error}</div>}
+      {!result && !error && <p className="loading-text">Loading guild wars...</p>}
+      {result && result.wars.length === 0 && <p className="chart-empty">No guilds at war in this window</p>}
+
+      {result && result.wars.map(war => (
+        <div key={war.id} className="guild-war">
+          <div className="guild-war-score">
+            <button className="pvp-guild" onClick={() => onSelectGuild(war.guilds[0])}>{war.guilds[0]}</button>
+            <strong>{war.score[0]} – {war.score[1]}</strong>
+            <button className="pvp-guild" onClick={() => onSelectGuild(war.guilds[1])}>{war.guilds[1]}</button>
+            <span className="guild-war-meta">
+              {war.kills} kills, last {new Date(war.lastKillAt).toLocaleString()}
+            </span>
+          </div>
+
+          <div className="guild-war-sides">
+            {war.participants.map((side, i) => (
+              <ul key={war.guilds[i]} className="guild-war-participants">
+                {side.slice(0, PARTICIPANTS_SHOWN).map(participant => (
+                  <li key={participant.name}>
+                    {participant.name}
+                    <span title="Kills / deaths">{participant.kills} / {participant.deaths}</span>
+                  </li>
+                ))}
+                {side.length > PARTICIPANTS_SHOWN && <li className="guild-war-more">+{side.length - PARTICIPANTS_SHOWN} more</li>}
+              </ul>
+            ))}
+          </div>
+
+          <ColumnChart
+            labelEvery={Math.max(1, Math.ceil(war.timeline.length / 12))}
+            emptyText="No kills in this window"
+            data={war.timeline.map(point => ({
+              label: formatBucket(point, result.bucket),
+              value: point.kills[0] + point.kills[1],
+              title: `${new Date(point.start).toLocaleString()}: ${war.guilds[0]} ${point.kills[0]} – ${point.kills[1]} ${war.guilds[1]}`
+            }))}
+          />
+        </div>
+      ))}
+    </section>
+  );
+}
+
+export default GuildWars;
@@ -0,0 +1,192 @@
+import { useState, useEffect, useRef } from 'react';
+import GuildWars from './GuildWars';
+import { getPlayerKillerCredits } from '../lib/death-cause.js';
+
+const PVP_WINDOWS = [
+  { value: '24h', label: 'Last 24 hours' },
+  { value: '3d', label: 'Last 3 days' },
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' }
+];
+
+const WINDOW_MS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const KILL_FEED_SIZE = 30;
+const LEADERBOARD_SIZE = 20;
+const LIVE_RELOAD_DELAY = 2000;
+
+const getJson = async (url) => {
+  const res = await fetch(url);
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+};
+
+const formatKillTime = (death) =>
+  typeof death.timestampMs === 'number' ? new Date(death.timestampMs).toLocaleString() : death.time;
+
+// PvP page (/pvp): top player killers of a world, its guild wars and a live kill feed (killer → victim)
+function PvpView({ worlds, world, onWorldChange, onSelectGuild }) {
+  const [pvpWindow, setPvpWindow] = useState('24h');
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [feed, setFeed] = useState([]);
+  const [error, setError] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const requestRef = useRef(0);
+
+  const loadLeaderboard = () => {
+    const request = ++requestRef.current;
+    return getJson(`/api/stats/killers?world=${encodeURIComponent(world)}&window=${pvpWindow}&limit=${LEADERBOARD_SIZE}`)
+      .then(data => {
+        if (request !== requestRef.current) return;
+        setLeaderboard(data);
+        setError(null);
+      })
+      .catch(err => { if (request === requestRef.current) setError(err.message); });
+  };
+
+  useEffect(() => {
+    setLeaderboard(null);
+    loadLeaderboard();
+  }, [world, pvpWindow]);
+
+  // Kill feed: latest stored PvP deaths, then live ones from the stream
+  useEffect(() => {
+    let cancelled = false;
+    let reloadTimer = null;
+    let eventSource = null;
+    const [, amount, unit] = /^(\d+)([hd])$/.exec(pvpWindow);
+    const from = Date.now() - Number(amount) * WINDOW_MS[unit];
+
+    setFeed([]);
+    getJson(`/api/deaths/history?world=${encodeURIComponent(world)}&pvp=true&from=${from}&limit=${KILL_FEED_SIZE}`)
+      .then(data => { if (!cancelled) setFeed(data.deaths); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+
+    if (typeof EventSource !== 'undefined') {
+      eventSource = new EventSource(`/api/deaths/stream?world=${encodeURIComponent(world)}&pvp=true&limit=1`);
+      eventSource.addEventListener('death', (e) => {
+        const death = JSON.parse(e.data);
+        setFeed(prev => [death, ...prev.filter(d => d.id !== death.id)].slice(0, KILL_FEED_SIZE));
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(() => {
+          loadLeaderboard();
+          setRefreshKey(key => key + 1);
+        }, LIVE_RELOAD_DELAY);
+      });
+      // War alerts reach every stream, whatever its world
+      eventSource.addEventListener('war', (e) => {
+        if (JSON.parse(e.data).worldId === world) setRefreshKey(key => key + 1);
+      });
+    }
+
+    return () => {
+      cancelled = true;
+      clearTimeout(reloadTimer);
+      if (eventSource) eventSource.close();
+    };
+  }, [world, pvpWindow]);
+
+  const renderGuild = (guild) => {
+    if (guild === null || guild === undefined) return <span className="pvp-guild unknown" title="Guild not looked up yet">?</span>;
+    if (!guild) return null;
+    return (
+      <button className="pvp-guild" onClick={() => onSelectGuild(guild)} title={`Show ${guild} members`}>
+        {guild}
+      </button>
+    );
+  };
+
+  return (
+    <div className="stats-view">
+      <div className="controls">
+        <div className="control-group">
+          <label className="control-label">
+            <i className="fa fa-globe"></i> Server
+          </label>
+          <select value={world} onChange={e => onWorldChange(e.target.value)}>
+            {worlds.map(s => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="control-group">
+          <label className="control-label">
+            <i className="fa fa-calendar"></i> Window
+          </label>
+          <select value={pvpWindow} onChange={e => setPvpWindow(e.target.value)}>
+            {PVP_WINDOWS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && <div className="guild-error">Could not load PvP data: {error}</div>}
+
+      <div className="stats-grid">
+        <section className="stats-panel stats-panel-wide">
+          <h3>🗡️ Top player killers</h3>
+          {!leaderboard && !error && <p className="loading-text">Loading killers...</p>}
+          {leaderboard && leaderboard.killers.length === 0 && <p className="chart-empty">No PvP deaths in this window</p>}
+          {leaderboard && leaderboard.killers.length > 0 && (
+            <table className="guild-members">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Killer</th>
+                  <th>Guild</th>
+                  <th title="Deaths they took part in (final blow or assist)">Frags</th>
+                  <th>Final blows</th>
+                  <th>Avg. victim level</th>
+                  <th>Victim guilds</th>
+                </tr>
+              </thead>
+              <tbody>
+                {leaderboard.killers.map((killer, i) => (
+                  <tr key={killer.name}>
+                    <td>{i + 1}</td>
+                    <td>{killer.name}</td>
+                    <td>{renderGuild(killer.guild)}</td>
+                    <td>{killer.kills}</td>
+                    <td>{killer.finalBlows}</td>
+                    <td>{killer.averageVictimLevel}</td>
+                    <td>{killer.victimGuilds.map(g => `${g.name} (${g.count})`).join(', ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        <GuildWars world={world} pvpWindow={pvpWindow} refreshKey={refreshKey} onSelectGuild={onSelectGuild} />
+
+        <section className="stats-panel stats-panel-wide">
+          <h3>⚔️ Kill feed</h3>
+          {feed.length === 0 && <p className="chart-empty">No PvP deaths in this window</p>}
+          <ul className="kill-feed">
+            {feed.map(death => (
+              <li key={death.id}>
+                <span className="kill-feed-killers">
+                  {getPlayerKillerCredits(death.killers).map(killer => (
+                    <span key={killer.name} className={killer.finalBlow ? 'final-blow' : ''}>
+                      {killer.name} {renderGuild(killer.guild)}
+                    </span>
+                  ))}
+                </span>
+                <span className="kill-feed-arrow">→</span>
+                <span className="kill-feed-victim">
+                  💀 <a href={death.playerLink} target="_blank" rel="noopener noreferrer">{death.player}</a>{' '}
+                  ({death.level}{death.vocation && death.vocation !== 'Unknown' ? ` ${death.vocation}` : ''}) {renderGuild(death.guild)}
+                </span>
+                <span className="kill-feed-time" title={`Server time: ${death.time}`}>{formatKillTime(death)}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default PvpView;
@@ -0,0 +1,176 @@
+import { useState, useEffect, useRef } from 'react';
+import { ColumnChart, PieChart, BarList } from './Charts';
+import CreatureLeaderboard from './CreatureLeaderboard';
+
+const STATS_WINDOWS = [
+  { value: '6h', label: 'Last 6 hours' },
+  { value: '24h', label: 'Last 24 hours' },
+  { value: '3d', label: 'Last 3 days' },
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' }
+];
+
+// New deaths arrive in bursts (one poll = several deaths): reload once the burst is over
+const LIVE_RELOAD_DELAY = 2000;
+// Reload anyway now and then so the window keeps moving on quiet worlds
+const STATS_REFRESH_INTERVAL = 60000;
+
+const formatBucket = (point, bucket) => {
+  const date = new Date(point.start);
+  return bucket === 'day'
+    ? date.toLocaleDateString(undefined, { day: '2-digit', month: '2-digit' })
+    : date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+};
+
+// Statistics dashboard (/stats) for one world, from /api/stats
+function StatsView({ worlds, world, onWorldChange }) {
+  const [statsWindow, setStatsWindow] = useState('24h');
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const requestRef = useRef(0);
+
+  const loadStats = () => {
+    const request = ++requestRef.current;
+    return fetch(`/api/stats?world=${encodeURIComponent(world)}&window=${statsWindow}`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        return data;
+      })
+      .then(data => {
+        // Ignore answers for a world/window the user already left
+        if (request !== requestRef.current) return;
+        setStats(data);
+        setError(null);
+        setUpdatedAt(new Date());
+      })
+      .catch(err => {
+        if (request === requestRef.current) setError(err.message);
+      });
+  };
+
+  useEffect(() => {
+    setStats(null);
+    loadStats();
+    const interval = setInterval(loadStats, STATS_REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [world, statsWindow]);
+
+  // Live: every new death of the world triggers a reload
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') return;
+
+    let reloadTimer = null;
+    const eventSource = new EventSource(`/api/deaths/stream?world=${encodeURIComponent(world)}&limit=1`);
+    eventSource.addEventListener('death', () => {
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(loadStats, LIVE_RELOAD_DELAY);
+    });
+
+    return () => {
+      clearTimeout(reloadTimer);
+      eventSource.close();
+    };
+  }, [world, statsWindow]);
+
+  const worldName = worlds.find(w => w.id === world)?.name || `World ${world}`;
+  const labelEvery = stats ? Math.max(1, Math.ceil(stats.timeline.length / 12)) : 1;
+
+  return (
+    <div className="stats-view">
+      <div className="controls">
+        <div className="control-group">
+          <label className="control-label">
+            <i className="fa fa-globe"></i> Server
+          </label>
+          <select value={world} onChange={e => onWorldChange(e.target.value)}>
+            {worlds.map(s => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="control-group">
+          <label className="control-label">
+            <i className="fa fa-calendar"></i> Window
+          </label>
+          <select value={statsWindow} onChange={e => setStatsWindow(e.target.value)}>
+            {STATS_WINDOWS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {updatedAt && (
+          <div className="control-group">
+            <label className="control-label">
+              <i className="fa fa-refresh"></i> Live
+            </label>
+            <span className="stats-updated">Updated {updatedAt.toLocaleTimeString()}</span>
+          </div>
+        )}
+      </div>
+
+      {error && <div className="guild-error">Could not load statistics: {error}</div>}
+      {!stats && !error && (
+        <div className="loading-state">
+          <div className="loading-spinner"></div>
+          <p className="loading-text">Loading statistics for {worldName}...</p>
+        </div>
+      )}
+
+      {stats && (
+        <>
+          <div className="stats-summary">
+            <div className="stats-card"><strong>{stats.total}</strong> deaths</div>
+            <div className="stats-card"><strong>{stats.perHour}</strong> per hour</div>
+            <div className="stats-card"><strong>{stats.pvp}</strong> PvP deaths</div>
+            <div className="stats-card"><strong>{stats.averageLevel ?? '-'}</strong> average level</div>
+          </div>
+
+          <div className="stats-grid">
+            <section className="stats-panel stats-panel-wide">
+              <h3>💀 Deaths per {stats.bucket}</h3>
+              <ColumnChart
+                labelEvery={labelEvery}
+                data={stats.timeline.map(point => ({
+                  label: formatBucket(point, stats.bucket),
+                  value: point.count,
+                  title: `${new Date(point.start).toLocaleString()}: ${point.count} deaths`
+                }))}
+              />
+            </section>
+
+            <section className="stats-panel">
+              <h3>⚔️ Vocations</h3>
+              <PieChart data={stats.vocations.map(v => ({ label: v.name, value: v.count }))} />
+            </section>
+
+            <section className="stats-panel">
+              <h3>📊 Levels</h3>
+              <ColumnChart
+                labelEvery={Math.max(1, Math.ceil(stats.levelBrackets.length / 8))}
+                data={stats.levelBrackets.map(b => ({ label: String(b.min), value: b.count, title: `Level ${b.name}: ${b.count} deaths` }))}
+              />
+            </section>
+
+            <section className="stats-panel">
+              <h3>🐉 Top creatures</h3>
+              <BarList data={stats.creatures.map(c => ({ label: c.name, value: c.count }))} emptyText="No creature kills" />
+            </section>
+
+            <section className="stats-panel">
+              <h3>🗡️ Top player killers</h3>
+              <BarList data={stats.playerKillers.map(p => ({ label: p.name, value: p.count }))} emptyText="No PvP deaths" />
+            </section>
+
+            <CreatureLeaderboard world={world} statsWindow={statsWindow} refreshKey={updatedAt?.getTime()} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default StatsView;
@@ -0,0 +1,125 @@
+import { useState, useEffect } from 'react';
+
+// Watchlist overlay: watched characters/guilds are kept on the server for every viewer
+// Adding and removing entries needs the server's admin token
+function WatchlistView({ entries, onAdd, onRemove, adminToken, onAdminTokenChange, onClose }) {
+  const [type, setType] = useState('character');
+  const [name, setName] = useState('');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Close on Escape
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const handleRemove = (id) => {
+    setError(null);
+    onRemove(id).catch(err => setError(err.message));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    setSaving(true);
+    setError(null);
+    try {
+      await onAdd(type, name.trim(), note.trim());
+      setName('');
+      setNote('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="guild-overlay" onClick={onClose}>
+      <div className="guild-view" onClick={e => e.stopPropagation()}>
+        <div className="guild-view-header">
+          <h2><i className="fa fa-eye"></i> Watchlist</h2>
+          <button className="guild-close-btn" onClick={onClose} title="Close">
+            <i className="fa fa-times"></i>
+          </button>
+        </div>
+
+        <p className="guild-description">
+          Deaths of watched characters (or members of watched guilds) are pinned and highlighted on every world.
+        </p>
+
+        <label className="watchlist-token">
+          <i className="fa fa-key"></i>
+          <input
+            type="password"
+            value={adminToken}
+            onChange={e => onAdminTokenChange(e.target.value)}
+            placeholder="Admin token (needed to change the watchlist)"
+            autoComplete="off"
+          />
+        </label>
+
+        <form className="watchlist-form" onSubmit={handleSubmit}>
+          <select value={type} onChange={e => setType(e.target.value)}>
+            <option value="character">Character</option>
+            <option value="guild">Guild</option>
+          </select>
+          <input
+            value={name}
+            onChange={e => setName(e.target.value)}
+            placeholder={type === 'guild' ? 'Guild name' : 'Character name'}
+            maxLength={50}
+          />
+          <input
+            value={note}
+            onChange={e => setNote(e.target.value)}
+            placeholder="Note (optional)"
+            maxLength={200}
+          />
+          <button className="refresh-btn" type="submit" disabled={saving || !name.trim()}>
+            <i className="fa fa-plus"></i> Watch
+          </button>
+        </form>
+
+        {error && <div className="guild-error">Could not update the watchlist: {error}</div>}
+
+        {entries.length === 0 ? (
+          <p className="loading-text">Nothing watched yet.</p>
+        ) : (
+          <table className="guild-members">
+            <thead>
+              <tr>
+                <th>Type</th>
+                <th>Name</th>
+                <th>Note</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.id}>
+                  <td>{entry.type === 'guild' ? '🏰 Guild' : '👤 Character'}</td>
+                  <td>{entry.name}</td>
+                  <td className="guild-member-title">{entry.note}</td>
+                  <td>
+                    <button className="watchlist-remove-btn" onClick={() => handleRemove(entry.id)} title={`Stop watching ${entry.name}`}>
+                      <i className="fa fa-trash"></i>
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default WatchlistView;
@@ -0,0 +1,113 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createAlertRules, normalizeConditions, matchesConditions } from '../lib/alert-rules.js';
+
+const DEATH = {
+  player: 'Sir Thorn',
+  level: 512,
+  vocation: 'Master Sorcerer',
+  guild: 'Red Rose',
+  residence: 'Thais',
+  accountStatus: 'VIP Account',
+  cause: 'a fire elemental summoned by Dark Mage and by Kill Bill',
+  killers: [
+    { name: 'a fire elemental', type: 'creature', finalBlow: true, summonedBy: 'Dark Mage' },
+    { name: 'Kill Bill', type: 'player', finalBlow: false, summonedBy: null }
+  ],
+  pvp: true
+};
+
+const ALERT = { worldId: '20', death: DEATH };
+
+let dataDir;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-rules-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('normalizeConditions', () => {
+  test('cleans up lists, levels and patterns', () => {
+    assert.deepEqual(
+      normalizeConditions({ worlds: 20, vocations: ['sorcerer', ' '], minLevel: '300', cause: 'dragon|demon', pvp: false }),
+      { worlds: ['20'], vocations: ['sorcerer'], minLevel: 300, cause: 'dragon|demon', pvp: false }
+    );
+  });
+
+  test('rejects invalid conditions', () => {
+    assert.throws(() => normalizeConditions({ level: 5 }), /Unknown conditions: level/);
+    assert.throws(() => normalizeConditions({ minLevel: -1 }), /minLevel must be a non-negative integer/);
+    assert.throws(() => normalizeConditions({ minLevel: 500, maxLevel: 100 }), /minLevel must not be above maxLevel/);
+    assert.throws(() => normalizeConditions({ killer: '(' }), /killer is not a valid regular expression/);
+    assert.throws(() => normalizeConditions({ pvp: 'yes' }), /pvp must be true or false/);
+  });
+});
+
+describe('matchesConditions', () => {
+  test('matches every kind of condition', () => {
+    const match = (conditions) => matchesConditions(normalizeConditions(conditions), ALERT);
+
+    assert.equal(match({}), true);
+    assert.equal(match({ worlds: ['20'], minLevel: 500 }), true); // "all deaths above 500 on Tormentum"
+    assert.equal(match({ guilds: ['red rose'] }), true); // "any death of guild X"
+    assert.equal(match({ pvp: true }), true); // "deaths by player killers only"
+    assert.equal(match({ accountStatus: 'vip', vocations: ['sorcerer'], minLevel: 300 }), true); // "VIP sorcerers above 300"
+    assert.equal(match({ residences: ['thais'], cause: 'fire elemental', killer: '^dark mage$' }), true);
+
+    assert.equal(match({ worlds: ['11'] }), false);
+    assert.equal(match({ maxLevel: 500 }), false);
+    assert.equal(match({ vocations: ['knight'] }), false);
+    assert.equal(match({ accountStatus: 'free' }), false);
+    assert.equal(match({ killer: 'dragon' }), false);
+    assert.equal(match({ pvp: false }), false);
+  });
+});
+
+describe('createAlertRules', () => {
+  test('evaluates enabled rules against deaths', async () => {
+    const rules = createAlertRules({ dataDir });
+    const high = rules.add({ name: 'High levels', conditions: { minLevel: 500 }, targets: ['discord:hunts'] });
+    rules.add({ name: 'Knights', conditions: { vocations: ['knight'] }, targets: ['sse'] });
+    const disabled = rules.add({ name: 'Everything', enabled: false, targets: ['sse'] });
+
+    assert.deepEqual(rules.evaluate(ALERT).map(rule => rule.id), [high.id]);
+
+    rules.update(disabled.id, { enabled: true });
+    assert.deepEqual(rules.evaluate(ALERT).map(rule => rule.name), ['High levels', 'Everything']);
+    await rules.flush();
+  });
+
+  test('validates rules and targets', () => {
+    const rules = createAlertRules({ dataDir, isKnownTarget: (target) => target === 'sse' });
+
+    assert.throws(() => rules.add({ name: '', targets: ['sse'] }), /name must be/);
+    assert.throws(() => rules.add({ name: 'x', targets: [] }), /targets must be a non-empty array/);
+    assert.throws(() => rules.add({ name: 'x', targets: ['discord:gone'] }), /Unknown notification targets: discord:gone/);
+    assert.throws(() => rules.add({ name: 'x', targets: ['sse'], conditions: { pvp: 1 } }), /pvp must be true or false/);
+    assert.equal(rules.update('missing', { name: 'y' }), null);
+  });
+
+  test('persists rules and keeps configured rules read-only', async () => {
+    const staticRules = [{ id: 'discord:hunts', name: 'hunts', enabled: true, conditions: {}, targets: ['discord:hunts'] }];
+    const rules = createAlertRules({ dataDir, staticRules });
+    const rule = rules.add({ name: 'PK', conditions: { pvp: true }, targets: ['sse'] });
+    rules.update(rule.id, { conditions: { pvp: true, minLevel: 100 } });
+    await rules.flush();
+
+    assert.throws(() => rules.remove('discord:hunts'), /cannot be deleted/);
+    assert.throws(() => rules.update('discord:hunts', { enabled: false }), /cannot be edited/);
+
+    const reloaded = createAlertRules({ dataDir, staticRules });
+    assert.deepEqual(reloaded.list().map(r => [r.name, r.readOnly || false]), [['hunts', true], ['PK', false]]);
+    assert.deepEqual(reloaded.get(rule.id).conditions, { pvp: true, minLevel: 100 });
+    assert.equal(reloaded.remove(rule.id), true);
+    assert.equal(reloaded.size(), 1);
+    await reloaded.flush();
+  });
+});
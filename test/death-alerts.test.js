@@ -0,0 +1,90 @@
+import { test, describe, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDeathAlerts } from '../lib/death-alerts.js';
+import { createNotificationHub } from '../lib/notification-hub.js';
+import { createWatchlist } from '../lib/watchlist.js';
+import { createAlertRules } from '../lib/alert-rules.js';
+
+// As first stored: the character was not looked up in that poll
+const DEATH = {
+  id: '20:sir thorn:07.10.2025, 22:50:28',
+  player: 'Sir Thorn',
+  level: 512,
+  vocation: 'Unknown',
+  residence: 'Loading...',
+  accountStatus: 'Loading...',
+  guild: '',
+  cause: 'a dragon lord',
+  killers: [{ name: 'a dragon lord', type: 'creature', finalBlow: true, summonedBy: null }],
+  pvp: false
+};
+
+const ENRICHED = { ...DEATH, vocation: 'Master Sorcerer', residence: 'Thais', accountStatus: 'VIP Account', guild: 'Red Rose' };
+
+let dataDir;
+let sent; // [channel, alert type, player]
+let watchlist;
+let alertRules;
+let deathAlerts;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'death-alerts-'));
+  sent = [];
+  const notificationHub = createNotificationHub();
+  for (const name of ['sse', 'discord:main', 'webhook:crm']) {
+    notificationHub.register(name, { send: async (alert) => sent.push([name, alert.type, alert.death.player]) });
+  }
+  watchlist = createWatchlist({ dataDir });
+  alertRules = createAlertRules({ dataDir });
+  deathAlerts = createDeathAlerts({
+    watchlist,
+    alertRules,
+    notificationHub,
+    matchTargets: (alert) => alert.death.level >= 500 ? ['webhook:crm'] : []
+  });
+});
+
+afterEach(async () => {
+  await watchlist.flush();
+  await alertRules.flush();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('createDeathAlerts', () => {
+  test('routes a death to rules it only matches once its character data arrives, once per target', async () => {
+    alertRules.add({ name: 'VIP sorcerers', conditions: { vocations: ['sorcerer'], accountStatus: 'vip', minLevel: 300 }, targets: ['discord:main'] });
+
+    await deathAlerts.route('20', [DEATH]);
+    assert.deepEqual(sent, [['webhook:crm', 'death', 'Sir Thorn']]);
+
+    await deathAlerts.route('20', [ENRICHED]);
+    await deathAlerts.route('20', [ENRICHED]);
+    assert.deepEqual(sent, [['webhook:crm', 'death', 'Sir Thorn'], ['discord:main', 'death', 'Sir Thorn']]);
+  });
+
+  test('sends watched deaths to every channel', async () => {
+    watchlist.add({ type: 'character', name: 'Sir Thorn' });
+
+    await deathAlerts.route('20', [DEATH]);
+    await deathAlerts.route('20', [ENRICHED]);
+    assert.deepEqual(sent.map(([name, type]) => [name, type]), [['sse', 'watch'], ['discord:main', 'watch'], ['webhook:crm', 'watch']]);
+  });
+
+  test('fans out a watched guild\'s death once a later poll brings the guild', async () => {
+    watchlist.add({ type: 'guild', name: 'Red Rose' });
+
+    await deathAlerts.route('20', [DEATH]); // Not looked up yet: only the level subscription matches
+    assert.deepEqual(sent, [['webhook:crm', 'death', 'Sir Thorn']]);
+
+    await deathAlerts.route('20', [ENRICHED]);
+    await deathAlerts.route('20', [ENRICHED]);
+    assert.deepEqual(sent.slice(1), [['sse', 'watch', 'Sir Thorn'], ['discord:main', 'watch', 'Sir Thorn']]);
+  });
+});
@@ -0,0 +1,62 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDeathCause, getPlayerKillers, getPlayerKillerCredits } from '../lib/death-cause.js';
+
+describe('parseDeathCause', () => {
+  test('single creature', () => {
+    assert.deepEqual(parseDeathCause('a dragon lord', []), {
+      killers: [{ name: 'a dragon lord', type: 'creature', finalBlow: true, summonedBy: null }],
+      pvp: false
+    });
+  });
+
+  test('final blow and assists', () => {
+    const { killers, pvp } = parseDeathCause('Kill Bill, a demon and by Dark Mage', ['Kill Bill', 'Dark Mage']);
+    assert.deepEqual(killers.map(k => [k.name, k.type, k.finalBlow]), [
+      ['Kill Bill', 'player', true],
+      ['a demon', 'creature', false],
+      ['Dark Mage', 'player', false]
+    ]);
+    assert.equal(pvp, true);
+  });
+
+  test('summons count as PvP when a player summoned them', () => {
+    const { killers, pvp } = parseDeathCause('a fire elemental summoned by Dark Mage', ['Dark Mage']);
+    assert.deepEqual(killers, [{ name: 'a fire elemental', type: 'creature', finalBlow: true, summonedBy: 'Dark Mage' }]);
+    assert.equal(pvp, true);
+  });
+
+  test('environment damage', () => {
+    assert.deepEqual(parseDeathCause('fire', []).killers[0].type, 'environment');
+    assert.deepEqual(parseDeathCause('drowning and by a rat', []).killers.map(k => k.type), ['environment', 'creature']);
+    assert.equal(parseDeathCause('energy', []).pvp, false);
+  });
+
+  test('unlinked capitalized names are bosses when links are known', () => {
+    assert.equal(parseDeathCause('Ferumbras', []).killers[0].type, 'creature');
+    // Without link info (old history) capitalized names are guessed to be players
+    assert.equal(parseDeathCause('Ferumbras').killers[0].type, 'player');
+  });
+
+  test('empty cause', () => {
+    assert.deepEqual(parseDeathCause(''), { killers: [], pvp: false });
+  });
+});
+
+describe('getPlayerKillers', () => {
+  test('lists players and summoners once', () => {
+    const { killers } = parseDeathCause('a fire elemental summoned by Dark Mage, Dark Mage and by a demon', ['Dark Mage']);
+    assert.deepEqual(getPlayerKillers(killers), ['Dark Mage']);
+  });
+});
+
+describe('getPlayerKillerCredits', () => {
+  test('credits a summon\'s final blow and guild to its summoner', () => {
+    const { killers } = parseDeathCause('a fire elemental summoned by Dark Mage and by Kill Bill', ['Kill Bill']);
+    killers[0].summonerGuild = 'Bounty Hunters';
+    assert.deepEqual(getPlayerKillerCredits(killers), [
+      { name: 'Dark Mage', finalBlow: true, guild: 'Bounty Hunters' },
+      { name: 'Kill Bill', finalBlow: false, guild: undefined }
+    ]);
+  });
+});
@@ -0,0 +1,111 @@
+import { test, describe, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { EventEmitter, once } from 'events';
+import WebSocket from 'ws';
+import { attachDeathSocket } from '../lib/death-socket.js';
+
+let worldPoller;
+let deathSocket;
+let server;
+let url;
+
+before(() => {
+  mock.method(console, 'log', () => {}); // Connection logs would interleave with the test runner's output
+});
+
+beforeEach(async () => {
+  // The socket only listens to the poller's events, so a bare emitter stands in for it
+  worldPoller = Object.assign(new EventEmitter(), { getStatus: () => [] });
+  server = http.createServer();
+  deathSocket = attachDeathSocket(server, {
+    worldPoller,
+    deathStore: { size: () => 0 },
+    onWorldSubscribed: (worldId) => ['20', '11'].includes(worldId),
+    decorateDeath: (death) => ({ ...death, decorated: true }),
+    heartbeatInterval: 50
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  url = `ws://localhost:${server.address().port}/api/ws`;
+});
+
+afterEach(async () => {
+  deathSocket.close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+// Connect and read JSON messages one at a time (after the welcome)
+async function connect(options) {
+  const ws = new WebSocket(url, options);
+  const messages = [];
+  const waiting = [];
+  ws.on('message', (raw) => {
+    const message = JSON.parse(raw.toString());
+    if (waiting.length > 0) waiting.shift()(message);
+    else messages.push(message);
+  });
+  ws.next = () => messages.length > 0 ? Promise.resolve(messages.shift()) : new Promise(resolve => waiting.push(resolve));
+  // Next message of a type, skipping heartbeat pings
+  ws.nextOf = async (type) => {
+    for (;;) {
+      const message = await ws.next();
+      if (message.type === type) return message;
+    }
+  };
+  await once(ws, 'open');
+  assert.equal((await ws.next()).type, 'welcome');
+  return ws;
+}
+
+describe('attachDeathSocket', () => {
+  test('pushes deaths matching a world, character or guild subscription', async () => {
+    const ws = await connect();
+    ws.send(JSON.stringify({ type: 'subscribe', worlds: ['11', 'nowhere'], characters: ['SIR THORN'], guilds: ['Red Rose'] }));
+
+    assert.deepEqual(await ws.nextOf('error'), { type: 'error', message: 'Unknown worlds: nowhere' });
+    assert.deepEqual((await ws.nextOf('subscribed')).subscriptions, {
+      worlds: ['11'], characters: ['sir thorn'], guilds: ['red rose']
+    });
+
+    worldPoller.emit('deaths', '20', [
+      { player: 'Sir Thorn', guild: '' },
+      { player: 'Someone', guild: 'red rose' },
+      { player: 'Nobody', guild: 'Other' }
+    ]);
+    worldPoller.emit('deaths', '11', [{ player: 'Anyone', guild: '' }]);
+
+    const deaths = [await ws.nextOf('death'), await ws.nextOf('death'), await ws.nextOf('death')];
+    assert.deepEqual(deaths.map(message => [message.worldId, message.death.player, message.death.decorated]), [
+      ['20', 'Sir Thorn', true],
+      ['20', 'Someone', true],
+      ['11', 'Anyone', true]
+    ]);
+
+    ws.send(JSON.stringify({ type: 'unsubscribe', worlds: ['11'] }));
+    assert.deepEqual((await ws.nextOf('subscribed')).subscriptions.worlds, []);
+    ws.close();
+  });
+
+  test('answers messages that are not objects with an error', async () => {
+    const ws = await connect();
+    for (const payload of ['null', '5', '[]']) {
+      ws.send(payload);
+      assert.deepEqual(await ws.nextOf('error'), { type: 'error', message: 'Invalid message' });
+    }
+    ws.send(JSON.stringify({ type: 'ping' }));
+    assert.equal((await ws.nextOf('pong')).type, 'pong'); // Still connected
+    ws.close();
+  });
+
+  test('pings every connection and drops the ones that stop answering', async () => {
+    const healthy = await connect();
+    const dead = await connect({ autoPong: false });
+    assert.equal(deathSocket.getClientCount(), 2);
+
+    await once(dead, 'close');
+    while (deathSocket.getClientCount() > 1) await healthy.nextOf('ping');
+    assert.equal((await healthy.nextOf('ping')).type, 'ping'); // Still answering protocol pings
+    assert.equal(deathSocket.getClientCount(), 1);
+    healthy.close();
+  });
+});
@@ -0,0 +1,183 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeDeathStats, computeCreatureLeaderboard, computeKillerLeaderboard, isKilledByCreature } from '../lib/death-stats.js';
+import { parseRubinOTTime } from '../lib/death-time.js';
+
+const TIME_ZONE = 'America/Sao_Paulo';
+
+function death(time, fields = {}) {
+  return {
+    worldId: '20',
+    player: 'Someone',
+    level: 250,
+    vocation: 'Elite Knight',
+    residence: 'Thais',
+    accountStatus: 'VIP Account',
+    cause: 'a dragon lord',
+    killers: [{ name: 'a dragon lord', type: 'creature', finalBlow: true, summonedBy: null }],
+    pvp: false,
+    time,
+    timestampMs: parseRubinOTTime(time, TIME_ZONE),
+    ...fields
+  };
+}
+
+const DEATHS = [
+  death('07.10.2025, 22:10:00'),
+  death('07.10.2025, 22:50:28', { level: 512, vocation: 'Master Sorcerer', residence: 'Venore' }),
+  death('08.10.2025, 00:05:00', {
+    worldId: '11',
+    level: 90,
+    vocation: 'Unknown',
+    accountStatus: 'Free Account',
+    cause: 'Kill Bill and by a dragon lord',
+    killers: [
+      { name: 'Kill Bill', type: 'player', finalBlow: true, summonedBy: null },
+      { name: 'a dragon lord', type: 'creature', finalBlow: false, summonedBy: null }
+    ],
+    pvp: true
+  }),
+  death('09.10.2025, 12:00:00') // Outside the window
+];
+
+const WINDOW = {
+  from: parseRubinOTTime('07.10.2025, 22:00:00', TIME_ZONE),
+  to: parseRubinOTTime('08.10.2025, 00:59:59', TIME_ZONE),
+  timeZone: TIME_ZONE
+};
+
+describe('computeDeathStats', () => {
+  test('counts deaths per hour on the server clock', () => {
+    const stats = computeDeathStats(DEATHS, WINDOW);
+
+    assert.equal(stats.total, 3);
+    assert.equal(stats.pvp, 1);
+    assert.equal(stats.averageLevel, 284);
+    assert.equal(stats.perHour, 1);
+    assert.deepEqual(stats.timeline.map(point => point.count), [2, 0, 1]);
+    assert.equal(stats.timeline[0].timestamp, '2025-10-08T01:00:00.000Z'); // 22:00 in Sao Paulo
+  });
+
+  test('breaks deaths down by vocation, level, residence, account and cause', () => {
+    const stats = computeDeathStats(DEATHS, { ...WINDOW, bracketSize: 250 });
+
+    assert.deepEqual(stats.worlds, [{ worldId: '20', count: 2 }, { worldId: '11', count: 1 }]);
+    assert.deepEqual(stats.vocations.map(v => [v.name, v.count]), [['Elite Knight', 1], ['Master Sorcerer', 1], ['Unknown', 1]]);
+    assert.deepEqual(stats.levelBrackets, [
+      { name: '0-249', min: 0, max: 249, count: 1 },
+      { name: '250-499', min: 250, max: 499, count: 1 },
+      { name: '500-749', min: 500, max: 749, count: 1 }
+    ]);
+    assert.deepEqual(stats.residences.map(r => r.name), ['Thais', 'Venore']);
+    assert.deepEqual(computeDeathStats(DEATHS, WINDOW).levelBrackets.map(b => b.count), [1, 0, 1, 0, 0, 1]);
+    assert.deepEqual(stats.accountStatuses.map(a => [a.name, a.count]), [['VIP Account', 2], ['Free Account', 1]]);
+    assert.deepEqual(stats.causes, [
+      { name: 'a dragon lord', type: 'creature', count: 2 },
+      { name: 'Kill Bill', type: 'player', count: 1 }
+    ]);
+    // Killer leaderboards count assists too
+    assert.deepEqual(stats.creatures, [{ name: 'a dragon lord', count: 3 }]);
+    assert.deepEqual(stats.playerKillers, [{ name: 'Kill Bill', count: 1 }]);
+  });
+
+  test('daily buckets start at server midnight', () => {
+    const stats = computeDeathStats(DEATHS, {
+      ...WINDOW,
+      to: parseRubinOTTime('09.10.2025, 23:00:00', TIME_ZONE),
+      bucket: 'day'
+    });
+
+    assert.deepEqual(stats.timeline.map(point => [point.timestamp, point.count]), [
+      ['2025-10-07T03:00:00.000Z', 2],
+      ['2025-10-08T03:00:00.000Z', 1],
+      ['2025-10-09T03:00:00.000Z', 1]
+    ]);
+  });
+
+  test('rejects unknown buckets and oversized timelines', () => {
+    assert.throws(() => computeDeathStats([], { ...WINDOW, bucket: 'week' }), /bucket must be one of/);
+    assert.throws(() => computeDeathStats([], { from: 0, to: 90 * 24 * 60 * 60 * 1000, bucket: 'hour' }), /Too many hour buckets/);
+  });
+});
+
+describe('computeCreatureLeaderboard', () => {
+  test('ranks creatures with victim levels and high-level share', () => {
+    const deaths = [
+      ...DEATHS,
+      death('07.10.2025, 23:30:00', {
+        level: 800,
+        cause: 'Ferumbras',
+        killers: [{ name: 'Ferumbras', type: 'creature', finalBlow: true, summonedBy: null }]
+      })
+    ];
+    const leaderboard = computeCreatureLeaderboard(deaths, { ...WINDOW, highLevel: 500 });
+
+    assert.deepEqual(leaderboard, [
+      {
+        name: 'a dragon lord', boss: false, deaths: 3, finalBlows: 2, highLevelDeaths: 1,
+        lastDeathAt: parseRubinOTTime('08.10.2025, 00:05:00', TIME_ZONE), averageLevel: 284, highLevelShare: 0.333
+      },
+      {
+        name: 'Ferumbras', boss: true, deaths: 1, finalBlows: 1, highLevelDeaths: 1,
+        lastDeathAt: parseRubinOTTime('07.10.2025, 23:30:00', TIME_ZONE), averageLevel: 800, highLevelShare: 1
+      }
+    ]);
+    assert.equal(computeCreatureLeaderboard(deaths, { ...WINDOW, limit: 1 }).length, 1);
+  });
+
+  test('matches deaths for the drill-down', () => {
+    assert.equal(isKilledByCreature(DEATHS[2], 'A Dragon Lord'), true);
+    assert.equal(isKilledByCreature(DEATHS[2], 'Kill Bill'), false);
+  });
+});
+
+describe('computeKillerLeaderboard', () => {
+  test('attributes frags to every player killer with their latest guild', () => {
+    const pvpDeath = (time, victim, killers) => death(time, {
+      player: victim.player,
+      level: victim.level,
+      guild: victim.guild,
+      cause: killers.map(killer => killer.name).join(' and by '),
+      killers: killers.map((killer, i) => ({ type: 'player', finalBlow: i === 0, summonedBy: null, ...killer })),
+      pvp: true
+    });
+    const deaths = [
+      ...DEATHS, // Kill Bill at 00:05, guild not looked up yet
+      pvpDeath('07.10.2025, 22:20:00', { player: 'Victim A', level: 300, guild: 'Red Rose' }, [
+        { name: 'Kill Bill', guild: 'Old Guild' },
+        { name: 'Sidekick', guild: '' }
+      ]),
+      pvpDeath('07.10.2025, 23:40:00', { player: 'Victim B', level: 500, guild: 'Red Rose' }, [
+        { name: 'Sidekick', guild: '' },
+        { name: 'Kill Bill', guild: 'Bounty Hunters' }
+      ])
+    ];
+
+    assert.deepEqual(computeKillerLeaderboard(deaths, WINDOW), [
+      {
+        name: 'Kill Bill', guild: 'Bounty Hunters', kills: 3, finalBlows: 2,
+        lastKillAt: parseRubinOTTime('08.10.2025, 00:05:00', TIME_ZONE),
+        averageVictimLevel: 297, victimGuilds: [{ name: 'Red Rose', count: 2 }]
+      },
+      {
+        name: 'Sidekick', guild: '', kills: 2, finalBlows: 1,
+        lastKillAt: parseRubinOTTime('07.10.2025, 23:40:00', TIME_ZONE),
+        averageVictimLevel: 400, victimGuilds: [{ name: 'Red Rose', count: 2 }]
+      }
+    ]);
+  });
+
+  test('credits kills by summons to their summoner', () => {
+    const deaths = [death('07.10.2025, 22:30:00', {
+      cause: 'a fire elemental summoned by Dark Mage',
+      killers: [{ name: 'a fire elemental', type: 'creature', finalBlow: true, summonedBy: 'Dark Mage', summonerGuild: 'Red Rose' }],
+      pvp: true
+    })];
+
+    assert.deepEqual(computeKillerLeaderboard(deaths, WINDOW), [{
+      name: 'Dark Mage', guild: 'Red Rose', kills: 1, finalBlows: 1,
+      lastKillAt: parseRubinOTTime('07.10.2025, 22:30:00', TIME_ZONE),
+      averageVictimLevel: 250, victimGuilds: []
+    }]);
+  });
+});
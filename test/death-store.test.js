@@ -0,0 +1,142 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDeathStore } from '../lib/death-store.js';
+
+const PVP_DEATH = {
+  player: 'Sir Thorn',
+  level: 512,
+  vocation: 'Elite Knight',
+  residence: 'Thais',
+  accountStatus: 'VIP Account',
+  guild: 'Red Rose',
+  cause: 'Kill Bill and by a dragon lord',
+  killers: [
+    { name: 'Kill Bill', type: 'player', finalBlow: true, summonedBy: null },
+    { name: 'a dragon lord', type: 'creature', finalBlow: false, summonedBy: null }
+  ],
+  pvp: true,
+  time: '07.10.2025, 22:50:28'
+};
+
+const PVE_DEATH = {
+  ...PVP_DEATH,
+  player: 'Lady Moss',
+  cause: 'a dragon lord',
+  killers: [{ name: 'a dragon lord', type: 'creature', finalBlow: true, summonedBy: null }],
+  pvp: false,
+  time: '07.10.2025, 22:40:00'
+};
+
+let dataDir;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'death-store-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('createDeathStore', () => {
+  test('filters history by pvp', async () => {
+    const store = createDeathStore({ dataDir });
+    store.record('20', [PVP_DEATH, PVE_DEATH]);
+
+    assert.deepEqual(store.query({ filters: { pvp: true } }).deaths.map(d => d.player), ['Sir Thorn']);
+    assert.deepEqual(store.query({ filters: { pvp: false } }).deaths.map(d => d.player), ['Lady Moss']);
+    assert.equal(store.query().total, 2);
+    await store.flush();
+  });
+
+  test('fills in killer guilds looked up after the death was stored', async () => {
+    const store = createDeathStore({ dataDir });
+    store.record('20', [PVP_DEATH]);
+
+    const rescraped = {
+      ...PVP_DEATH,
+      killers: [{ ...PVP_DEATH.killers[0], guild: 'Bounty Hunters' }, PVP_DEATH.killers[1]]
+    };
+    const updated = [];
+    assert.deepEqual(store.record('20', [rescraped], { onUpdate: death => updated.push(death) }), []); // Not a new death
+    assert.deepEqual(updated.map(death => death.killers[0].guild), ['Bounty Hunters']);
+    store.record('20', [rescraped], { onUpdate: death => updated.push(death) });
+    assert.equal(updated.length, 1); // Nothing new the second time
+    await store.flush();
+
+    // The update survives a restart
+    const reloaded = createDeathStore({ dataDir });
+    const [stored] = reloaded.query().deaths;
+    assert.equal(stored.killers[0].guild, 'Bounty Hunters');
+    assert.equal(stored.killers[1].guild, undefined);
+    assert.equal(stored.seq, 1);
+    await reloaded.flush();
+  });
+
+  test('fills in the summoner guild of summoned killers', async () => {
+    const store = createDeathStore({ dataDir });
+    const summoned = { name: 'a fire elemental', type: 'creature', finalBlow: true, summonedBy: 'Dark Mage' };
+    const summonDeath = { ...PVP_DEATH, cause: 'a fire elemental summoned by Dark Mage', killers: [summoned] };
+    store.record('20', [summonDeath]);
+    store.record('20', [{ ...summonDeath, killers: [{ ...summoned, summonerGuild: 'Bounty Hunters' }] }]);
+
+    assert.equal(store.query().deaths[0].killers[0].summonerGuild, 'Bounty Hunters');
+    await store.flush();
+  });
+
+  test('queries a world and time window in history order, with cursors', async () => {
+    const store = createDeathStore({ dataDir });
+    const at = (player, time) => ({ ...PVE_DEATH, player, time });
+    store.record('20', [at('C', '07.10.2025, 23:00:00'), at('A', '07.10.2025, 21:00:00')]);
+    store.record('11', [at('Other World', '07.10.2025, 22:00:00')]);
+    store.record('20', [at('B', '07.10.2025, 22:00:00')]); // Arrives late, sorted into place
+
+    const names = (result) => result.deaths.map(d => d.player);
+    assert.deepEqual(names(store.query({ filters: { world: '20' } })), ['C', 'B', 'A']);
+    assert.deepEqual(names(store.query({ order: 'asc' })), ['A', 'Other World', 'B', 'C']); // Same time: by id
+
+    const [, b] = store.query({ filters: { world: '20' }, order: 'asc' }).deaths;
+    assert.deepEqual(names(store.query({ filters: { world: '20', from: b.timestampMs, to: b.timestampMs } })), ['B']);
+
+    const first = store.query({ filters: { world: '20' }, limit: 2 });
+    assert.deepEqual(names(first), ['C', 'B']);
+    assert.deepEqual(names(store.query({ filters: { world: '20' }, limit: 2, cursor: first.nextCursor })), ['A']);
+
+    assert.deepEqual(store.since(2, '20').map(d => d.player), ['B']);
+    assert.deepEqual(store.since(2).map(d => d.player), ['Other World', 'B']);
+    await store.flush();
+  });
+
+  test('prunes deaths older than the retention window and compacts the file', async () => {
+    const store = createDeathStore({ dataDir, retentionDays: 30 });
+    store.record('20', [PVP_DEATH, { ...PVE_DEATH, time: '01.08.2025, 10:00:00' }]);
+
+    const now = Date.parse('2025-10-08T12:00:00Z');
+    assert.equal(store.prune(now), 1);
+    assert.equal(store.prune(now), 0);
+    assert.deepEqual(store.query().deaths.map(d => d.player), ['Sir Thorn']);
+    assert.equal(store.get('20:lady moss:01.08.2025, 10:00:00'), null);
+    await store.flush();
+
+    const lines = fs.readFileSync(store.filePath, 'utf8').trim().split('\n');
+    assert.equal(lines.length, 1);
+    assert.equal(JSON.parse(lines[0]).player, 'Sir Thorn');
+  });
+
+  test('compacts superseded lines on load', async () => {
+    const store = createDeathStore({ dataDir });
+    store.record('20', [PVP_DEATH]);
+    store.record('20', [{ ...PVP_DEATH, killers: [{ ...PVP_DEATH.killers[0], guild: 'Bounty Hunters' }, PVP_DEATH.killers[1]] }]);
+    await store.flush();
+    assert.equal(fs.readFileSync(store.filePath, 'utf8').trim().split('\n').length, 2);
+
+    const reloaded = createDeathStore({ dataDir });
+    const lines = fs.readFileSync(reloaded.filePath, 'utf8').trim().split('\n');
+    assert.equal(lines.length, 1);
+    assert.equal(JSON.parse(lines[0]).killers[0].guild, 'Bounty Hunters');
+    assert.deepEqual(fs.readdirSync(dataDir), ['deaths.jsonl']); // No tmp file left behind
+    await reloaded.flush();
+  });
+});
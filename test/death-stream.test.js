@@ -0,0 +1,171 @@
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { createDeathStore } from '../lib/death-store.js';
+import { createWorldPoller } from '../lib/world-poller.js';
+import { createDeathStream } from '../lib/death-stream.js';
+
+const death = (player, time) => ({
+  player,
+  level: 300,
+  cause: 'a dragon lord',
+  killers: [{ name: 'a dragon lord', type: 'creature', finalBlow: true, summonedBy: null }],
+  pvp: false,
+  time
+});
+
+let dataDir;
+let deathStore;
+let worldPoller;
+let deathStream;
+let server;
+let baseUrl;
+let scraped; // worldId -> deaths the stubbed fetchDeaths returns
+
+before(() => {
+  mock.method(console, 'log', () => {}); // Stream logs would interleave with the test runner's output
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'death-stream-'));
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  fs.rmSync(path.join(dataDir, 'deaths.jsonl'), { force: true });
+  deathStore = createDeathStore({ dataDir });
+  scraped = new Map();
+  worldPoller = createWorldPoller({ fetchDeaths: async (worldId) => scraped.get(worldId) || [], deathStore, defaultInterval: 20 });
+  deathStream = createDeathStream({
+    worldPoller,
+    deathStore,
+    parseFilters: (query) => ({ worldId: String(query.world || '20'), limit: 50 }),
+    matchesFilters: () => true,
+    isKnownWorld: (worldId) => ['20', '11'].includes(worldId),
+    ensureWorldPolled: (worldId) => worldPoller.addWorld(worldId),
+    decorateDeath: (stored) => ({ ...stored, decorated: true }),
+    heartbeatInterval: 50
+  });
+
+  const app = express();
+  app.get('/stream', deathStream.handle);
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}`;
+  worldPoller.start();
+});
+
+afterEach(async () => {
+  worldPoller.stop();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await deathStore.flush();
+});
+
+// Open a stream and read it event by event ({ id, event, data } or { comment } for heartbeats)
+async function openStream(query, headers = {}) {
+  const controller = new AbortController();
+  const res = await fetch(`${baseUrl}/stream?${query}`, { headers, signal: controller.signal });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  async function next() {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end >= 0) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const message = {};
+        for (const line of block.split('\n')) {
+          const [field, ...rest] = line.split(':');
+          const value = rest.join(':').trim();
+          if (field === '') message.comment = value;
+          else if (field === 'data') message.data = JSON.parse(value);
+          else message[field] = value;
+        }
+        if (message.retry === undefined) return message;
+        continue;
+      }
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffer += decoder.decode(value, { stream: true });
+    }
+  }
+
+  // Next event that is not a heartbeat
+  async function nextEvent() {
+    for (;;) {
+      const message = await next();
+      if (!message || !message.comment) return message;
+    }
+  }
+
+  return { res, next, nextEvent, close: () => controller.abort() };
+}
+
+describe('createDeathStream', () => {
+  test('starts a fresh connection with a snapshot, then pushes new deaths', async () => {
+    scraped.set('20', [death('Sir Thorn', '07.10.2025, 22:50:28')]);
+    const stream = await openStream('world=20');
+    assert.match(stream.res.headers.get('content-type'), /^text\/event-stream/);
+
+    const snapshot = await stream.nextEvent();
+    assert.equal(snapshot.event, 'snapshot');
+    assert.deepEqual(snapshot.data.map(item => [item.player, item.seq, item.decorated]), [['Sir Thorn', 1, true]]);
+    assert.equal(snapshot.id, '1');
+
+    scraped.set('20', [death('Lady Moss', '07.10.2025, 22:55:00'), ...scraped.get('20')]);
+    const live = await stream.nextEvent();
+    assert.deepEqual([live.event, live.id, live.data.player], ['death', '2', 'Lady Moss']);
+
+    // The next poll looked the character up
+    scraped.set('20', scraped.get('20').map(item => item.player === 'Lady Moss' ? { ...item, vocation: 'Druid' } : item));
+    const update = await stream.nextEvent();
+    assert.deepEqual([update.event, update.id, update.data.id, update.data.vocation, update.data.decorated],
+      ['death-update', undefined, live.data.id, 'Druid', true]);
+    stream.close();
+  });
+
+  test('replays the deaths of its world after Last-Event-ID', async () => {
+    deathStore.record('20', [death('A', '07.10.2025, 22:00:00')]);
+    deathStore.record('11', [death('Other World', '07.10.2025, 22:05:00')]);
+    deathStore.record('20', [death('B', '07.10.2025, 22:10:00')]);
+    deathStore.record('20', [death('C', '07.10.2025, 22:20:00')]);
+
+    const stream = await openStream('world=20', { 'Last-Event-ID': '1' });
+    const replayed = [await stream.nextEvent(), await stream.nextEvent()];
+    assert.deepEqual(replayed.map(message => [message.event, message.id, message.data.player]), [
+      ['death', '3', 'B'],
+      ['death', '4', 'C']
+    ]);
+
+    // No snapshot after a replay: the next event is the next new death
+    scraped.set('20', [death('D', '07.10.2025, 22:30:00')]);
+    const live = await stream.nextEvent();
+    assert.deepEqual([live.event, live.id, live.data.player], ['death', '5', 'D']);
+    stream.close();
+  });
+
+  test('sends heartbeats and broadcasts to every open stream', async () => {
+    const stream = await openStream('world=11', { 'Last-Event-ID': '0' });
+    assert.deepEqual(await stream.next(), { comment: 'ping' });
+
+    deathStream.broadcast('watched', { worldId: '20', death: { player: 'Sir Thorn' } });
+    const broadcast = await stream.nextEvent();
+    assert.deepEqual(broadcast, { event: 'watched', data: { worldId: '20', death: { player: 'Sir Thorn' } } });
+    assert.equal(deathStream.getClientCount(), 1);
+    stream.close();
+  });
+
+  test('refuses unknown worlds', async () => {
+    const res = await fetch(`${baseUrl}/stream?world=x`);
+    assert.equal(res.status, 404);
+    assert.deepEqual(await res.json(), { error: 'Unknown world "x"' });
+    assert.equal(worldPoller.hasWorld('x'), false);
+  });
+});
@@ -0,0 +1,40 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRubinOTTime, formatRubinOTTime, getDeathTimestamp, zonedTimeToEpoch } from '../lib/death-time.js';
+
+describe('parseRubinOTTime', () => {
+  test('reads the time on the server clock', () => {
+    assert.equal(parseRubinOTTime('07.10.2025, 22:50:28', 'America/Sao_Paulo'), Date.parse('2025-10-08T01:50:28Z'));
+    assert.equal(parseRubinOTTime('07.10.2025, 22:50:28', 'UTC'), Date.parse('2025-10-07T22:50:28Z'));
+  });
+
+  test('follows daylight saving time', () => {
+    assert.equal(parseRubinOTTime('15.01.2025, 12:00:00', 'Europe/Berlin'), Date.parse('2025-01-15T11:00:00Z'));
+    assert.equal(parseRubinOTTime('15.07.2025, 12:00:00', 'Europe/Berlin'), Date.parse('2025-07-15T10:00:00Z'));
+    // First hour after the spring-forward gap
+    assert.equal(zonedTimeToEpoch(2025, 3, 30, 3, 30, 0, 'Europe/Berlin'), Date.parse('2025-03-30T01:30:00Z'));
+  });
+
+  test('rejects other formats', () => {
+    assert.equal(parseRubinOTTime('yesterday'), null);
+    assert.equal(parseRubinOTTime(undefined), null);
+  });
+});
+
+describe('formatRubinOTTime', () => {
+  test('round-trips with parseRubinOTTime', () => {
+    const time = formatRubinOTTime(Date.parse('2025-10-08T01:50:28Z'), 'America/Sao_Paulo');
+    assert.equal(time, '07.10.2025, 22:50:28');
+    assert.equal(parseRubinOTTime(time, 'America/Sao_Paulo'), Date.parse('2025-10-08T01:50:28Z'));
+  });
+});
+
+describe('getDeathTimestamp', () => {
+  test('returns ISO 8601 and epoch ms', () => {
+    assert.deepEqual(getDeathTimestamp('07.10.2025, 22:50:28', 'UTC'), {
+      timestamp: '2025-10-07T22:50:28.000Z',
+      timestampMs: Date.parse('2025-10-07T22:50:28Z')
+    });
+    assert.deepEqual(getDeathTimestamp('n/a'), { timestamp: null, timestampMs: null });
+  });
+});
@@ -0,0 +1,182 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDiscordNotifier, parseDiscordWebhooks, getWebhookRules, formatDeathEmbed, formatWarEmbed } from '../lib/discord-notifier.js';
+
+const DEATH = {
+  id: '20:sir thorn:07.10.2025, 22:50:28',
+  worldId: '20',
+  player: 'Sir Thorn',
+  playerLink: 'https://rubinot.com.br/?subtopic=characters&name=Sir+Thorn',
+  level: 512,
+  vocation: 'Elite Knight',
+  guild: 'Red Rose',
+  cause: 'a fire elemental summoned by Dark Mage and by Kill Bill',
+  killers: [
+    { name: 'a fire elemental', type: 'creature', finalBlow: true, summonedBy: 'Dark Mage' },
+    { name: 'Kill Bill', type: 'player', finalBlow: false, summonedBy: null }
+  ],
+  pvp: true,
+  time: '07.10.2025, 22:50:28',
+  timestamp: '2025-10-08T01:50:28.000Z'
+};
+
+const ALL_DEATHS = { name: 'all', url: 'https://discord.test/all', rules: {}, rateLimit: 30 };
+
+let dataDir;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// fetch stub answering with the given statuses in order (then 204)
+function createFetchStub(statuses = []) {
+  const calls = [];
+  const fetchImpl = async (url, options) => {
+    calls.push({ url, body: JSON.parse(options.body) });
+    const status = statuses.shift() ?? 204;
+    return {
+      ok: status < 300,
+      status,
+      headers: new Headers(status === 429 ? { 'retry-after': '3' } : {}),
+      json: async () => { throw new Error('no body'); }
+    };
+  };
+  return { fetchImpl, calls };
+}
+
+describe('parseDiscordWebhooks', () => {
+  test('reads DISCORD_WEBHOOKS and the single-webhook shortcut', () => {
+    const webhooks = parseDiscordWebhooks({ DISCORD_WEBHOOKS: '[{ "url": "https://a", "rules": { "minLevel": 500 } }]' });
+    assert.deepEqual(webhooks, [{ name: 'webhook-1', url: 'https://a', rules: { minLevel: 500 }, rateLimit: 30 }]);
+
+    assert.deepEqual(parseDiscordWebhooks({ DISCORD_WEBHOOK_URL: 'https://b' }).map(w => [w.name, w.rules]), [['default', null]]);
+    assert.deepEqual(parseDiscordWebhooks({}), []);
+    assert.throws(() => parseDiscordWebhooks({ DISCORD_WEBHOOKS: '[{ "name": "x" }]' }), /has no url/);
+  });
+});
+
+describe('getWebhookRules', () => {
+  test('turns webhook rules into read-only alert rules routed to the webhook', () => {
+    const webhooks = parseDiscordWebhooks({
+      DISCORD_WEBHOOKS: '[{ "name": "hunts", "url": "https://a", "rules": { "worlds": [20], "minLevel": "500" } }, { "name": "watch", "url": "https://b" }]'
+    });
+
+    assert.deepEqual(getWebhookRules(webhooks), [{
+      id: 'discord:hunts',
+      name: 'hunts (DISCORD_WEBHOOKS)',
+      enabled: true,
+      conditions: { worlds: ['20'], minLevel: 500 },
+      targets: ['discord:hunts']
+    }]);
+  });
+
+  test('rejects invalid webhook rules', () => {
+    assert.throws(() => parseDiscordWebhooks({ DISCORD_WEBHOOKS: '[{ "url": "https://a", "rules": { "level": 5 } }]' }), /Unknown conditions: level/);
+  });
+});
+
+describe('formatDeathEmbed', () => {
+  test('builds a rich embed with killers, profile link and time', () => {
+    const embed = formatDeathEmbed(DEATH, { worldName: 'Tormentum', watched: [{ name: 'Red Rose' }], rules: ['PK alerts'] });
+
+    assert.equal(embed.title, '💀 Sir Thorn died at level 512');
+    assert.equal(embed.url, DEATH.playerLink);
+    assert.equal(embed.timestamp, DEATH.timestamp);
+    const fields = Object.fromEntries(embed.fields.map(field => [field.name, field.value]));
+    assert.equal(fields.Vocation, 'Elite Knight');
+    assert.equal(fields.Guild, 'Red Rose');
+    assert.equal(fields.World, 'Tormentum');
+    assert.equal(fields['Killers (PvP)'], '🗡️ a fire elemental (summoned by **Dark Mage**)\n**Kill Bill**');
+    assert.equal(fields['👁️ Watched'], 'Red Rose');
+    assert.deepEqual(embed.footer, { text: 'Rules: PK alerts' });
+  });
+});
+
+describe('formatWarEmbed', () => {
+  test('shows the score and both sides', () => {
+    const embed = formatWarEmbed({
+      worldId: '20',
+      guilds: ['Bounty Hunters', 'Red Rose'],
+      score: [3, 1],
+      kills: 4,
+      participants: [[{ name: 'Hunter A', kills: 3, deaths: 0 }], [{ name: 'Rose One', kills: 1, deaths: 2 }]],
+      lastKillAt: Date.parse('2025-10-07T13:20:00Z')
+    }, { worldName: 'Tormentum' });
+
+    assert.equal(embed.title, '⚔️ Guild war: Bounty Hunters vs Red Rose');
+    assert.equal(embed.description, '**Bounty Hunters** 3 - 1 **Red Rose** (4 kills)');
+    assert.deepEqual(embed.fields.map(field => field.value), ['Hunter A (3/0)', 'Rose One (1/2)', 'Tormentum']);
+    assert.equal(embed.timestamp, '2025-10-07T13:20:00.000Z');
+  });
+});
+
+describe('createDiscordNotifier', () => {
+  test('posts each death once, even after a restart', async () => {
+    const { fetchImpl, calls } = createFetchStub();
+    const notifier = createDiscordNotifier({ webhooks: [ALL_DEATHS], dataDir, fetchImpl });
+    const [channel] = notifier.getChannels();
+    assert.equal(channel.name, 'discord:all');
+
+    await channel.send({ type: 'death', worldId: '20', death: DEATH });
+    await channel.send({ type: 'death', worldId: '20', death: DEATH });
+    await notifier.flush();
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].body.embeds[0].title, '💀 Sir Thorn died at level 512');
+
+    const restarted = createDiscordNotifier({ webhooks: [ALL_DEATHS], dataDir, fetchImpl });
+    await restarted.getChannels()[0].send({ type: 'death', worldId: '20', death: DEATH });
+    assert.equal(calls.length, 1);
+  });
+
+  test('retries 429 and 5xx responses with backoff', async () => {
+    const { fetchImpl, calls } = createFetchStub([429, 502]);
+    const delays = [];
+    const notifier = createDiscordNotifier({
+      webhooks: [ALL_DEATHS], dataDir, fetchImpl, retryDelay: 100, sleep: async (ms) => delays.push(ms)
+    });
+
+    await notifier.getChannels()[0].send({ type: 'death', worldId: '20', death: DEATH });
+    assert.equal(calls.length, 3);
+    assert.deepEqual(delays, [3000, 200]); // Retry-After, then exponential backoff
+    assert.equal(notifier.getStatus()[0].delivered, 1);
+  });
+
+  test('gives up on other client errors without marking the death sent', async () => {
+    const { fetchImpl, calls } = createFetchStub([404]);
+    const notifier = createDiscordNotifier({ webhooks: [ALL_DEATHS], dataDir, fetchImpl, sleep: async () => {} });
+
+    const [channel] = notifier.getChannels();
+    await assert.rejects(channel.send({ type: 'death', worldId: '20', death: DEATH }), /all: Discord webhook responded 404/);
+    assert.equal(notifier.getStatus()[0].failed, 1);
+
+    await channel.send({ type: 'death', worldId: '20', death: DEATH });
+    assert.equal(calls.length, 2);
+  });
+
+  test('keeps each webhook under its rate limit', async () => {
+    let clock = 0;
+    const delays = [];
+    const { fetchImpl, calls } = createFetchStub();
+    const notifier = createDiscordNotifier({
+      webhooks: [{ ...ALL_DEATHS, rateLimit: 2 }],
+      dataDir,
+      fetchImpl,
+      now: () => clock,
+      sleep: async (ms) => { delays.push(ms); clock += ms; }
+    });
+
+    const deaths = ['a', 'b', 'c'].map(player => ({ ...DEATH, id: `20:${player}`, player }));
+    const [channel] = notifier.getChannels();
+    await Promise.all(deaths.map(death => channel.send({ type: 'death', worldId: '20', death })));
+
+    assert.deepEqual(calls.map(call => call.body.embeds[0].title.split(' ')[1]), ['a', 'b', 'c']);
+    assert.deepEqual(delays, [60000]);
+  });
+});
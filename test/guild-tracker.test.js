@@ -0,0 +1,89 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { createGuildTracker } from '../lib/guild-tracker.js';
+
+const fixture = (name) => readFileSync(fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url)), 'utf8');
+
+// Serves guild.html; `state.fail` makes requests throw, `state.missing` serves a page without a roster
+function createStubFetchPage(state = {}) {
+  const calls = [];
+  async function fetchPage(url) {
+    calls.push(url);
+    if (state.fail) throw new Error('HTTP 502');
+    if (state.missing) return { html: '<html><body>Guild not found</body></html>', url };
+    return { html: fixture('guild.html'), url };
+  }
+  fetchPage.calls = calls;
+  return fetchPage;
+}
+
+describe('createGuildTracker', () => {
+  test('fetches and caches a roster', async () => {
+    const fetchPage = createStubFetchPage();
+    const tracker = createGuildTracker({ fetchPage });
+
+    const { guild, stale } = await tracker.getGuild('Red Rose');
+    assert.equal(guild.members.length, 3);
+    assert.equal(stale, false);
+    assert.ok(fetchPage.calls[0].includes('GuildName=Red%20Rose'));
+
+    await tracker.getGuild('red rose');
+    assert.equal(fetchPage.calls.length, 1);
+    assert.equal(tracker.isFresh('RED ROSE'), true);
+  });
+
+  test('shares one request between concurrent callers', async () => {
+    const fetchPage = createStubFetchPage();
+    const tracker = createGuildTracker({ fetchPage });
+
+    await Promise.all([tracker.getGuild('Red Rose'), tracker.getGuild('Red Rose')]);
+    assert.equal(fetchPage.calls.length, 1);
+  });
+
+  test('serves the cached roster when a refresh fails', async () => {
+    const state = {};
+    const tracker = createGuildTracker({ fetchPage: createStubFetchPage(state), refreshInterval: 0 });
+
+    await tracker.getGuild('Red Rose');
+    state.fail = true;
+    const { guild, stale } = await tracker.getGuild('Red Rose');
+    assert.equal(stale, true);
+    assert.equal(guild.name, 'Red Rose');
+
+    const fresh = createGuildTracker({ fetchPage: createStubFetchPage({ fail: true }) });
+    await assert.rejects(fresh.getGuild('Red Rose'), /HTTP 502/);
+  });
+
+  test('refreshes tracked guilds and forgets idle ones', async () => {
+    const fetchPage = createStubFetchPage();
+    const tracker = createGuildTracker({ fetchPage, refreshInterval: 0, trackDuration: 60000 });
+
+    await tracker.getGuild('Red Rose');
+    await tracker.refreshTracked();
+    assert.equal(fetchPage.calls.length, 2);
+
+    const idle = createGuildTracker({ fetchPage: createStubFetchPage(), refreshInterval: 0, trackDuration: -1 });
+    await idle.getGuild('Red Rose');
+    await idle.refreshTracked();
+    assert.deepEqual(idle.getStatus(), []);
+  });
+
+  test('only keeps refreshing guilds that exist', async () => {
+    const missingPage = createStubFetchPage({ missing: true });
+    const missing = createGuildTracker({ fetchPage: missingPage });
+    assert.equal((await missing.getGuild('Nobody')).guild, null);
+    await missing.getGuild('Nobody'); // Cached until the next refresh
+    await missing.refreshTracked();
+    assert.equal(missingPage.calls.length, 1);
+    assert.deepEqual(missing.getStatus(), []);
+
+    const failingPage = createStubFetchPage({ fail: true });
+    const failing = createGuildTracker({ fetchPage: failingPage, refreshInterval: 0 });
+    await assert.rejects(failing.getGuild('Red Rose'), /HTTP 502/);
+    await failing.refreshTracked();
+    assert.equal(failingPage.calls.length, 1);
+    assert.deepEqual(failing.getStatus(), []);
+  });
+});
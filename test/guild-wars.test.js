@@ -0,0 +1,117 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectGuildWars, createGuildWarMonitor, getWarId } from '../lib/guild-wars.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.parse('2025-10-07T12:00:00Z');
+
+// PvP death at START + minutes; killers: [[name, guild], ...], final blow first
+function kill(minutes, [victim, victimGuild, level], killers, worldId = '20') {
+  return {
+    id: `${worldId}:${victim.toLowerCase()}:${minutes}`,
+    worldId,
+    player: victim,
+    level,
+    guild: victimGuild,
+    time: `t+${minutes}`,
+    timestampMs: START + minutes * 60 * 1000,
+    killers: killers.map(([name, guild], i) => ({ name, type: 'player', finalBlow: i === 0, summonedBy: null, guild })),
+    pvp: true
+  };
+}
+
+const DEATHS = [
+  kill(10, ['Rose One', 'Red Rose', 400], [['Hunter A', 'Bounty Hunters'], ['Hunter B', 'Bounty Hunters']]),
+  kill(20, ['Rose Two', 'Red Rose', 450], [['Hunter A', 'Bounty Hunters']]),
+  kill(70, ['Hunter B', 'Bounty Hunters', 500], [['Rose One', 'red rose']]),
+  kill(80, ['Rose One', 'Red Rose', 401], [['Hunter B', 'Bounty Hunters'], ['Loner', '']]),
+  // One-sided: Red Rose never hit back against these
+  kill(30, ['Random', 'Peaceful', 200], [['Hunter A', 'Bounty Hunters']]),
+  kill(40, ['Random Two', 'Peaceful', 210], [['Hunter A', 'Bounty Hunters']]),
+  // Same guild and unknown guilds are ignored
+  kill(50, ['Traitor', 'Red Rose', 300], [['Rose Two', 'Red Rose']]),
+  kill(60, ['Nobody', '', 300], [['Hunter A', 'Bounty Hunters']])
+];
+
+const WINDOW = { from: START, to: START + 2 * HOUR - 1, timeZone: 'UTC' };
+
+describe('detectGuildWars', () => {
+  test('finds guilds killing each other with score, participants and timeline', () => {
+    const wars = detectGuildWars(DEATHS, { ...WINDOW, minKills: 4 });
+
+    assert.equal(wars.length, 1);
+    const [war] = wars;
+    assert.equal(war.id, getWarId('20', 'Red Rose', 'Bounty Hunters'));
+    assert.deepEqual(war.guilds, ['Bounty Hunters', 'Red Rose']);
+    assert.deepEqual(war.score, [3, 1]);
+    assert.equal(war.kills, 4);
+    assert.deepEqual(war.participants, [
+      [{ name: 'Hunter B', kills: 2, deaths: 1 }, { name: 'Hunter A', kills: 2, deaths: 0 }],
+      [{ name: 'Rose One', kills: 1, deaths: 2 }, { name: 'Rose Two', kills: 0, deaths: 1 }]
+    ]);
+    assert.deepEqual(war.timeline.map(point => point.kills), [[2, 0], [1, 1]]);
+    assert.equal(war.startedAt, START + 10 * 60 * 1000);
+    assert.equal(war.lastKillAt, START + 80 * 60 * 1000);
+    assert.deepEqual(war.events[0], {
+      deathId: '20:rose one:80',
+      time: 't+80',
+      timestampMs: START + 80 * 60 * 1000,
+      killerGuild: 'Bounty Hunters',
+      killers: ['Hunter B'],
+      victim: 'Rose One',
+      victimLevel: 401,
+      victimGuild: 'Red Rose'
+    });
+  });
+
+  test('scores kills by summons for their summoner\'s guild', () => {
+    const summonKill = {
+      ...kill(90, ['Rose Two', 'Red Rose', 451], []),
+      killers: [{ name: 'a fire elemental', type: 'creature', finalBlow: true, summonedBy: 'Hunter A', summonerGuild: 'Bounty Hunters' }]
+    };
+    const [war] = detectGuildWars([...DEATHS, summonKill], { ...WINDOW, minKills: 4 });
+    assert.deepEqual(war.score, [4, 1]);
+    assert.deepEqual(war.events[0].killers, ['Hunter A']);
+  });
+
+  test('needs both sides to score and enough kills in the window', () => {
+    assert.deepEqual(detectGuildWars(DEATHS, { ...WINDOW, minKills: 5 }), []);
+    assert.deepEqual(detectGuildWars(DEATHS, { ...WINDOW, from: START + 60 * 60 * 1000, minKills: 2 }).map(war => war.score), [[1, 1]]);
+  });
+});
+
+describe('createGuildWarMonitor', () => {
+  test('reports a war once when it crosses the threshold', () => {
+    let deaths = DEATHS.slice(0, 3);
+    let time = START + 2 * HOUR;
+    const monitor = createGuildWarMonitor({
+      minKills: 4,
+      windowMs: 3 * HOUR,
+      getDeaths: (worldId) => deaths.filter(death => death.worldId === worldId),
+      now: () => time
+    });
+
+    assert.deepEqual(monitor.check('20'), []);
+    deaths = DEATHS;
+    assert.deepEqual(monitor.check('20').map(war => war.score), [[3, 1]]);
+    assert.deepEqual(monitor.check('20'), []); // Already reported
+    assert.equal(monitor.getActiveCount(), 1);
+
+    // Kills age out of the window, then the war flares up again
+    time += 3 * HOUR;
+    assert.deepEqual(monitor.check('20'), []);
+    deaths = DEATHS.map(death => ({ ...death, timestampMs: death.timestampMs + 3 * HOUR }));
+    assert.equal(monitor.check('20').length, 1);
+  });
+
+  test('seeding skips wars that were already going on', () => {
+    const monitor = createGuildWarMonitor({
+      minKills: 4,
+      windowMs: 3 * HOUR,
+      getDeaths: () => DEATHS,
+      now: () => START + 2 * HOUR
+    });
+    monitor.seed('20');
+    assert.deepEqual(monitor.check('20'), []);
+  });
+});
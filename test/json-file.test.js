@@ -0,0 +1,36 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonFile } from '../lib/json-file.js';
+
+let dataDir;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('createJsonFile', () => {
+  test('writes the latest value whole and reads it back', async () => {
+    const file = createJsonFile(path.join(dataDir, 'nested', 'state.json'));
+    assert.deepEqual(file.read([]), []);
+
+    file.save([1]);
+    file.save([1, 2]);
+    await file.flush();
+
+    assert.deepEqual(createJsonFile(file.filePath).read([]), [1, 2]);
+    assert.deepEqual(fs.readdirSync(path.dirname(file.filePath)), ['state.json']); // No tmp file left behind
+  });
+
+  test('falls back when the file is unreadable', () => {
+    const filePath = path.join(dataDir, 'broken.json');
+    fs.writeFileSync(filePath, '{ not json');
+    assert.deepEqual(createJsonFile(filePath).read({ fallback: true }), { fallback: true });
+  });
+});
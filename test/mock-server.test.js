@@ -0,0 +1,151 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockRubinOTServer } from '../mock/rubinot-mock-server.js';
+import { parseLatestDeaths, parseCharacterPage, detectBlockPage, parseWorldList, parseWorldOptions, parseGuildPage } from '../lib/rubinot-parser.js';
+import { latestDeathsUrl, characterUrl, worldsUrl, guildUrl } from '../lib/rubinot-urls.js';
+
+let server;
+let baseUrl;
+
+async function control(path, body) {
+  const res = await fetch(`${baseUrl}__mock/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  });
+  return res.json();
+}
+
+before(async () => {
+  await new Promise(resolve => {
+    server = createMockRubinOTServer().listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}/`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(async () => {
+  await control('reset');
+});
+
+describe('mock RubinOT server', () => {
+  test('serves latest deaths the shared parser understands', async () => {
+    await control('deaths', {
+      world: '20',
+      deaths: [{ player: 'Sir Thorn', level: 512, cause: 'a dragon lord', time: '07.10.2025, 22:50:28' }]
+    });
+
+    const url = latestDeathsUrl('20', '', baseUrl);
+    const { deaths } = parseLatestDeaths(await (await fetch(url)).text(), { baseUrl: url });
+
+    assert.equal(deaths.length, 6); // 5 sample deaths + 1 added
+    assert.deepEqual(deaths[0], {
+      player: 'Sir Thorn',
+      playerLink: `${baseUrl}?subtopic=characters&name=Sir+Thorn`,
+      level: 512,
+      cause: 'a dragon lord',
+      killers: [{ name: 'a dragon lord', type: 'creature', finalBlow: true, summonedBy: null }],
+      pvp: false,
+      time: '07.10.2025, 22:50:28',
+      timestamp: '2025-10-08T01:50:28.000Z',
+      timestampMs: Date.parse('2025-10-08T01:50:28.000Z')
+    });
+  });
+
+  test('applies min_level and paginates', async () => {
+    const deaths = Array.from({ length: 60 }, (_, i) => ({ player: `Player ${i}`, level: 600, cause: 'a rat' }));
+    await control('deaths', { world: '11', deaths });
+
+    const url = latestDeathsUrl('11', 500, baseUrl);
+    const firstPage = parseLatestDeaths(await (await fetch(url)).text(), { baseUrl: url });
+    assert.equal(firstPage.deaths.length, 50);
+    assert.ok(firstPage.deaths.every(d => d.level >= 500));
+    assert.ok(firstPage.nextPageUrl.includes('page=2'));
+
+    const secondPage = parseLatestDeaths(await (await fetch(firstPage.nextPageUrl)).text(), { baseUrl: firstPage.nextPageUrl });
+    assert.equal(secondPage.deaths.length, 10 + 2); // rest of the added deaths + the level 550 and 700 sample deaths
+    assert.equal(secondPage.nextPageUrl, null);
+  });
+
+  test('serves configured characters', async () => {
+    await control('characters', { name: 'Sir Thorn', vocation: 'Elite Knight', residence: 'Thais', accountStatus: 'VIP Account', guild: 'Red Rose' });
+
+    const html = await (await fetch(characterUrl('Sir Thorn', baseUrl))).text();
+    assert.deepEqual(parseCharacterPage(html), {
+      vocation: 'Elite Knight',
+      residence: 'Thais',
+      accountStatus: 'VIP Account',
+      guild: 'Red Rose'
+    });
+  });
+
+  test('serves the world list and the world selector', async () => {
+    await control('worlds', { worlds: [{ id: 20, name: 'Tormentum', online: 900, location: 'South America', pvpType: 'Open PvP' }, { id: 25, name: 'Novaria', online: 10, location: 'Europe', pvpType: 'Optional PvP' }] });
+
+    const worlds = parseWorldList(await (await fetch(worldsUrl(baseUrl))).text());
+    assert.deepEqual(worlds.map(w => [w.name, w.online]), [['Tormentum', 900], ['Novaria', 10]]);
+
+    const options = parseWorldOptions(await (await fetch(latestDeathsUrl('20', '', baseUrl))).text());
+    assert.deepEqual(options, [{ id: '20', name: 'Tormentum' }, { id: '25', name: 'Novaria' }]);
+  });
+
+  test('serves guild rosters', async () => {
+    await control('guilds', {
+      name: 'Red Rose',
+      members: [
+        { name: 'Rose Queen', rank: 'Leader', vocation: 'Elder Druid', level: 901, online: true },
+        { name: 'Sir Thorn', rank: 'Member', vocation: 'Elite Knight', level: 512 },
+        { name: 'Red Archer', rank: 'Member', vocation: 'Royal Paladin', level: 300 }
+      ]
+    });
+
+    const guild = parseGuildPage(await (await fetch(guildUrl('Red Rose', baseUrl))).text());
+    assert.equal(guild.name, 'Red Rose');
+    assert.deepEqual(guild.members.map(m => [m.name, m.rank, m.online]), [
+      ['Rose Queen', 'Leader', true], ['Sir Thorn', 'Member', false], ['Red Archer', 'Member', false]
+    ]);
+
+    assert.equal(parseGuildPage(await (await fetch(guildUrl('Nobody', baseUrl))).text()), null);
+  });
+
+  test('simulates a Cloudflare challenge for the next N requests', async () => {
+    await control('scenario', { mode: 'challenge', times: 2 });
+    const url = latestDeathsUrl('20', '', baseUrl);
+
+    for (let i = 0; i < 2; i++) {
+      const res = await fetch(url);
+      assert.equal(res.status, 403);
+      assert.equal(detectBlockPage(await res.text()), 'challenge');
+    }
+
+    const res = await fetch(url);
+    assert.equal(res.status, 200);
+    assert.equal(detectBlockPage(await res.text()), null);
+  });
+
+  test('lets clients that solved the challenge through', async () => {
+    await control('scenario', { mode: 'challenge', times: 5 });
+    const res = await fetch(latestDeathsUrl('20', '', baseUrl), { headers: { Cookie: 'cf_clearance=mock' } });
+    assert.equal(res.status, 200);
+  });
+
+  test('simulates blocked pages and server errors', async () => {
+    await control('scenario', { mode: 'blocked', times: 1 });
+    const blocked = await fetch(latestDeathsUrl('20', '', baseUrl));
+    assert.equal(detectBlockPage(await blocked.text()), 'blocked');
+
+    await control('scenario', { mode: 'error', times: 1, status: 502 });
+    const failed = await fetch(latestDeathsUrl('20', '', baseUrl));
+    assert.equal(failed.status, 502);
+  });
+
+  test('simulates slow responses', async () => {
+    await control('scenario', { mode: 'slow', times: 1, delayMs: 200 });
+    const start = Date.now();
+    await fetch(latestDeathsUrl('20', '', baseUrl));
+    assert.ok(Date.now() - start >= 200);
+  });
+});
@@ -0,0 +1,30 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNotificationHub } from '../lib/notification-hub.js';
+
+describe('createNotificationHub', () => {
+  test('sends alerts to every channel, even when one fails', async () => {
+    const hub = createNotificationHub();
+    const received = [];
+    hub.register('broken', { send: async () => { throw new Error('offline'); } });
+    hub.register('working', { send: async (alert) => received.push(alert) });
+
+    const results = await hub.dispatch({ type: 'watch', worldId: '20', death: { player: 'Sir Thorn' } });
+
+    assert.deepEqual(results.map(r => r.status), ['rejected', 'fulfilled']);
+    assert.equal(received.length, 1);
+  });
+
+  test('can target named channels', async () => {
+    const hub = createNotificationHub();
+    const received = [];
+    hub.register('a', { send: async () => received.push('a') });
+    hub.register('b', { send: async () => received.push('b') });
+
+    await hub.dispatch({ type: 'watch' }, { only: ['b'] });
+    assert.deepEqual(received, ['b']);
+
+    hub.unregister('b');
+    assert.deepEqual(hub.list(), ['a']);
+  });
+});
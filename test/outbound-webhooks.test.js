@@ -0,0 +1,191 @@
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createOutboundWebhooks, signPayload, verifySignature, isPrivateAddress } from '../lib/outbound-webhooks.js';
+import { createWebhookReceiver } from '../mock/webhook-receiver.js';
+
+const SECRET = 'test-secret-0123456789';
+
+const DEATH = {
+  id: '20:sir thorn:07.10.2025, 22:50:28',
+  worldId: '20',
+  player: 'Sir Thorn',
+  level: 512,
+  vocation: 'Elite Knight',
+  guild: 'Red Rose',
+  cause: 'a dragon lord',
+  pvp: false,
+  time: '07.10.2025, 22:50:28'
+};
+
+let server;
+let receiverUrl;
+let dataDir;
+
+async function control(path, body) {
+  const res = await fetch(`${receiverUrl}__receiver/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  });
+  return res.json();
+}
+
+async function received() {
+  return (await fetch(`${receiverUrl}__receiver/deliveries`)).json();
+}
+
+before(async () => {
+  await new Promise(resolve => {
+    server = createWebhookReceiver({ secret: SECRET }).listen(0, resolve);
+  });
+  receiverUrl = `http://localhost:${server.address().port}/`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(async () => {
+  await control('reset');
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('signatures', () => {
+  test('sign and verify the raw body', () => {
+    const body = JSON.stringify(DEATH);
+    assert.match(signPayload(body, SECRET), /^sha256=[0-9a-f]{64}$/);
+    assert.equal(verifySignature(body, SECRET, signPayload(body, SECRET)), true);
+    assert.equal(verifySignature(body, 'another-secret-123456', signPayload(body, SECRET)), false);
+    assert.equal(verifySignature(body, SECRET, undefined), false);
+  });
+});
+
+describe('createOutboundWebhooks', () => {
+  test('delivers signed deaths to the matching subscriptions', async () => {
+    const webhooks = createOutboundWebhooks({ dataDir, allowedHosts: ['localhost'] });
+    webhooks.add({ name: 'all', url: `${receiverUrl}all`, secret: SECRET });
+    webhooks.add({ name: 'knights', url: `${receiverUrl}knights`, secret: SECRET, conditions: { vocations: ['knight'], minLevel: 600 } });
+
+    const alert = { type: 'death', worldId: '20', death: DEATH };
+    assert.deepEqual(webhooks.matchTargets(alert), ['webhook:all']);
+
+    const channel = webhooks.getChannels().find(c => c.name === 'webhook:all');
+    assert.equal(await channel.send(alert), true);
+
+    const [delivery] = await received();
+    assert.equal(delivery.path, '/all');
+    assert.equal(delivery.event, 'death');
+    assert.equal(delivery.verified, true);
+    assert.deepEqual(delivery.body, DEATH);
+    assert.equal(webhooks.getDeliveries()[0].status, 204);
+    await webhooks.flush();
+  });
+
+  test('retries failed deliveries with the same delivery id', async () => {
+    const delays = [];
+    const webhooks = createOutboundWebhooks({ dataDir, allowedHosts: ['localhost'], retryDelay: 10, sleep: async (ms) => delays.push(ms) });
+    webhooks.add({ name: 'flaky', url: receiverUrl, secret: SECRET });
+    await control('fail', { times: 2, status: 503 });
+
+    await webhooks.getChannels()[0].send({ type: 'death', worldId: '20', death: DEATH });
+
+    const deliveries = await received();
+    assert.equal(deliveries.length, 3);
+    assert.equal(new Set(deliveries.map(d => d.deliveryId)).size, 1);
+    assert.deepEqual(delays, [10, 20]);
+    assert.deepEqual(webhooks.getDeliveries().map(entry => [entry.attempt, entry.status]), [[3, 204], [2, 503], [1, 503]]);
+    await webhooks.flush();
+  });
+
+  test('moves undeliverable deaths to the dead-letter list and can retry them', async () => {
+    const webhooks = createOutboundWebhooks({ dataDir, allowedHosts: ['localhost'], maxRetries: 1, sleep: async () => {} });
+    const subscription = webhooks.add({ name: 'down', url: receiverUrl, secret: SECRET });
+    await control('fail', { times: 2, status: 500 });
+
+    await assert.rejects(webhooks.getChannels()[0].send({ type: 'watch', worldId: '20', death: DEATH }), /down: HTTP 500/);
+    const [letter] = webhooks.getDeadLetters();
+    assert.equal(letter.subscriptionId, subscription.id);
+    assert.equal(letter.event, 'watch');
+    assert.equal(letter.lastError, 'HTTP 500');
+    await webhooks.flush();
+
+    // Dead letters survive a restart
+    const restarted = createOutboundWebhooks({ dataDir, allowedHosts: ['localhost'], sleep: async () => {} });
+    assert.equal(restarted.getDeadLetters().length, 1);
+    assert.equal(await restarted.retryDeadLetter(letter.id), true);
+    assert.deepEqual(restarted.getDeadLetters(), []);
+    assert.equal((await received())[0].deliveryId, letter.id);
+    await restarted.flush();
+  });
+
+  test('client errors are not retried', async () => {
+    const webhooks = createOutboundWebhooks({ dataDir, allowedHosts: ['localhost'], sleep: async () => {} });
+    webhooks.add({ name: 'wrong-secret', url: receiverUrl, secret: 'not-the-receiver-secret' });
+
+    await assert.rejects(webhooks.getChannels()[0].send({ type: 'death', worldId: '20', death: DEATH }), /HTTP 401/);
+    assert.equal((await received()).length, 1);
+    await webhooks.flush();
+  });
+
+  test('validates subscriptions and hides secrets in listings', async () => {
+    const webhooks = createOutboundWebhooks({ dataDir, allowedHosts: ['localhost'] });
+
+    assert.throws(() => webhooks.add({ name: 'Bad Name!', url: receiverUrl }), /name must be/);
+    assert.throws(() => webhooks.add({ name: 'x', url: 'ftp://example.com' }), /url must use http or https/);
+    assert.throws(() => webhooks.add({ name: 'x', url: receiverUrl, secret: 'short' }), /secret must be at least 16/);
+    assert.throws(() => webhooks.add({ name: 'x', url: receiverUrl, conditions: { level: 1 } }), /Unknown conditions/);
+
+    const subscription = webhooks.add({ name: 'Alerts', url: receiverUrl });
+    assert.equal(subscription.name, 'alerts');
+    assert.equal(subscription.secret.length, 64); // Generated
+    assert.throws(() => webhooks.add({ name: 'alerts', url: receiverUrl }), /already exists/);
+
+    const [listed] = webhooks.list();
+    assert.equal(listed.secret, undefined);
+    assert.equal(listed.channel, 'webhook:alerts');
+
+    assert.equal(webhooks.update(subscription.id, { enabled: false }).enabled, false);
+    assert.deepEqual(webhooks.matchTargets({ worldId: '20', death: DEATH }), []);
+    assert.throws(() => webhooks.update(subscription.id, { name: 'renamed' }), /name cannot be changed/);
+    assert.equal(webhooks.remove(subscription.id), true);
+    await webhooks.flush();
+  });
+
+  test('refuses local and private destinations unless their host is allowed', async () => {
+    const webhooks = createOutboundWebhooks({
+      dataDir,
+      sleep: async () => {},
+      lookup: async (host) => [{ address: host === 'internal.example.com' ? '10.0.0.7' : '93.184.216.34', family: 4 }],
+      fetchImpl: async () => { throw new Error('should not be called'); }
+    });
+
+    for (const url of ['http://169.254.169.254/latest', 'http://127.0.0.1:3000/', 'http://[::1]/', 'http://[::ffff:192.168.0.1]/', 'http://localhost/', 'http://0.0.0.0/']) {
+      assert.throws(() => webhooks.add({ name: 'x', url }), /local or private address/, url);
+    }
+
+    // A public name that resolves to an internal address is caught on delivery
+    webhooks.add({ name: 'sneaky', url: 'https://internal.example.com/hook' });
+    await assert.rejects(webhooks.getChannels()[0].send({ type: 'death', worldId: '20', death: DEATH }), /resolves to the private address 10\.0\.0\.7/);
+    assert.equal(webhooks.getDeadLetters().length, 1);
+    assert.equal(webhooks.getDeliveries().length, 1); // Not retried
+    await webhooks.flush();
+  });
+});
+
+describe('isPrivateAddress', () => {
+  test('matches loopback, private, link-local and mapped addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.31.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['93.184.216.34', '172.32.0.1', '2606:4700::1111', 'example.com']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+});
@@ -0,0 +1,97 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRubinOTFetcher } from '../lib/rubinot-fetcher.js';
+
+const URL_20 = 'https://rubinot.com.br/?subtopic=latestdeaths&world=20';
+
+function challengeError() {
+  const error = new Error('Cloudflare challenge page (HTTP 403)');
+  error.blockType = 'challenge';
+  return error;
+}
+
+// Strategy stub: responses is a list of results/errors returned in order
+function createStubStrategy(name, responses) {
+  const calls = [];
+  const cookies = [];
+  return {
+    name,
+    calls,
+    cookies,
+    async fetchPage(url) {
+      calls.push(url);
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return { html: `<html>${name}</html>`, url, ...next };
+    },
+    setCookies(url, list) {
+      cookies.push(...list);
+    },
+    async close() {}
+  };
+}
+
+describe('createRubinOTFetcher', () => {
+  test('uses plain HTTP when it works', async () => {
+    const http = createStubStrategy('http', [{}]);
+    const browser = createStubStrategy('browser', []);
+    const fetcher = createRubinOTFetcher({ httpFetcher: http, browserFetcher: browser });
+
+    const page = await fetcher.fetchPage(URL_20, { statsKey: '20' });
+
+    assert.equal(page.strategy, 'http');
+    assert.equal(browser.calls.length, 0);
+    assert.equal(fetcher.getStats().stats['20'].http.success, 1);
+  });
+
+  test('falls back to the browser on a Cloudflare challenge and hands over its cookies', async () => {
+    const http = createStubStrategy('http', [challengeError()]);
+    const browser = createStubStrategy('browser', [{ cookies: [{ name: 'cf_clearance', value: 'abc' }] }, {}]);
+    const fetcher = createRubinOTFetcher({ httpFetcher: http, browserFetcher: browser });
+
+    const page = await fetcher.fetchPage(URL_20, { statsKey: '20' });
+    assert.equal(page.strategy, 'browser');
+    assert.deepEqual(http.cookies, [{ name: 'cf_clearance', value: 'abc' }]);
+
+    // Cooldown: the next request skips HTTP
+    await fetcher.fetchPage(URL_20, { statsKey: '20' });
+    assert.equal(http.calls.length, 1);
+    assert.equal(browser.calls.length, 2);
+
+    const stats = fetcher.getStats().stats['20'];
+    assert.equal(stats.http.challenged, 1);
+    assert.equal(stats.browser.success, 2);
+    assert.equal(stats.lastStrategy, 'browser');
+  });
+
+  test('retries HTTP once the challenge cooldown is over', async () => {
+    const http = createStubStrategy('http', [challengeError(), {}]);
+    const browser = createStubStrategy('browser', [{}]);
+    const fetcher = createRubinOTFetcher({ httpFetcher: http, browserFetcher: browser, challengeCooldown: 0 });
+
+    await fetcher.fetchPage(URL_20);
+    const page = await fetcher.fetchPage(URL_20);
+
+    assert.equal(page.strategy, 'http');
+    assert.equal(http.calls.length, 2);
+  });
+
+  test('does not start the browser for ordinary HTTP errors', async () => {
+    const http = createStubStrategy('http', [new Error('RubinOT responded with HTTP 502')]);
+    const browser = createStubStrategy('browser', []);
+    const fetcher = createRubinOTFetcher({ httpFetcher: http, browserFetcher: browser });
+
+    await assert.rejects(fetcher.fetchPage(URL_20), /HTTP 502/);
+    assert.equal(browser.calls.length, 0);
+  });
+
+  test('honours fixed modes', async () => {
+    const http = createStubStrategy('http', []);
+    const browser = createStubStrategy('browser', [{}]);
+    const fetcher = createRubinOTFetcher({ httpFetcher: http, browserFetcher: browser, mode: 'browser' });
+
+    assert.equal((await fetcher.fetchPage(URL_20)).strategy, 'browser');
+    assert.equal(http.calls.length, 0);
+    assert.throws(() => createRubinOTFetcher({ httpFetcher: http, browserFetcher: browser, mode: 'magic' }), /Unknown fetch mode/);
+  });
+});
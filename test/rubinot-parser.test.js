@@ -0,0 +1,224 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { parseLatestDeaths, parseCharacterPage, parseCharacterProfile, parseGuildPage, detectBlockPage, parseWorldOptions, parseWorldList } from '../lib/rubinot-parser.js';
+
+const fixture = (name) => readFileSync(fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url)), 'utf8');
+
+const LATEST_DEATHS_URL = 'https://rubinot.com.br/?subtopic=latestdeaths&world=20';
+
+describe('parseLatestDeaths', () => {
+  test('parses every death row of the table', () => {
+    const { deaths } = parseLatestDeaths(fixture('latest-deaths.html'), { baseUrl: LATEST_DEATHS_URL });
+
+    assert.equal(deaths.length, 4);
+    assert.deepEqual(deaths.map(d => d.player), ['Sir Thorn', "Lia's Druid", 'Mago Supremo', 'Paladino']);
+    assert.deepEqual(deaths.map(d => d.level), [512, 87, 1203, 8]);
+  });
+
+  test('extracts time, absolute profile link and cause', () => {
+    const { deaths } = parseLatestDeaths(fixture('latest-deaths.html'), { baseUrl: LATEST_DEATHS_URL });
+
+    assert.deepEqual(deaths[0], {
+      player: 'Sir Thorn',
+      playerLink: 'https://rubinot.com.br/?subtopic=characters&name=Sir+Thorn',
+      level: 512,
+      cause: 'a fire elemental summoned by Dark Mage and by Kill Bill',
+      killers: [
+        { name: 'a fire elemental', type: 'creature', finalBlow: true, summonedBy: 'Dark Mage' },
+        { name: 'Kill Bill', type: 'player', finalBlow: false, summonedBy: null }
+      ],
+      pvp: true,
+      time: '07.10.2025, 22:50:28',
+      timestamp: '2025-10-08T01:50:28.000Z', // America/Sao_Paulo is UTC-3
+      timestampMs: Date.parse('2025-10-08T01:50:28.000Z')
+    });
+    assert.equal(deaths[1].cause, 'a dragon lord');
+    assert.equal(deaths[1].pvp, false);
+    assert.deepEqual(deaths[2].killers.map(k => [k.name, k.finalBlow]), [
+      ['a gazer spectre', true], ['a burster spectre', false], ['a ripper spectre', false]
+    ]);
+    assert.equal(deaths[1].playerLink, "https://rubinot.com.br/?subtopic=characters&name=Lia%27s+Druid");
+  });
+
+  test('reads times in the given server timezone', () => {
+    const { deaths } = parseLatestDeaths(fixture('latest-deaths.html'), { baseUrl: LATEST_DEATHS_URL, timeZone: 'UTC' });
+    assert.equal(deaths[0].timestamp, '2025-10-07T22:50:28.000Z');
+  });
+
+  test('finds the next page link', () => {
+    const { nextPageUrl } = parseLatestDeaths(fixture('latest-deaths.html'), { baseUrl: LATEST_DEATHS_URL });
+    assert.equal(nextPageUrl, 'https://rubinot.com.br/?subtopic=latestdeaths&world=20&page=2');
+
+    const lastPage = parseLatestDeaths(fixture('latest-deaths.html'), { baseUrl: `${LATEST_DEATHS_URL}&page=3` });
+    assert.equal(lastPage.nextPageUrl, null);
+  });
+
+  test('returns no deaths for an empty table', () => {
+    const { deaths, nextPageUrl } = parseLatestDeaths(fixture('latest-deaths-empty.html'));
+    assert.deepEqual(deaths, []);
+    assert.equal(nextPageUrl, null);
+  });
+
+  test('returns no deaths for Cloudflare pages', () => {
+    assert.deepEqual(parseLatestDeaths(fixture('cloudflare-challenge.html')).deaths, []);
+    assert.deepEqual(parseLatestDeaths(fixture('cloudflare-blocked.html')).deaths, []);
+  });
+});
+
+describe('parseCharacterPage', () => {
+  test('parses a VIP character with a guild', () => {
+    assert.deepEqual(parseCharacterPage(fixture('character-guild-vip.html')), {
+      vocation: 'Elite Knight',
+      residence: 'Thais',
+      accountStatus: 'VIP Account',
+      guild: 'Red Rose'
+    });
+  });
+
+  test('parses a free character without a guild', () => {
+    assert.deepEqual(parseCharacterPage(fixture('character-no-guild-free.html')), {
+      vocation: 'Paladin',
+      residence: 'Rookgaard',
+      accountStatus: 'Free Account',
+      guild: ''
+    });
+  });
+
+  test('returns null when the page has no character table', () => {
+    assert.equal(parseCharacterPage(fixture('cloudflare-challenge.html')), null);
+    assert.equal(parseCharacterPage(fixture('cloudflare-blocked.html')), null);
+  });
+});
+
+describe('detectBlockPage', () => {
+  test('detects a Cloudflare challenge', () => {
+    assert.equal(detectBlockPage(fixture('cloudflare-challenge.html')), 'challenge');
+  });
+
+  test('detects a Cloudflare block', () => {
+    assert.equal(detectBlockPage(fixture('cloudflare-blocked.html')), 'blocked');
+  });
+
+  test('ignores real RubinOT pages', () => {
+    assert.equal(detectBlockPage(fixture('latest-deaths.html')), null);
+    assert.equal(detectBlockPage(fixture('character-guild-vip.html')), null);
+    assert.equal(detectBlockPage(fixture('latest-deaths-empty.html')), null);
+  });
+});
+
+describe('parseWorldOptions', () => {
+  test('reads world ids from the latest deaths world selector', () => {
+    assert.deepEqual(parseWorldOptions(fixture('latest-deaths.html')), [
+      { id: '20', name: 'Tormentum' },
+      { id: '11', name: 'Auroria' }
+    ]);
+  });
+
+  test('returns nothing without a selector', () => {
+    assert.deepEqual(parseWorldOptions(fixture('cloudflare-challenge.html')), []);
+  });
+});
+
+describe('parseWorldList', () => {
+  test('parses name, online count, location and PvP type', () => {
+    assert.deepEqual(parseWorldList(fixture('worlds.html')), [
+      { id: null, name: 'Auroria', online: 812, location: 'South America', pvpType: 'Optional PvP' },
+      { id: null, name: 'Tormentum', online: 1204, location: 'South America', pvpType: 'Open PvP' },
+      { id: null, name: 'Zephyra', online: null, location: 'North America', pvpType: 'Retro Open PvP' }
+    ]);
+  });
+
+  test('returns nothing for Cloudflare pages', () => {
+    assert.deepEqual(parseWorldList(fixture('cloudflare-blocked.html')), []);
+  });
+});
+
+describe('parseCharacterProfile', () => {
+  test('parses the full profile of a character with guild, house and deaths', () => {
+    const profile = parseCharacterProfile(fixture('character-guild-vip.html'), { timeZone: 'UTC' });
+    const { deaths, ...information } = profile;
+
+    assert.deepEqual(information, {
+      name: 'Sir Thorn',
+      formerNames: ['Thorn Junior', 'Sir Thornn'],
+      sex: 'male',
+      vocation: 'Elite Knight',
+      level: 512,
+      achievementPoints: 348,
+      world: 'Tormentum',
+      residence: 'Thais',
+      house: { name: 'Upper Swamp Lane 8', town: 'Thais', paidUntil: '30.10.2025' },
+      guild: 'Red Rose',
+      guildRank: 'Commander',
+      lastLogin: '07.10.2025, 22:31:40',
+      lastLoginTimestamp: '2025-10-07T22:31:40.000Z',
+      created: '14.02.2024, 18:03:11',
+      createdTimestamp: '2024-02-14T18:03:11.000Z',
+      comment: "Tormentum's finest.\nHunting at Roshamuul.",
+      accountStatus: 'VIP Account',
+      loyaltyTitle: 'Warden of Tibia'
+    });
+
+    assert.equal(deaths.length, 2);
+    assert.deepEqual(deaths[0], {
+      time: '07.10.2025, 22:50:28',
+      timestamp: '2025-10-07T22:50:28.000Z',
+      timestampMs: Date.parse('2025-10-07T22:50:28Z'),
+      level: 512,
+      cause: 'a fire elemental summoned by Dark Mage and by Kill Bill',
+      killers: [
+        { name: 'a fire elemental', type: 'creature', finalBlow: true, summonedBy: 'Dark Mage' },
+        { name: 'Kill Bill', type: 'player', finalBlow: false, summonedBy: null }
+      ],
+      pvp: true
+    });
+    assert.equal(deaths[1].cause, 'a hellflayer');
+  });
+
+  test('leaves missing fields empty', () => {
+    const profile = parseCharacterProfile(fixture('character-no-guild-free.html'));
+    assert.equal(profile.guild, '');
+    assert.equal(profile.guildRank, '');
+    assert.equal(profile.house, null);
+    assert.deepEqual(profile.deaths, []);
+  });
+
+  test('returns null when the page has no character table', () => {
+    assert.equal(parseCharacterProfile(fixture('cloudflare-blocked.html')), null);
+  });
+});
+
+describe('parseGuildPage', () => {
+  test('parses guild information and members', () => {
+    const guild = parseGuildPage(fixture('guild.html'));
+
+    assert.equal(guild.name, 'Red Rose');
+    assert.equal(guild.description, 'The oldest guild of Tormentum.\nRecruiting level 300+.');
+    assert.equal(guild.founded, '03.05.2024');
+    assert.deepEqual(guild.members[0], {
+      name: 'Rose Queen',
+      title: 'The Thorn',
+      rank: 'Leader',
+      vocation: 'Elder Druid',
+      level: 901,
+      joined: '03.05.2024',
+      online: true
+    });
+  });
+
+  test('members without a rank cell belong to the rank above', () => {
+    const { members } = parseGuildPage(fixture('guild.html'));
+    assert.deepEqual(members.map(m => [m.name, m.rank, m.level, m.online]), [
+      ['Rose Queen', 'Leader', 901, true],
+      ['Sir Thorn', 'Commander', 512, false],
+      ['Red Archer', 'Commander', 1032, true]
+    ]);
+  });
+
+  test('returns null without a member table', () => {
+    assert.equal(parseGuildPage(fixture('character-guild-vip.html')), null);
+    assert.equal(parseGuildPage(fixture('cloudflare-blocked.html')), null);
+  });
+});
@@ -0,0 +1,208 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTelegramBot, parseCommand, formatDeathAlert, formatWarAlert } from '../lib/telegram-bot.js';
+import { createTelegramStub } from '../mock/telegram-stub.js';
+
+const DEATH = {
+  player: 'Sir Thorn',
+  playerLink: 'https://rubinot.com.br/?subtopic=characters&name=Sir+Thorn',
+  level: 512,
+  vocation: 'Elite Knight',
+  guild: 'Red <Rose>',
+  cause: 'a dragon lord and Kill Bill',
+  killers: [
+    { name: 'a dragon lord', type: 'creature', finalBlow: true, summonedBy: null },
+    { name: 'Kill Bill', type: 'player', finalBlow: false, summonedBy: null }
+  ],
+  pvp: true,
+  time: '07.10.2025, 22:50:28'
+};
+
+let server;
+let apiBaseUrl;
+
+async function control(path, body) {
+  const res = await fetch(`${apiBaseUrl}/__telegram/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  });
+  return res.json();
+}
+
+async function sentMessages() {
+  return (await fetch(`${apiBaseUrl}/__telegram/sent`)).json();
+}
+
+// Bot wired to stub handlers that record their calls
+function createTestBot(options = {}) {
+  const calls = [];
+  const bot = createTelegramBot({
+    token: 'test-token',
+    apiBaseUrl,
+    chatIds: ['100'],
+    sleep: async () => {},
+    handlers: {
+      deaths: async (query) => {
+        calls.push(['deaths', query]);
+        return query.world === 'tormentum' ? { worldName: 'Tormentum', deaths: [DEATH], error: null } : null;
+      },
+      character: async (name) => {
+        calls.push(['character', name]);
+        return name === 'Sir Thorn'
+          ? { player: name, vocation: 'Elite Knight', residence: 'Thais', accountStatus: 'VIP Account', guild: 'Red Rose', profile: { name, level: 512, world: 'Tormentum', guildRank: 'Leader', deaths: [] } }
+          : null;
+      },
+      watch: async (name) => {
+        calls.push(['watch', name]);
+        return { id: `character:${name.toLowerCase()}`, name };
+      },
+      unwatch: async (name) => {
+        calls.push(['unwatch', name]);
+        return false;
+      }
+    },
+    ...options
+  });
+  return { bot, calls };
+}
+
+function message(text, chatId = 100) {
+  return { update_id: 1, message: { chat: { id: chatId }, text } };
+}
+
+before(async () => {
+  await new Promise(resolve => {
+    server = createTelegramStub().listen(0, resolve);
+  });
+  apiBaseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(async () => {
+  await control('reset');
+});
+
+describe('parseCommand', () => {
+  test('splits commands and arguments', () => {
+    assert.deepEqual(parseCommand('/deaths tormentum 400'), { command: 'deaths', args: ['tormentum', '400'] });
+    assert.deepEqual(parseCommand('/Char@DeathBot  Sir Thorn '), { command: 'char', args: ['Sir', 'Thorn'] });
+    assert.equal(parseCommand('hello'), null);
+    assert.equal(parseCommand(undefined), null);
+  });
+});
+
+describe('formatDeathAlert', () => {
+  test('escapes HTML and marks player killers', () => {
+    const text = formatDeathAlert({ death: DEATH, worldName: 'Tormentum', watched: [{ name: 'Sir Thorn' }] });
+
+    assert.match(text, /^💀 <b>Sir Thorn<\/b> \(Elite Knight, level 512\) died on Tormentum/);
+    assert.match(text, /Killed by: a dragon lord, <b>Kill Bill<\/b> ⚔️/);
+    assert.match(text, /Guild: Red &lt;Rose&gt;/);
+    assert.match(text, /👁️ Watched: Sir Thorn/);
+    assert.match(text, /<a href="https:\/\/rubinot\.com\.br\/\?subtopic=characters&amp;name=Sir\+Thorn">Profile<\/a>/);
+  });
+});
+
+describe('formatWarAlert', () => {
+  test('shows the score and the participants of both guilds', () => {
+    const text = formatWarAlert({
+      worldName: 'Tormentum',
+      war: {
+        guilds: ['Bounty Hunters', 'Red <Rose>'],
+        score: [3, 1],
+        kills: 4,
+        participants: [[{ name: 'Hunter A', kills: 3, deaths: 0 }], [{ name: 'Rose One', kills: 1, deaths: 2 }]]
+      }
+    });
+
+    assert.equal(text, [
+      '⚔️ <b>Guild war</b> on Tormentum',
+      '<b>Bounty Hunters</b> 3 - 1 <b>Red &lt;Rose&gt;</b> (4 kills)',
+      'Bounty Hunters: Hunter A 3/0',
+      'Red &lt;Rose&gt;: Rose One 1/2'
+    ].join('\n'));
+  });
+});
+
+describe('createTelegramBot', () => {
+  test('answers /deaths, /char and /watch through the handlers', async () => {
+    const { bot, calls } = createTestBot();
+
+    await bot.handleUpdate(message('/deaths tormentum 400'));
+    await bot.handleUpdate(message('/char Sir Thorn'));
+    await bot.handleUpdate(message('/char Nobody'));
+    await bot.handleUpdate(message('/watch Sir Thorn'));
+    await bot.handleUpdate(message('/deaths atlantis'));
+
+    assert.deepEqual(calls, [
+      ['deaths', { world: 'tormentum', minLevel: 400, chatId: '100' }],
+      ['character', 'Sir Thorn'],
+      ['character', 'Nobody'],
+      ['watch', 'Sir Thorn'],
+      ['deaths', { world: 'atlantis', minLevel: 0, chatId: '100' }]
+    ]);
+
+    const sent = await sentMessages();
+    assert.ok(sent.every(m => m.chatId === '100' && m.parseMode === 'HTML'));
+    assert.match(sent[0].text, /Latest deaths on Tormentum \(level 400\+\)\n• 22:50:28 <b>Sir Thorn<\/b> 512/);
+    assert.match(sent[1].text, /Level 512 Elite Knight\nWorld: Tormentum/);
+    assert.match(sent[1].text, /Guild: Red Rose \(Leader\)/);
+    assert.equal(sent[2].text, 'Character "Nobody" not found');
+    assert.match(sent[3].text, /Watching <b>Sir Thorn<\/b>/);
+    assert.equal(sent[4].text, 'Unknown world "atlantis"');
+  });
+
+  test('ignores other chats and unknown commands', async () => {
+    const { bot, calls } = createTestBot();
+
+    await bot.handleUpdate(message('/watch Sir Thorn', 999));
+    await bot.handleUpdate(message('/somethingelse'));
+
+    assert.deepEqual(calls, []);
+    assert.deepEqual(await sentMessages(), []);
+  });
+
+  test('without configured chats anyone may read but not change the watchlist', async () => {
+    const { bot, calls } = createTestBot({ chatIds: [] });
+
+    await bot.handleUpdate(message('/deaths tormentum', 999));
+    await bot.handleUpdate(message('/watch Sir Thorn', 999));
+    await bot.handleUpdate(message('/unwatch Sir Thorn', 999));
+
+    assert.deepEqual(calls, [['deaths', { world: 'tormentum', minLevel: 0, chatId: '999' }]]);
+    const sent = await sentMessages();
+    assert.equal(sent.length, 3);
+    assert.match(sent[1].text, /only be changed from the chats configured in TELEGRAM_CHAT_IDS/);
+  });
+
+  test('sends alerts to every configured chat, waiting out 429s', async () => {
+    const { bot } = createTestBot({ chatIds: ['100', '200'] });
+    await control('fail', { times: 1, retryAfter: 1 });
+
+    await bot.channel.send({ type: 'watch', worldName: 'Tormentum', death: DEATH, watched: [] });
+
+    const sent = await sentMessages();
+    assert.deepEqual(sent.map(m => m.chatId).sort(), ['100', '200']);
+    assert.equal(bot.getStatus().alertsSent, 1);
+  });
+
+  test('polls getUpdates and replies', async () => {
+    const { bot } = createTestBot({ pollTimeout: 1 });
+    bot.start();
+    await control('messages', { chatId: 100, text: '/help' });
+
+    let sent = [];
+    for (let i = 0; i < 40 && sent.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      sent = await sentMessages();
+    }
+    await bot.stop();
+
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].text, /\/deaths &lt;world&gt; \[minLevel\]/);
+  });
+});
@@ -0,0 +1,56 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createWatchlist } from '../lib/watchlist.js';
+
+let dataDir;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('createWatchlist', () => {
+  test('matches deaths by character and guild, case-insensitively', () => {
+    const watchlist = createWatchlist({ dataDir });
+    watchlist.add({ type: 'character', name: 'Sir Thorn' });
+    watchlist.add({ type: 'guild', name: 'Red Rose' });
+
+    assert.deepEqual(watchlist.match({ player: 'sir thorn', guild: 'red rose' }).map(e => e.id), ['character:sir thorn', 'guild:red rose']);
+    assert.deepEqual(watchlist.match({ player: 'Someone', guild: 'RED ROSE' }).map(e => e.id), ['guild:red rose']);
+    assert.deepEqual(watchlist.match({ player: 'Someone', guild: '' }), []);
+  });
+
+  test('persists entries across restarts', async () => {
+    const watchlist = createWatchlist({ dataDir });
+    watchlist.add({ type: 'character', name: 'Sir Thorn', note: 'enemy' });
+    watchlist.add({ type: 'guild', name: 'Red Rose' });
+    watchlist.remove('guild:red rose');
+    await watchlist.flush();
+
+    const reloaded = createWatchlist({ dataDir });
+    assert.deepEqual(reloaded.list().map(e => [e.id, e.note]), [['character:sir thorn', 'enemy']]);
+  });
+
+  test('re-adding keeps one entry', () => {
+    const watchlist = createWatchlist({ dataDir });
+    const first = watchlist.add({ type: 'character', name: 'Sir Thorn' });
+    const second = watchlist.add({ type: 'character', name: 'SIR THORN', note: 'friend' });
+
+    assert.equal(watchlist.size(), 1);
+    assert.equal(second.addedAt, first.addedAt);
+    assert.equal(second.note, 'friend');
+  });
+
+  test('rejects invalid entries', () => {
+    const watchlist = createWatchlist({ dataDir });
+    assert.throws(() => watchlist.add({ type: 'world', name: 'Tormentum' }), /type must be one of/);
+    assert.throws(() => watchlist.add({ type: 'character', name: '  ' }), /name must be/);
+    assert.equal(watchlist.remove('character:nobody'), false);
+  });
+});
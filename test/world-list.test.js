@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { createWorldList, STATIC_WORLDS } from '../lib/world-list.js';
+
+const fixture = (name) => readFileSync(fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url)), 'utf8');
+
+// Serves the fixtures by subtopic; `fail` makes the given subtopics throw
+function createStubFetchPage({ fail = [] } = {}) {
+  const calls = [];
+  async function fetchPage(url) {
+    calls.push(url);
+    const subtopic = new URL(url).searchParams.get('subtopic');
+    if (fail.includes(subtopic)) throw new Error(`HTTP 502 for ${subtopic}`);
+    return { html: fixture(subtopic === 'worlds' ? 'worlds.html' : 'latest-deaths.html'), url };
+  }
+  fetchPage.calls = calls;
+  return fetchPage;
+}
+
+describe('createWorldList', () => {
+  test('merges selector ids with the worlds page details', async () => {
+    const discovered = [];
+    const worldList = createWorldList({ fetchPage: createStubFetchPage(), onWorlds: worlds => discovered.push(worlds) });
+
+    const { worlds, source } = await worldList.getWorlds();
+
+    assert.equal(source, 'rubinot');
+    assert.deepEqual(worlds, [
+      { id: '11', name: 'Auroria', online: 812, location: 'South America', pvpType: 'Optional PvP' },
+      { id: '20', name: 'Tormentum', online: 1204, location: 'South America', pvpType: 'Open PvP' },
+      { id: null, name: 'Zephyra', online: null, location: 'North America', pvpType: 'Retro Open PvP' }
+    ]);
+    assert.equal(discovered.length, 1);
+  });
+
+  test('caches the list', async () => {
+    const fetchPage = createStubFetchPage();
+    const worldList = createWorldList({ fetchPage });
+
+    await worldList.getWorlds();
+    await worldList.getWorlds();
+    assert.equal(fetchPage.calls.length, 2); // One refresh = selector + worlds page
+
+    await worldList.getWorlds({ force: true });
+    assert.equal(fetchPage.calls.length, 4);
+  });
+
+  test('keeps ids when only the worlds page fails', async () => {
+    const worldList = createWorldList({ fetchPage: createStubFetchPage({ fail: ['worlds'] }) });
+    const { worlds } = await worldList.getWorlds();
+    assert.deepEqual(worlds.map(w => [w.id, w.online]), [['11', null], ['20', null]]);
+  });
+
+  test('falls back to the last list, then to the static list', async () => {
+    const staticList = createWorldList({ fetchPage: createStubFetchPage({ fail: ['latestdeaths'] }) });
+    const fallback = await staticList.getWorlds();
+    assert.equal(fallback.source, 'static');
+    assert.deepEqual(fallback.worlds.map(w => w.id), STATIC_WORLDS.map(w => w.id));
+
+    let failing = false;
+    const working = createStubFetchPage();
+    const staleList = createWorldList({
+      fetchPage: (url, options) => failing ? Promise.reject(new Error('down')) : working(url, options),
+      cacheDuration: 0
+    });
+    await staleList.getWorlds();
+    failing = true;
+    const stale = await staleList.getWorlds();
+    assert.equal(stale.source, 'stale');
+    assert.equal(stale.worlds.length, 3);
+  });
+});
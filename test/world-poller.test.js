@@ -0,0 +1,115 @@
+import { test, describe, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { createWorldPoller, parseWorldConfig } from '../lib/world-poller.js';
+
+// In-memory stand-in for the death store: every death it has not seen yet (by player) is new
+function createMemoryStore() {
+  const seen = new Set();
+  return {
+    record: (worldId, deaths) => deaths.filter(death => {
+      const key = `${worldId}:${death.player}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }),
+    size: () => seen.size
+  };
+}
+
+// Poll logs would interleave with the test runner's output
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+describe('parseWorldConfig', () => {
+  test('reads worlds with optional intervals', () => {
+    assert.deepEqual(parseWorldConfig(' 20, 11:15000,1:x ', 20000), [
+      { worldId: '20', interval: 20000 },
+      { worldId: '11', interval: 15000 },
+      { worldId: '1', interval: 20000 }
+    ]);
+  });
+});
+
+describe('createWorldPoller', () => {
+  test('records polled deaths and emits only the new ones', async () => {
+    let deaths = [{ player: 'A' }];
+    const poller = createWorldPoller({ fetchDeaths: async () => deaths, deathStore: createMemoryStore(), defaultInterval: 20 });
+    const emitted = [];
+    poller.on('deaths', (worldId, newDeaths) => emitted.push([worldId, newDeaths.map(death => death.player)]));
+
+    poller.start([{ worldId: '20', interval: 20 }]);
+    await once(poller, 'poll');
+    deaths = [{ player: 'B' }, { player: 'A' }];
+    await once(poller, 'poll');
+    poller.stop();
+
+    assert.deepEqual(emitted, [['20', ['A']], ['20', ['B']]]);
+    assert.deepEqual(poller.getState('20').deaths.map(death => death.player), ['B', 'A']);
+  });
+
+  test('a failing listener does not fail the poll', async () => {
+    const poller = createWorldPoller({ fetchDeaths: async () => [{ player: 'A' }], deathStore: createMemoryStore() });
+    const received = [];
+    poller.on('deaths', () => { throw new Error('listener broke'); });
+    poller.on('deaths', (worldId, newDeaths) => received.push(...newDeaths.map(death => death.player)));
+
+    poller.start([{ worldId: '20', interval: 1000 }]);
+    const state = await poller.waitForData('20', 1000);
+    poller.stop();
+
+    assert.deepEqual(received, ['A']);
+    assert.equal(state.lastError, null);
+    assert.equal(state.consecutiveFailures, 0);
+    assert.ok(state.lastSuccessAt);
+  });
+
+  test('backs off while polls keep failing and recovers after a success', async () => {
+    const interval = 40;
+    const pollTimes = [];
+    const poller = createWorldPoller({
+      fetchDeaths: async () => {
+        pollTimes.push(Date.now());
+        if (pollTimes.length <= 3) throw new Error('RubinOT down');
+        return [];
+      },
+      deathStore: createMemoryStore()
+    });
+
+    poller.start([{ worldId: '20', interval }]);
+    while (pollTimes.length < 4) await once(poller, 'poll');
+    poller.stop();
+
+    // After n failures the next poll waits n + 1 intervals (timers may fire a millisecond early)
+    const gaps = pollTimes.slice(1).map((time, i) => time - pollTimes[i]);
+    gaps.forEach((gap, i) => assert.ok(gap >= interval * (i + 2) - 2, `gap ${i + 1} was ${gap}ms`));
+
+    const [status] = poller.getStatus();
+    assert.equal(status.consecutiveFailures, 0);
+    assert.equal(status.lastError, null);
+  });
+
+  test('waitForData resolves after the first poll, or with the bare state on timeout', async () => {
+    let release;
+    const poller = createWorldPoller({
+      fetchDeaths: () => new Promise(resolve => { release = resolve; }),
+      deathStore: createMemoryStore()
+    });
+    assert.equal(await poller.waitForData('20'), null); // Not tracked
+
+    poller.start([{ worldId: '20', interval: 1000 }]);
+    const timedOut = await poller.waitForData('20', 30);
+    assert.equal(timedOut.lastSuccessAt, null);
+    assert.equal(timedOut.polling, true);
+
+    const waiting = poller.waitForData('20', 1000);
+    release([{ player: 'A' }]);
+    const state = await waiting;
+    poller.stop();
+
+    assert.ok(state.lastSuccessAt);
+    assert.deepEqual(state.deaths, [{ player: 'A' }]);
+  });
+});